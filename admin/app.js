@@ -22,8 +22,10 @@
   const versionBadge = document.getElementById('addonVersionBadge');
   const streamingModeSelect = document.getElementById('streamingModeSelect');
   const nativeModeNotice = document.getElementById('nativeModeNotice');
+  const directModeNotice = document.getElementById('directModeNotice');
   const indexerManagerGroup = document.getElementById('indexerManagerGroup');
   const nzbdavGroup = document.getElementById('nzbdavGroup');
+  const downloadClientSelect = document.getElementById('downloadClientSelect');
 
   let currentManifestUrl = '';
   let copyStatusTimer = null;
@@ -40,6 +42,17 @@
   const newznabPresetSelect = document.getElementById('newznabPreset');
   const addPresetButton = document.getElementById('addPresetIndexer');
   const addNewznabButton = document.getElementById('addNewznabIndexer');
+  const resetNewznabCircuitsButton = document.getElementById('resetNewznabCircuits');
+  const profileList = document.getElementById('profileList');
+  const addProfileButton = document.getElementById('addProfile');
+  const newProfileNameInput = document.getElementById('newProfileName');
+  const profileStatus = document.getElementById('profileStatus');
+  const refreshCachesButton = document.getElementById('refreshCaches');
+  const cacheOverview = document.getElementById('cacheOverview');
+  const cacheStatus = document.getElementById('cacheStatus');
+  const previewScoresButton = document.getElementById('previewScores');
+  const scoringPreviewTitles = document.getElementById('scoringPreviewTitles');
+  const scoringPreviewResults = document.getElementById('scoringPreviewResults');
   const newznabTestSearchBlock = document.getElementById('newznab-test-search');
   const newznabTestButton = configForm.querySelector('button[data-test="newznab"]');
   const easynewsToggle = configForm.querySelector('input[name="EASYNEWS_ENABLED"]');
@@ -388,6 +401,8 @@
         <div class="row-title">
           <span class="row-handle" aria-hidden="true">⋮⋮</span>
           <span class="row-label" data-row-label>Indexer</span>
+          <span class="circuit-badge hidden" data-row-circuit></span>
+          <span class="circuit-badge quota hidden" data-row-quota></span>
           <label class="checkbox">
             <input type="checkbox" data-field="INDEXER_ENABLED" checked />
             <span>Enabled</span>
@@ -502,6 +517,503 @@
     syncNewznabControls();
   }
 
+  function normalizeEndpointForMatch(value) {
+    return (value || '').trim().replace(/\/+$/, '').toLowerCase();
+  }
+
+  function formatRetryDelay(ms) {
+    const seconds = Math.max(0, Math.ceil((ms || 0) / 1000));
+    if (seconds < 90) return `${seconds}s`;
+    return `${Math.ceil(seconds / 60)}m`;
+  }
+
+  function describeCircuit(circuit) {
+    if (circuit.state === 'open') {
+      const reason = circuit.reason === 'api-limit' ? 'API limit reached' : 'repeated failures';
+      return `Paused (${reason}) · retry in ${formatRetryDelay(circuit.retryInMs)}`;
+    }
+    if (circuit.state === 'half-open') return 'Probing after backoff';
+    if (circuit.consecutiveFailures > 0) {
+      return `${circuit.consecutiveFailures} recent failure${circuit.consecutiveFailures === 1 ? '' : 's'}`;
+    }
+    return circuit.lastSuccessAt ? 'Healthy' : '';
+  }
+
+  function describeQuota(quota) {
+    if (!quota) return '';
+    const parts = [];
+    if (quota.api?.max) parts.push(`API ${quota.api.used}/${quota.api.max}`);
+    if (quota.grab?.max) parts.push(`Grabs ${quota.grab.used}/${quota.grab.max}`);
+    return parts.join(' · ');
+  }
+
+  function applyNewznabQuotaBadge(row, quota) {
+    const badge = row.querySelector('[data-row-quota]');
+    if (!badge) return;
+    const label = describeQuota(quota);
+    const apiLow = Boolean(quota?.api?.low);
+    const grabLow = Boolean(quota?.grab?.low);
+    badge.textContent = label;
+    if (apiLow) badge.title = 'API quota nearly exhausted: searches are skipped until the daily window resets';
+    else if (grabLow) badge.title = 'Grab quota low: health checks no longer download NZBs from this indexer';
+    else badge.title = 'Usage reported by the indexer plus local requests since the last report';
+    badge.classList.toggle('hidden', !label);
+    badge.classList.toggle('open', apiLow);
+    badge.classList.toggle('half-open', !apiLow && grabLow);
+  }
+
+  function applyNewznabCircuitStates(circuits = []) {
+    const byEndpoint = new Map();
+    circuits.forEach((circuit) => {
+      if (circuit?.endpoint) byEndpoint.set(normalizeEndpointForMatch(circuit.endpoint), circuit);
+    });
+    getNewznabRows().forEach((row) => {
+      const badge = row.querySelector('[data-row-circuit]');
+      if (!badge) return;
+      const endpointInput = row.querySelector('[data-field="ENDPOINT"]');
+      const circuit = byEndpoint.get(normalizeEndpointForMatch(endpointInput?.value));
+      const label = circuit ? describeCircuit(circuit) : '';
+      badge.textContent = label;
+      badge.title = circuit?.lastError ? `Last error: ${circuit.lastError}` : '';
+      badge.classList.toggle('hidden', !label);
+      ['closed', 'open', 'half-open'].forEach((state) => {
+        badge.classList.toggle(state, Boolean(circuit) && circuit.state === state);
+      });
+      badge.classList.toggle('degraded', Boolean(circuit) && circuit.state === 'closed' && circuit.consecutiveFailures > 0);
+      applyNewznabQuotaBadge(row, circuit?.quota);
+    });
+  }
+
+  function setProfileStatus(message, isError) {
+    if (!profileStatus) return;
+    profileStatus.textContent = message || '';
+    profileStatus.classList.toggle('error', Boolean(message && isError));
+    profileStatus.classList.toggle('success', Boolean(message && !isError));
+  }
+
+  function buildInheritSelect(key, options) {
+    const optionMarkup = options.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+    return `<select data-profile-setting="${key}"><option value="">Use global</option>${optionMarkup}</select>`;
+  }
+
+  function buildProfileRowElement(profile) {
+    const row = document.createElement('div');
+    row.className = 'newznab-row profile-row';
+    row.dataset.profileId = profile.id;
+    const toggleOptions = [['true', 'On'], ['false', 'Off']];
+    row.innerHTML = `
+      <div class="row-header">
+        <div class="row-title">
+          <span class="row-label" data-profile-label></span>
+        </div>
+        <div class="row-controls">
+          <button type="button" class="ghost" data-profile-action="rotate" title="Issue a new token; the old manifest URL stops working">Rotate Token</button>
+          <button type="button" class="ghost danger" data-profile-action="delete">Delete</button>
+        </div>
+      </div>
+      <div class="field-grid">
+        <label>Profile Name
+          <input type="text" data-profile-field="name" />
+        </label>
+        <label>Sorting Mode
+          ${buildInheritSelect('NZB_SORT_MODE', [['quality_then_size', 'Quality → Size'], ['language_quality_size', 'Preferred Language → Quality → Size'], ['custom_score', 'Custom Format Score → Quality → Size']])}
+        </label>
+        <label>Preferred Languages
+          <input type="text" data-profile-setting="NZB_PREFERRED_LANGUAGE" placeholder="Use global (e.g. English,Hindi)" />
+        </label>
+        <label>Max Result Size (GB)
+          <input type="number" min="0" step="0.5" data-profile-setting="NZB_MAX_RESULT_SIZE_GB" placeholder="Use global" />
+        </label>
+        <label>Allowed Resolutions
+          <input type="text" data-profile-setting="NZB_ALLOWED_RESOLUTIONS" placeholder="Use global (e.g. 1080p,720p)" />
+        </label>
+        <label>Streams per Resolution
+          <input type="number" min="1" data-profile-setting="NZB_RESOLUTION_LIMIT_PER_QUALITY" placeholder="Use global" />
+        </label>
+        <label>Deduplicate Results
+          ${buildInheritSelect('NZB_DEDUP_ENABLED', toggleOptions)}
+        </label>
+        <label>Hide Blocked Results
+          ${buildInheritSelect('NZB_HIDE_BLOCKED_RESULTS', toggleOptions)}
+        </label>
+        <label>NZB Health Checks
+          ${buildInheritSelect('NZB_TRIAGE_ENABLED', toggleOptions)}
+        </label>
+      </div>
+      <div class="inline-actions">
+        <input type="text" class="manifest-url" data-profile-field="manifestUrl" readonly />
+        <button type="button" class="secondary" data-profile-action="copy">Copy Manifest URL</button>
+        <button type="button" class="primary" data-profile-action="save">Save Profile</button>
+        <span class="status-message" data-profile-status></span>
+      </div>
+    `;
+    fillProfileRow(row, profile);
+    return row;
+  }
+
+  function fillProfileRow(row, profile) {
+    row.querySelector('[data-profile-label]').textContent = profile.name;
+    row.querySelector('[data-profile-field="name"]').value = profile.name;
+    row.querySelector('[data-profile-field="manifestUrl"]').value = profile.manifestUrl || `Set a public base URL to build the manifest (token ${profile.token})`;
+    row.querySelectorAll('[data-profile-setting]').forEach((input) => {
+      input.value = profile.settings?.[input.dataset.profileSetting] ?? '';
+    });
+  }
+
+  function setProfileRowStatus(row, message, isError) {
+    const el = row.querySelector('[data-profile-status]');
+    if (!el) return;
+    el.textContent = message || '';
+    el.classList.toggle('error', Boolean(message && isError));
+    el.classList.toggle('success', Boolean(message && !isError));
+  }
+
+  function collectProfileSettings(row) {
+    const settings = {};
+    row.querySelectorAll('[data-profile-setting]').forEach((input) => {
+      settings[input.dataset.profileSetting] = input.value.trim();
+    });
+    return settings;
+  }
+
+  function renderProfiles(profiles = []) {
+    if (!profileList) return;
+    profileList.innerHTML = '';
+    profiles.forEach((profile) => profileList.appendChild(buildProfileRowElement(profile)));
+  }
+
+  async function loadProfiles() {
+    if (!profileList) return;
+    try {
+      const data = await apiRequest('/admin/api/profiles');
+      renderProfiles(data?.profiles || []);
+    } catch (error) {
+      setProfileStatus(error.message, true);
+    }
+  }
+
+  async function addProfile() {
+    const name = newProfileNameInput?.value.trim();
+    if (!name) {
+      setProfileStatus('Enter a profile name first', true);
+      return;
+    }
+    addProfileButton.disabled = true;
+    try {
+      const data = await apiRequest('/admin/api/profiles', { method: 'POST', body: JSON.stringify({ name }) });
+      profileList.appendChild(buildProfileRowElement(data.profile));
+      newProfileNameInput.value = '';
+      setProfileStatus(`Created ${data.profile.name}`, false);
+    } catch (error) {
+      setProfileStatus(error.message, true);
+    } finally {
+      addProfileButton.disabled = false;
+    }
+  }
+
+  async function handleProfileAction(button) {
+    const row = button.closest('.profile-row');
+    const action = button.dataset.profileAction;
+    if (!row || !action) return;
+    const profileId = encodeURIComponent(row.dataset.profileId);
+    if (action === 'copy') {
+      const url = row.querySelector('[data-profile-field="manifestUrl"]').value;
+      try {
+        await writeToClipboard(url);
+        setProfileRowStatus(row, 'Copied!', false);
+      } catch (error) {
+        setProfileRowStatus(row, 'Copy failed', true);
+      }
+      return;
+    }
+    if (action === 'delete' && !window.confirm('Delete this profile? Its manifest URL stops working immediately.')) {
+      return;
+    }
+    button.disabled = true;
+    try {
+      if (action === 'delete') {
+        await apiRequest(`/admin/api/profiles/${profileId}`, { method: 'DELETE' });
+        row.remove();
+        return;
+      }
+      const payload = action === 'rotate'
+        ? { rotateToken: true }
+        : { name: row.querySelector('[data-profile-field="name"]').value, settings: collectProfileSettings(row) };
+      const data = await apiRequest(`/admin/api/profiles/${profileId}`, { method: 'PUT', body: JSON.stringify(payload) });
+      fillProfileRow(row, data.profile);
+      setProfileRowStatus(row, action === 'rotate' ? 'New token issued' : 'Saved', false);
+    } catch (error) {
+      setProfileRowStatus(row, error.message, true);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  const CACHE_SECTIONS = [
+    {
+      name: 'stream',
+      label: 'Stream responses',
+      columns: ['Key', 'Age', 'Streams', 'Triage'],
+      describe: (entry) => [
+        entry.key,
+        formatAge(entry.createdAt),
+        `${entry.streamCount} (${entry.resultCount} results)`,
+        describeTriageState(entry),
+      ],
+      key: (entry) => entry.key,
+    },
+    {
+      name: 'nzb',
+      label: 'Verified NZBs',
+      columns: ['Title', 'Age', 'Size', 'Download URL'],
+      describe: (entry) => [
+        entry.metadata?.title || entry.metadata?.fileName || '—',
+        formatAge(entry.createdAt),
+        formatBytes(entry.size),
+        entry.downloadUrl,
+      ],
+      key: (entry) => entry.downloadUrl,
+    },
+    {
+      name: 'nzbdav',
+      label: 'NZBDav mounts',
+      columns: ['Job', 'Age', 'Status', 'Key'],
+      describe: (entry) => [
+        entry.fileName || entry.jobName || '—',
+        formatAge(entry.createdAt),
+        entry.status === 'failed' && entry.error ? `failed: ${entry.error}` : entry.status,
+        entry.key,
+      ],
+      key: (entry) => entry.key,
+      removable: (entry) => entry.status !== 'pending',
+      removeLabel: (entry) => (entry.status === 'failed' ? 'Retry' : 'Remove'),
+    },
+  ];
+
+  function setCacheStatus(message, isError) {
+    if (!cacheStatus) return;
+    cacheStatus.textContent = message || '';
+    cacheStatus.classList.toggle('error', Boolean(message && isError));
+    cacheStatus.classList.toggle('success', Boolean(message && !isError));
+  }
+
+  function formatAge(timestamp) {
+    if (!timestamp) return '—';
+    const seconds = Math.max(0, Math.round((Date.now() - timestamp) / 1000));
+    if (seconds < 90) return `${seconds}s`;
+    if (seconds < 90 * 60) return `${Math.round(seconds / 60)}m`;
+    return `${Math.round(seconds / 3600)}h`;
+  }
+
+  function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  function describeTriageState(entry) {
+    if (entry.triageComplete === null) return '—';
+    if (entry.triageComplete) return 'complete';
+    return entry.triagePending > 0 ? `${entry.triagePending} pending` : 'incomplete';
+  }
+
+  function describeCacheStats(stats = {}) {
+    const parts = [`${stats.entries || 0} entries`];
+    if (typeof stats.bytes === 'number') {
+      parts.push(stats.maxBytes ? `${formatBytes(stats.bytes)} of ${formatBytes(stats.maxBytes)}` : formatBytes(stats.bytes));
+    }
+    if (stats.backend) parts.push(stats.backend);
+    if (stats.byStatus) {
+      parts.push(`${stats.byStatus.ready} ready · ${stats.byStatus.pending} pending · ${stats.byStatus.failed} failed`);
+    }
+    return parts.join(' · ');
+  }
+
+  function buildCacheHeading(section, stats) {
+    const heading = document.createElement('h4');
+    const title = document.createElement('span');
+    title.textContent = section.label;
+    const summary = document.createElement('span');
+    summary.className = 'field-hint';
+    summary.textContent = describeCacheStats(stats);
+    const purgeButton = document.createElement('button');
+    purgeButton.type = 'button';
+    purgeButton.className = 'ghost danger';
+    purgeButton.dataset.cacheAction = 'purge';
+    purgeButton.dataset.cacheName = section.name;
+    purgeButton.textContent = 'Purge';
+    heading.append(title, summary, purgeButton);
+    return heading;
+  }
+
+  function buildCacheTable(section, entries) {
+    const table = document.createElement('table');
+    const headRow = document.createElement('tr');
+    section.columns.concat('').forEach((label) => {
+      const th = document.createElement('th');
+      th.textContent = label;
+      headRow.appendChild(th);
+    });
+    const head = document.createElement('thead');
+    head.appendChild(headRow);
+    const body = document.createElement('tbody');
+    // Most recently used first
+    entries.slice().reverse().forEach((entry) => {
+      const row = document.createElement('tr');
+      section.describe(entry).forEach((value, index) => {
+        const cell = document.createElement('td');
+        if (section.columns[index] === 'Key' || section.columns[index] === 'Download URL') {
+          cell.className = 'cache-key';
+        }
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      const actionCell = document.createElement('td');
+      if (!section.removable || section.removable(entry)) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'ghost';
+        button.dataset.cacheAction = 'remove';
+        button.dataset.cacheName = section.name;
+        button.dataset.cacheKey = section.key(entry);
+        button.textContent = section.removeLabel ? section.removeLabel(entry) : 'Remove';
+        actionCell.appendChild(button);
+      }
+      row.appendChild(actionCell);
+      body.appendChild(row);
+    });
+    table.append(head, body);
+    return table;
+  }
+
+  function renderCacheOverview(data = {}) {
+    if (!cacheOverview) return;
+    cacheOverview.innerHTML = '';
+    CACHE_SECTIONS.forEach((section) => {
+      const entries = Array.isArray(data[section.name]) ? data[section.name] : [];
+      cacheOverview.appendChild(buildCacheHeading(section, data.stats?.[section.name]));
+      if (entries.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'hint';
+        empty.textContent = 'Empty';
+        cacheOverview.appendChild(empty);
+        return;
+      }
+      cacheOverview.appendChild(buildCacheTable(section, entries));
+    });
+  }
+
+  async function loadCacheOverview() {
+    if (!cacheOverview) return;
+    try {
+      const data = await apiRequest('/admin/api/cache');
+      renderCacheOverview(data || {});
+      setCacheStatus('', false);
+    } catch (error) {
+      setCacheStatus(error.message, true);
+    }
+  }
+
+  async function handleCacheAction(button) {
+    const { cacheAction, cacheName, cacheKey } = button.dataset;
+    if (cacheAction === 'purge' && !window.confirm('Purge every entry in this cache?')) return;
+    button.disabled = true;
+    try {
+      if (cacheAction === 'purge') {
+        await apiRequest('/admin/api/cache/purge', { method: 'POST', body: JSON.stringify({ name: cacheName }) });
+        setCacheStatus('Cache purged', false);
+      } else {
+        await apiRequest('/admin/api/cache/entries/delete', {
+          method: 'POST',
+          body: JSON.stringify({ name: cacheName, key: cacheKey }),
+        });
+        setCacheStatus('Entry removed', false);
+      }
+      await loadCacheOverview();
+    } catch (error) {
+      setCacheStatus(error.message, true);
+      button.disabled = false;
+    }
+  }
+
+  function describeScoringAttributes(attributes = {}) {
+    return ['source', 'codec', 'hdr', 'audio', 'edition', 'group']
+      .filter((key) => attributes[key])
+      .map((key) => `${key}: ${attributes[key]}`)
+      .join(' · ');
+  }
+
+  function renderScoringPreview(results = []) {
+    if (!scoringPreviewResults) return;
+    scoringPreviewResults.innerHTML = '';
+    scoringPreviewResults.classList.toggle('hidden', results.length === 0);
+    if (results.length === 0) return;
+    const table = document.createElement('table');
+    table.innerHTML = '<thead><tr><th>Score</th><th>Release</th><th>Matched Formats</th></tr></thead>';
+    const body = document.createElement('tbody');
+    results.forEach((result) => {
+      const row = document.createElement('tr');
+      const scoreCell = document.createElement('td');
+      scoreCell.className = 'score';
+      scoreCell.textContent = String(result.score);
+      const titleCell = document.createElement('td');
+      titleCell.textContent = result.title;
+      const details = describeScoringAttributes(result.attributes);
+      if (details) {
+        const hint = document.createElement('div');
+        hint.className = 'field-hint';
+        hint.textContent = details;
+        titleCell.appendChild(hint);
+      }
+      const matchCell = document.createElement('td');
+      matchCell.textContent = (result.matches || [])
+        .map((match) => `${match.name} (${match.score > 0 ? '+' : ''}${match.score})`)
+        .join(', ') || '—';
+      row.append(scoreCell, titleCell, matchCell);
+      body.appendChild(row);
+    });
+    table.appendChild(body);
+    scoringPreviewResults.appendChild(table);
+  }
+
+  async function previewScores() {
+    const titles = (scoringPreviewTitles?.value || '').split('\n').map((line) => line.trim()).filter(Boolean);
+    if (titles.length === 0) {
+      setTestStatus('scoring', 'Enter at least one release title', true);
+      return;
+    }
+    const formatsInput = configForm.querySelector('textarea[name="NZB_CUSTOM_FORMATS"]');
+    previewScoresButton.disabled = true;
+    setTestStatus('scoring', '', false);
+    try {
+      const data = await apiRequest('/admin/api/scoring/preview', {
+        method: 'POST',
+        body: JSON.stringify({ formats: formatsInput ? formatsInput.value : '', titles }),
+      });
+      renderScoringPreview(data?.results || []);
+      setTestStatus('scoring', `Scored ${titles.length} title(s) against ${data?.formatCount || 0} format(s)`, false);
+    } catch (error) {
+      renderScoringPreview([]);
+      setTestStatus('scoring', error.message, true);
+    } finally {
+      previewScoresButton.disabled = false;
+    }
+  }
+
+  async function resetNewznabCircuits() {
+    if (!resetNewznabCircuitsButton) return;
+    resetNewznabCircuitsButton.disabled = true;
+    try {
+      const data = await apiRequest('/admin/api/newznab/circuits/reset', { method: 'POST' });
+      applyNewznabCircuitStates(data?.circuits || []);
+    } catch (error) {
+      setTestStatus('newznab', error.message, true);
+    } finally {
+      resetNewznabCircuitsButton.disabled = false;
+    }
+  }
+
   function setupNewznabRowsFromValues(values = {}) {
     if (!newznabList) return;
     clearNewznabRows();
@@ -733,12 +1245,16 @@
       allowNewznabTestSearch = Boolean(data?.debugNewznabSearch);
       setupNewznabRowsFromValues(values);
       populateForm(values);
+      applyNewznabCircuitStates(data?.newznabCircuits || []);
+      loadProfiles();
+      loadCacheOverview();
       applyLanguageSelectionsFromHidden();
       applyQualitySelectionsFromHidden();
       refreshNewznabFieldNames();
       syncHealthControls();
       syncSortingControls();
       syncStreamingModeControls();
+      syncDownloadClientControls();
       syncManagerControls();
       syncNewznabControls();
       configSection.classList.remove('hidden');
@@ -786,23 +1302,27 @@
     }
   }
 
+  async function writeToClipboard(text) {
+    if (navigator.clipboard?.writeText) {
+      await navigator.clipboard.writeText(text);
+      return;
+    }
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'absolute';
+    textarea.style.left = '-9999px';
+    document.body.appendChild(textarea);
+    textarea.select();
+    document.execCommand('copy');
+    document.body.removeChild(textarea);
+  }
+
   async function copyManifestUrl() {
     if (!currentManifestUrl || copyManifestButton.disabled) return;
     const url = currentManifestUrl;
     try {
-      if (navigator.clipboard?.writeText) {
-        await navigator.clipboard.writeText(url);
-      } else {
-        const textarea = document.createElement('textarea');
-        textarea.value = url;
-        textarea.setAttribute('readonly', '');
-        textarea.style.position = 'absolute';
-        textarea.style.left = '-9999px';
-        document.body.appendChild(textarea);
-        textarea.select();
-        document.execCommand('copy');
-        document.body.removeChild(textarea);
-      }
+      await writeToClipboard(url);
       showCopyFeedback('Copied!');
     } catch (error) {
       console.error('Failed to copy manifest URL', error);
@@ -915,18 +1435,30 @@
     syncSaveGuard();
   }
 
+  function syncDownloadClientControls() {
+    const client = downloadClientSelect?.value || 'nzbdav';
+    configForm.querySelectorAll('[data-download-client]').forEach((element) => {
+      const clients = element.dataset.downloadClient.split(' ');
+      element.classList.toggle('hidden', !clients.includes(client));
+    });
+  }
+
   function syncStreamingModeControls() {
     const mode = streamingModeSelect?.value || 'nzbdav';
     const isNativeMode = mode === 'native';
+    const isDirectMode = mode === 'direct';
     
     // Show/hide native mode notice
     if (nativeModeNotice) {
       nativeModeNotice.classList.toggle('hidden', !isNativeMode);
     }
+    if (directModeNotice) {
+      directModeNotice.classList.toggle('hidden', !isDirectMode);
+    }
     
-    // Hide NZBDav section in native mode
+    // Hide NZBDav section when NZBDav is not used
     if (nzbdavGroup) {
-      nzbdavGroup.classList.toggle('hidden', isNativeMode);
+      nzbdavGroup.classList.toggle('hidden', isNativeMode || isDirectMode);
     }
     
     // In native mode, force manager to 'none' and disable the select
@@ -1069,6 +1601,40 @@
     addPresetButton.addEventListener('click', handleAddPresetIndexer);
   }
 
+  if (resetNewznabCircuitsButton) {
+    resetNewznabCircuitsButton.addEventListener('click', resetNewznabCircuits);
+  }
+
+  if (addProfileButton) {
+    addProfileButton.addEventListener('click', addProfile);
+  }
+
+  if (previewScoresButton) {
+    previewScoresButton.addEventListener('click', previewScores);
+  }
+
+  if (refreshCachesButton) {
+    refreshCachesButton.addEventListener('click', loadCacheOverview);
+  }
+
+  if (cacheOverview) {
+    cacheOverview.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-cache-action]');
+      if (button) handleCacheAction(button);
+    });
+  }
+
+  if (profileList) {
+    profileList.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-profile-action]');
+      if (button) handleProfileAction(button);
+    });
+  }
+
+  if (downloadClientSelect) {
+    downloadClientSelect.addEventListener('change', syncDownloadClientControls);
+  }
+
   if (managerSelect) {
     managerSelect.addEventListener('change', () => {
       syncManagerControls();
@@ -1105,6 +1671,7 @@
   syncHealthControls();
   syncSortingControls();
   syncStreamingModeControls();
+  syncDownloadClientControls();
   syncManagerControls();
   syncNewznabControls();
   applyQualitySelectionsFromHidden();
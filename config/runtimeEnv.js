@@ -92,4 +92,5 @@ module.exports = {
   updateRuntimeEnv,
   getRuntimeEnv,
   RUNTIME_ENV_FILE,
+  CONFIG_DIR,
 };
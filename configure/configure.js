@@ -0,0 +1,124 @@
+(function () {
+  const form = document.getElementById('configureForm');
+  const tokenRow = document.getElementById('tokenRow');
+  const statusEl = document.getElementById('configureStatus');
+  const manifestUrlEl = document.getElementById('manifestUrl');
+  const copyButton = document.getElementById('copyManifest');
+  const stremioWebButton = document.getElementById('installStremioWeb');
+  const stremioAppButton = document.getElementById('installStremioApp');
+
+  const SETTINGS_SEGMENT_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]{43}$/;
+  let currentManifestUrl = '';
+
+  // Stremio opens /<token>/<settings>/configure for installed addons; both segments are optional
+  function parseLocation() {
+    const segments = window.location.pathname.split('/').filter(Boolean);
+    const configureIndex = segments.lastIndexOf('configure');
+    const prefix = configureIndex === -1 ? [] : segments.slice(0, configureIndex).map(decodeURIComponent);
+    const settingsSegment = prefix.find((segment) => SETTINGS_SEGMENT_PATTERN.test(segment)) || '';
+    const token = prefix.find((segment) => segment !== settingsSegment) || '';
+    return { token, settingsSegment };
+  }
+
+  function setStatus(message, isError = false) {
+    statusEl.textContent = message || '';
+    statusEl.classList.toggle('error', Boolean(message) && isError);
+    statusEl.classList.toggle('success', Boolean(message) && !isError);
+  }
+
+  function setManifestUrl(url) {
+    currentManifestUrl = url || '';
+    manifestUrlEl.textContent = currentManifestUrl || 'Set ADDON_BASE_URL on the server to build install links.';
+    [copyButton, stremioWebButton, stremioAppButton].forEach((button) => {
+      button.disabled = !currentManifestUrl;
+    });
+  }
+
+  function populateForm(settings) {
+    form.elements.sortMode.value = settings.sortMode || '';
+    form.elements.preferredLanguages.value = settings.preferredLanguages || '';
+    form.elements.maxSizeGb.value = settings.maxSizeGb || '';
+    if (settings.triageEnabled === 'true') form.elements.triage.value = 'on';
+    else if (settings.triageDisabled === 'true') form.elements.triage.value = 'off';
+    form.elements.dedupe.value = settings.dedupe || '';
+  }
+
+  function collectSettings() {
+    const triage = form.elements.triage.value;
+    return {
+      sortMode: form.elements.sortMode.value,
+      preferredLanguages: form.elements.preferredLanguages.value,
+      maxSizeGb: form.elements.maxSizeGb.value,
+      triageEnabled: triage === 'on',
+      triageDisabled: triage === 'off',
+      dedupe: form.elements.dedupe.value,
+    };
+  }
+
+  async function loadExistingSettings(settingsSegment) {
+    if (!settingsSegment) return;
+    try {
+      const response = await fetch(`/configure/api/decode?segment=${encodeURIComponent(settingsSegment)}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Unable to read current settings');
+      populateForm(data.settings || {});
+    } catch (error) {
+      setStatus(error.message, true);
+    }
+  }
+
+  async function generateLink(event) {
+    event.preventDefault();
+    setStatus('Generating…');
+    try {
+      const response = await fetch('/configure/api/encode', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: form.elements.token.value.trim(), settings: collectSettings() }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Unable to build install link');
+      setManifestUrl(data.manifestUrl);
+      setStatus('Install link ready');
+    } catch (error) {
+      setStatus(error.message, true);
+    }
+  }
+
+  function openWindow(url) {
+    const newWindow = window.open(url, '_blank', 'noopener,noreferrer');
+    if (!newWindow) {
+      window.location.href = url;
+    }
+  }
+
+  async function copyManifestUrl() {
+    if (!currentManifestUrl) return;
+    try {
+      await navigator.clipboard.writeText(currentManifestUrl);
+      setStatus('Copied!');
+    } catch (error) {
+      setStatus('Copy failed', true);
+    }
+  }
+
+  const { token, settingsSegment } = parseLocation();
+  if (token) {
+    form.elements.token.value = token;
+    tokenRow.classList.add('hidden');
+  }
+  setManifestUrl('');
+  manifestUrlEl.textContent = 'Generate a link to install or update the addon.';
+  loadExistingSettings(settingsSegment);
+
+  form.addEventListener('submit', generateLink);
+  copyButton.addEventListener('click', copyManifestUrl);
+  stremioWebButton.addEventListener('click', () => {
+    if (!currentManifestUrl) return;
+    openWindow(`https://web.stremio.com/#/addons?addon=${encodeURIComponent(currentManifestUrl)}`);
+  });
+  stremioAppButton.addEventListener('click', () => {
+    if (!currentManifestUrl) return;
+    window.location.href = currentManifestUrl.replace(/^https?:\/\//i, 'stremio://');
+  });
+})();
@@ -17,12 +17,15 @@ runtimeEnv.applyRuntimeEnv();
 const {
   testIndexerConnection,
   testNzbdavConnection,
+  testSabnzbdConnection,
+  testNzbgetConnection,
   testUsenetConnection,
   testNewznabConnection,
   testNewznabSearch,
 } = require('./src/utils/connectionTests');
 const { triageAndRank } = require('./src/services/triage/runner');
-const { preWarmNntpPool, evictStaleSharedNntpPool } = require('./src/services/triage');
+const { getNntpProviderConfigs, NNTP_PROVIDER_NUMBERED_KEYS } = require('./src/services/triage/providers');
+const { preWarmNntpPool, evictStaleSharedNntpPool, getNntpPoolStats } = require('./src/services/triage');
 const {
   getPublishMetadataFromResult,
   areReleasesWithinDays,
@@ -30,14 +33,24 @@ const {
 const { parseReleaseMetadata, LANGUAGE_FILTERS, LANGUAGE_SYNONYMS } = require('./src/services/metadata/releaseParser');
 const cache = require('./src/cache');
 const { ensureSharedSecret } = require('./src/middleware/auth');
+const { applyInstallSettings } = require('./src/middleware/installSettings');
+const metrics = require('./src/utils/metrics');
 const newznabService = require('./src/services/newznab');
 const easynewsService = require('./src/services/easynews');
 const { toFiniteNumber, toPositiveInt, toBoolean, parseCommaList, parsePathList, normalizeSortMode, resolvePreferredLanguages, toSizeBytesFromGb, collectConfigValues, computeManifestUrl, stripTrailingSlashes, decodeBase64Value } = require('./src/utils/config');
-const { normalizeReleaseTitle, parseRequestedEpisode, isVideoFileName, fileMatchesEpisode, normalizeNzbdavPath, inferMimeType, normalizeIndexerToken, nzbMatchesIndexer, cleanSpecialSearchTitle } = require('./src/utils/parsers');
+const { normalizeReleaseTitle, parseRequestedEpisode, isVideoFileName, fileMatchesEpisode, parseEpisodeCoverage, coverageIncludesEpisode, parseAbsoluteEpisode, parseAirDate, normalizeNzbdavPath, inferMimeType, normalizeIndexerToken, nzbMatchesIndexer, cleanSpecialSearchTitle } = require('./src/utils/parsers');
 const { sleep, annotateNzbResult, applyMaxSizeFilter, prepareSortedResults, getPreferredLanguageMatch, getPreferredLanguageMatches, triageStatusRank, buildTriageTitleMap, prioritizeTriageCandidates, triageDecisionsMatchStatuses, sanitizeDecisionForCache, serializeFinalNzbResults, restoreFinalNzbResults, safeStat } = require('./src/utils/helpers');
 const indexerService = require('./src/services/indexer');
 const nzbdavService = require('./src/services/nzbdav');
+const downloadClients = require('./src/services/downloadClients');
+const nntpStreamService = require('./src/services/nntpStream');
+const historyCatalog = require('./src/services/historyCatalog');
+const profileService = require('./src/services/profiles');
+const customFormats = require('./src/services/metadata/customFormats');
+const resultFilters = require('./src/services/metadata/resultFilters');
 const specialMetadata = require('./src/services/specialMetadata');
+const animeMetadata = require('./src/services/animeMetadata');
+const installSettings = require('./src/services/installSettings');
 
 const app = express();
 let currentPort = Number(process.env.PORT || 7000);
@@ -48,14 +61,6 @@ const SERVER_HOST = '0.0.0.0';
 const DEDUPE_MAX_PUBLISH_DIFF_DAYS = 14;
 let PAID_INDEXER_TOKENS = new Set();
 
-const QUALITY_FEATURE_PATTERNS = [
-  { label: 'DV', regex: /\b(dolby\s*vision|dolbyvision|dv)\b/i },
-  { label: 'HDR10+', regex: /hdr10\+/i },
-  { label: 'HDR10', regex: /hdr10(?!\+)/i },
-  { label: 'HDR', regex: /\bhdr\b/i },
-  { label: 'SDR', regex: /\bsdr\b/i },
-];
-
 function formatResolutionBadge(resolution) {
   if (!resolution) return null;
   const normalized = resolution.toLowerCase();
@@ -68,17 +73,90 @@ function formatResolutionBadge(resolution) {
   return resolution;
 }
 
-function extractQualityFeatureBadges(title) {
-  if (!title) return [];
-  const badges = [];
-  QUALITY_FEATURE_PATTERNS.forEach(({ label, regex }) => {
-    if (regex.test(title)) {
-      badges.push(label);
-    }
-  });
+function extractQualityFeatureBadges(result) {
+  const hdr = Array.isArray(result?.hdr) ? result.hdr : [];
+  const badges = hdr.map((label) => (label === 'DV' && result.dvProfile ? `DV P${result.dvProfile}` : label));
+  if (badges.length === 0 && /\bsdr\b/i.test(result?.title || '')) {
+    badges.push('SDR');
+  }
   return badges;
 }
 
+const DATE_BASED_GENRES = new Set(['talk-show', 'talk show', 'news']);
+
+// Talk shows and news programs are released by air date; year-numbered seasons are a strong hint too
+function isDateBasedSeries(meta, season) {
+  if (Number.isFinite(season) && season >= 1900) return true;
+  const genres = Array.isArray(meta?.genres) ? meta.genres : (Array.isArray(meta?.genre) ? meta.genre : []);
+  return genres.some((genre) => DATE_BASED_GENRES.has(String(genre).toLowerCase()));
+}
+
+function resolveEpisodeAirDate(meta, season, episode) {
+  const videos = Array.isArray(meta?.videos) ? meta.videos : [];
+  const video = videos.find((entry) => Number(entry?.season) === season && Number(entry?.episode ?? entry?.number) === episode);
+  const released = video?.released || video?.firstAired || null;
+  const match = typeof released === 'string' ? released.match(/^(\d{4})-(\d{2})-(\d{2})/) : null;
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+// "Season 1 Pack", "S01-S03 Pack" or "E01-E03" for releases spanning more than one episode
+function describeEpisodePack(coverage) {
+  if (!coverage || coverage.type === 'episode') return null;
+  const pad = (value) => String(value).padStart(2, '0');
+  if (coverage.type === 'multi-episode') {
+    return `S${pad(coverage.season)} E${pad(coverage.episodeStart)}-E${pad(coverage.episodeEnd)}`;
+  }
+  return coverage.seasonEnd > coverage.season
+    ? `S${pad(coverage.season)}-S${pad(coverage.seasonEnd)} Pack`
+    : `Season ${coverage.season} Pack`;
+}
+
+// Ordered failover list carried on NZBDav stream URLs as base64url JSON
+function encodeFailoverCandidates(candidates) {
+  const compact = candidates.map((candidate) => ({
+    downloadUrl: candidate.downloadUrl,
+    title: candidate.title || null,
+    indexerId: candidate.indexerId || null,
+    sourceType: candidate.sourceType || null,
+    seasonPack: Boolean(candidate.seasonPack),
+  }));
+  return Buffer.from(JSON.stringify(compact), 'utf8').toString('base64url');
+}
+
+function decodeFailoverCandidates(raw) {
+  if (typeof raw !== 'string' || !raw) return [];
+  try {
+    const parsed = JSON.parse(decodeBase64Value(raw));
+    return Array.isArray(parsed)
+      ? parsed.filter((candidate) => candidate && typeof candidate.downloadUrl === 'string' && candidate.downloadUrl)
+      : [];
+  } catch (error) {
+    console.warn('[NZBDAV] Ignoring malformed failover candidate list');
+    return [];
+  }
+}
+
+function resolveResultResolution(result) {
+  const qualityMatch = result.title?.match(/(4320p|2160p|1440p|1080p|720p|576p|540p|480p|360p|240p|8k|4k|uhd)/i);
+  return result.release?.resolution
+    || result.resolution
+    || (qualityMatch ? normalizeResolutionToken(qualityMatch[0]) : null);
+}
+
+// Codec, audio, group and edition details for the stream description
+function describeReleaseDetails(result) {
+  const parts = [];
+  const video = [result.videoCodec, result.bitDepth ? `${result.bitDepth}bit` : null].filter(Boolean).join(' ');
+  if (video) parts.push(`🎞️ ${video}`);
+  const audio = [result.audioCodec, result.atmos ? 'Atmos' : null, result.audioChannels].filter(Boolean).join(' ');
+  if (audio) parts.push(`🔊 ${audio}`);
+  if (result.edition) parts.push(result.edition);
+  if (result.proper) parts.push('PROPER');
+  if (result.repack) parts.push('REPACK');
+  if (result.releaseGroup) parts.push(`👥 ${result.releaseGroup}`);
+  return parts.join(' • ');
+}
+
 app.use(cors());
 app.use('/assets', express.static(path.join(__dirname, 'assets')));
 
@@ -97,10 +175,138 @@ adminApiRouter.get('/config', (req, res) => {
     runtimeEnvPath: runtimeEnv.RUNTIME_ENV_FILE,
     debugNewznabSearch: isNewznabDebugEnabled(),
     newznabPresets: newznabService.getAvailableNewznabPresets(),
+    newznabCircuits: newznabService.getCircuitSnapshots(newznabService.getEnvNewznabConfigs()),
     addonVersion: ADDON_VERSION,
   });
 });
 
+adminApiRouter.get('/newznab/circuits', (req, res) => {
+  res.json({ circuits: newznabService.getCircuitSnapshots(newznabService.getEnvNewznabConfigs()) });
+});
+
+adminApiRouter.post('/newznab/circuits/reset', (req, res) => {
+  newznabService.resetCircuits('admin-reset');
+  res.json({ circuits: newznabService.getCircuitSnapshots(newznabService.getEnvNewznabConfigs()) });
+});
+
+adminApiRouter.get('/cache', (req, res) => {
+  res.json({
+    stats: cache.getAllCacheStats(),
+    stream: cache.listStreamCacheEntries(),
+    nzb: cache.listVerifiedNzbCacheEntries(),
+    nzbdav: cache.listNzbdavStreamEntries(),
+  });
+});
+
+// POST rather than DELETE /cache/:name/...: addon token extraction treats any /<segment>/stream path as an addon route
+adminApiRouter.post('/cache/entries/delete', (req, res) => {
+  const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+  const key = typeof req.body?.key === 'string' ? req.body.key : '';
+  if (!key) {
+    res.status(400).json({ error: 'key is required' });
+    return;
+  }
+  const removed = cache.deleteCacheEntry(name, key);
+  if (removed === null) {
+    res.status(404).json({ error: `Unknown cache ${name}` });
+    return;
+  }
+  if (!removed) {
+    const detail = name === 'nzbdav' ? ' (pending NZBDav mounts cannot be removed)' : '';
+    res.status(404).json({ error: `Entry not found${detail}` });
+    return;
+  }
+  console.log('[CACHE] Removed cache entry from admin', { cache: name, key });
+  res.json({ success: true });
+});
+
+adminApiRouter.post('/cache/purge', (req, res) => {
+  const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+  if (!cache.purgeCache(name, 'admin-purge')) {
+    res.status(404).json({ error: `Unknown cache ${name}` });
+    return;
+  }
+  res.json({ success: true, stats: cache.getAllCacheStats() });
+});
+
+function describeProfile(profile) {
+  const baseUrl = (ADDON_BASE_URL || '').replace(/\/$/, '');
+  return {
+    ...profile,
+    manifestUrl: baseUrl ? `${baseUrl}/${profile.token}/manifest.json` : '',
+  };
+}
+
+function sendProfileError(res, error) {
+  if (error.code === 'PROFILE_NOT_FOUND') {
+    res.status(404).json({ error: error.message });
+  } else if (error.code === 'PROFILE_INVALID') {
+    res.status(400).json({ error: error.message });
+  } else {
+    console.error('[ADMIN] Failed to update profiles', error);
+    res.status(500).json({ error: 'Failed to persist profile changes' });
+  }
+}
+
+adminApiRouter.get('/profiles', (req, res) => {
+  res.json({
+    profiles: profileService.listProfiles().map(describeProfile),
+    settingKeys: profileService.PROFILE_SETTING_KEYS,
+  });
+});
+
+adminApiRouter.post('/profiles', (req, res) => {
+  try {
+    const profile = profileService.createProfile(req.body || {}, { reservedTokens: [ADDON_SHARED_SECRET] });
+    res.status(201).json({ profile: describeProfile(profile) });
+  } catch (error) {
+    sendProfileError(res, error);
+  }
+});
+
+adminApiRouter.put('/profiles/:id', (req, res) => {
+  try {
+    const profile = profileService.updateProfile(req.params.id, req.body || {}, { reservedTokens: [ADDON_SHARED_SECRET] });
+    cache.clearStreamResponseCache('profile-update');
+    res.json({ profile: describeProfile(profile) });
+  } catch (error) {
+    sendProfileError(res, error);
+  }
+});
+
+adminApiRouter.delete('/profiles/:id', (req, res) => {
+  if (!profileService.deleteProfile(req.params.id)) {
+    res.status(404).json({ error: `Unknown profile ${req.params.id}` });
+    return;
+  }
+  cache.clearStreamResponseCache('profile-delete');
+  res.json({ success: true });
+});
+
+// Scores sample release titles against the given (unsaved) custom formats so rules can be tuned before saving
+adminApiRouter.post('/scoring/preview', (req, res) => {
+  const payload = req.body || {};
+  const titles = Array.isArray(payload.titles)
+    ? payload.titles.map((title) => String(title || '').trim()).filter(Boolean)
+    : [];
+  let formats;
+  try {
+    formats = customFormats.parseCustomFormats(
+      typeof payload.formats === 'string' ? payload.formats : (process.env.NZB_CUSTOM_FORMATS || '')
+    );
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return;
+  }
+  const results = titles
+    .map((title) => {
+      const { score, matches } = customFormats.scoreResult({ title }, formats);
+      return { title, score, matches, attributes: customFormats.extractFormatAttributes({ title }) };
+    })
+    .sort((a, b) => b.score - a.score);
+  res.json({ formatCount: formats.length, results });
+});
+
 adminApiRouter.post('/config', async (req, res) => {
   const payload = req.body || {};
   const incoming = payload.values;
@@ -139,15 +345,28 @@ adminApiRouter.post('/config', async (req, res) => {
     }
   });
 
+  if (updates.NZB_CUSTOM_FORMATS) {
+    try {
+      customFormats.parseCustomFormats(updates.NZB_CUSTOM_FORMATS);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+  }
+
   try {
     runtimeEnv.updateRuntimeEnv(updates);
     runtimeEnv.applyRuntimeEnv();
     indexerService.reloadConfig();
     nzbdavService.reloadConfig();
+    downloadClients.reloadConfig();
     if (typeof cache.reloadNzbdavCacheConfig === 'function') {
       cache.reloadNzbdavCacheConfig();
     }
-    cache.clearAllCaches('admin-config-save');
+    cache.reloadTriageDecisionStoreConfig();
+    // Verified NZB payloads do not depend on configuration, so they survive saves
+    cache.clearStreamResponseCache('admin-config-save');
+    cache.clearNzbdavStreamCache('admin-config-save');
     const { portChanged } = rebuildRuntimeConfig();
     if (portChanged) {
       await restartHttpServer();
@@ -178,6 +397,12 @@ adminApiRouter.post('/test-connections', async (req, res) => {
       case 'nzbdav':
         message = await testNzbdavConnection(values);
         break;
+      case 'sabnzbd':
+        message = await testSabnzbdConnection(values);
+        break;
+      case 'nzbget':
+        message = await testNzbgetConnection(values);
+        break;
       case 'usenet':
         message = await testUsenetConnection(values);
         break;
@@ -217,6 +442,43 @@ app.get('/', (req, res) => {
   res.redirect('/admin');
 });
 
+// Public configure page: builds install URLs carrying signed per-install preferences
+const configureDir = path.join(__dirname, 'configure');
+
+app.use(applyInstallSettings);
+['/configure', '/:token/configure'].forEach((route) => {
+  app.get(route, (req, res) => {
+    res.sendFile(path.join(configureDir, 'index.html'));
+  });
+});
+app.use('/configure', express.static(configureDir, { index: false, redirect: false }));
+
+app.post('/configure/api/encode', express.json({ limit: '16kb' }), (req, res) => {
+  try {
+    const { segment, settings } = installSettings.encodeInstallSettings(req.body?.settings || {});
+    const baseUrl = (ADDON_BASE_URL || '').replace(/\/$/, '');
+    const token = typeof req.body?.token === 'string' ? req.body.token.trim() : '';
+    const tokenSegment = token ? `/${encodeURIComponent(token)}` : '';
+    res.json({
+      segment,
+      settings,
+      manifestUrl: baseUrl ? `${baseUrl}${tokenSegment}/${segment}/manifest.json` : null,
+    });
+  } catch (error) {
+    res.status(error.code === 'INSTALL_SETTINGS_INVALID' ? 400 : 500).json({ error: error.message });
+  }
+});
+
+app.get('/configure/api/decode', (req, res) => {
+  const segment = typeof req.query.segment === 'string' ? req.query.segment : '';
+  const settings = installSettings.decodeInstallSettings(segment);
+  if (!settings) {
+    res.status(400).json({ error: 'Invalid or tampered install settings' });
+    return;
+  }
+  res.json({ settings });
+});
+
 app.use((req, res, next) => {
   if (req.path.startsWith('/assets/')) return next();
   if (req.path.startsWith('/admin') && !req.path.startsWith('/admin/api')) return next();
@@ -226,9 +488,11 @@ app.use((req, res, next) => {
 
 // Additional authentication middleware is registered after admin routes are defined
 
-// Streaming mode: 'nzbdav' (default) or 'native' (Windows Stremio v5 only)
+// Streaming mode: 'nzbdav' (default), 'native' (Windows Stremio v5 only) or
+// 'direct' (articles fetched over NNTP and served by this addon)
+const STREAMING_MODES = ['nzbdav', 'native', 'direct'];
 let STREAMING_MODE = (process.env.STREAMING_MODE || 'nzbdav').trim().toLowerCase();
-if (!['nzbdav', 'native'].includes(STREAMING_MODE)) STREAMING_MODE = 'nzbdav';
+if (!STREAMING_MODES.includes(STREAMING_MODE)) STREAMING_MODE = 'nzbdav';
 
 // Configure indexer manager (Prowlarr or NZBHydra)
 // Note: In native streaming mode, manager is forced to 'none'
@@ -432,16 +696,11 @@ function dedupeResultsByTitle(results) {
   return deduped;
 }
 
-function buildTriageNntpConfig() {
-  const host = (process.env.NZB_TRIAGE_NNTP_HOST || '').trim();
-  if (!host) return null;
-  return {
-    host,
-    port: toPositiveInt(process.env.NZB_TRIAGE_NNTP_PORT, 119),
-    user: (process.env.NZB_TRIAGE_NNTP_USER || '').trim() || undefined,
-    pass: (process.env.NZB_TRIAGE_NNTP_PASS || '').trim() || undefined,
-    useTLS: toBoolean(process.env.NZB_TRIAGE_NNTP_TLS, false),
-  };
+// Single-provider callers keep getting the NZB_TRIAGE_NNTP_* provider even when a backup has a lower priority
+function buildTriageNntpConfig(providers = TRIAGE_NNTP_PROVIDERS) {
+  if (!Array.isArray(providers) || providers.length === 0) return null;
+  const legacy = providers.find((provider) => provider.id === 'primary');
+  return { ...(legacy || providers[0]) };
 }
 
 /**
@@ -450,26 +709,30 @@ function buildTriageNntpConfig() {
  * or nntp:// for non-TLS connections
  */
 function buildNntpServersArray() {
-  const host = (process.env.NZB_TRIAGE_NNTP_HOST || '').trim();
-  if (!host) return [];
-  
-  const port = toPositiveInt(process.env.NZB_TRIAGE_NNTP_PORT, 119);
-  const user = (process.env.NZB_TRIAGE_NNTP_USER || '').trim();
-  const pass = (process.env.NZB_TRIAGE_NNTP_PASS || '').trim();
-  const useTLS = toBoolean(process.env.NZB_TRIAGE_NNTP_TLS, false);
-  const connections = toPositiveInt(process.env.NZB_TRIAGE_NNTP_MAX_CONNECTIONS, 12);
-  
-  const protocol = useTLS ? 'nntps' : 'nntp';
-  const auth = user && pass ? `${encodeURIComponent(user)}:${encodeURIComponent(pass)}@` : '';
-  const serverUrl = `${protocol}://${auth}${host}:${port}/${connections}`;
-  
-  return [serverUrl];
+  const providers = getNntpProviderConfigs();
+  if (providers.length === 0) return [];
+  const primaryConnections = toPositiveInt(process.env.NZB_TRIAGE_NNTP_MAX_CONNECTIONS, 12);
+
+  return providers.map((provider) => {
+    const protocol = provider.useTLS ? 'nntps' : 'nntp';
+    const auth = provider.user && provider.pass
+      ? `${encodeURIComponent(provider.user)}:${encodeURIComponent(provider.pass)}@`
+      : '';
+    const connections = provider.maxConnections || primaryConnections;
+    return `${protocol}://${auth}${provider.host}:${provider.port}/${connections}`;
+  });
 }
 
 let INDEXER_SORT_MODE = normalizeSortMode(process.env.NZB_SORT_MODE, 'quality_then_size');
 let INDEXER_PREFERRED_LANGUAGES = resolvePreferredLanguages(process.env.NZB_PREFERRED_LANGUAGE, []);
 let INDEXER_DEDUP_ENABLED = toBoolean(process.env.NZB_DEDUP_ENABLED, true);
 let INDEXER_HIDE_BLOCKED_RESULTS = toBoolean(process.env.NZB_HIDE_BLOCKED_RESULTS, false);
+let INDEXER_SEASON_PACKS_ENABLED = toBoolean(process.env.NZB_SEASON_PACKS_ENABLED, true);
+let INDEXER_ANIME_SEARCH_ENABLED = toBoolean(process.env.NZB_ANIME_SEARCH_ENABLED, true);
+let INDEXER_AIR_DATE_SEARCH_ENABLED = toBoolean(process.env.NZB_AIR_DATE_SEARCH_ENABLED, true);
+let NZBDAV_FAILOVER_ENABLED = toBoolean(process.env.NZBDAV_FAILOVER_ENABLED, false);
+let NZBDAV_FAILOVER_MAX_CANDIDATES = toPositiveInt(process.env.NZBDAV_FAILOVER_MAX_CANDIDATES, 3);
+let NZBDAV_FAILOVER_TIME_BUDGET_MS = toPositiveInt(process.env.NZBDAV_FAILOVER_TIME_BUDGET_SECONDS, 180) * 1000;
 let INDEXER_MAX_RESULT_SIZE_BYTES = toSizeBytesFromGb(
   process.env.NZB_MAX_RESULT_SIZE_GB && process.env.NZB_MAX_RESULT_SIZE_GB !== ''
     ? process.env.NZB_MAX_RESULT_SIZE_GB
@@ -485,15 +748,23 @@ let TRIAGE_PRIORITY_INDEXERS = parseCommaList(process.env.NZB_TRIAGE_PRIORITY_IN
 let TRIAGE_HEALTH_INDEXERS = parseCommaList(process.env.NZB_TRIAGE_HEALTH_INDEXERS);
 let TRIAGE_SERIALIZED_INDEXERS = parseCommaList(process.env.NZB_TRIAGE_SERIALIZED_INDEXERS);
 let TRIAGE_ARCHIVE_DIRS = parsePathList(process.env.NZB_TRIAGE_ARCHIVE_DIRS);
+let TRIAGE_NNTP_PROVIDERS = getNntpProviderConfigs();
 let TRIAGE_NNTP_CONFIG = buildTriageNntpConfig();
 let TRIAGE_MAX_DECODED_BYTES = toPositiveInt(process.env.NZB_TRIAGE_MAX_DECODED_BYTES, 32 * 1024);
 let TRIAGE_NNTP_MAX_CONNECTIONS = toPositiveInt(process.env.NZB_TRIAGE_MAX_CONNECTIONS, 12);
 let TRIAGE_MAX_PARALLEL_NZBS = toPositiveInt(process.env.NZB_TRIAGE_MAX_PARALLEL_NZBS, 16);
 let TRIAGE_STAT_SAMPLE_COUNT = toPositiveInt(process.env.NZB_TRIAGE_STAT_SAMPLE_COUNT, 2);
 let TRIAGE_ARCHIVE_SAMPLE_COUNT = toPositiveInt(process.env.NZB_TRIAGE_ARCHIVE_SAMPLE_COUNT, 1);
+let TRIAGE_PAR2_PROBE_COUNT = toPositiveInt(process.env.NZB_TRIAGE_PAR2_PROBE_COUNT, 8);
+let TRIAGE_DEEP_SCAN = toBoolean(process.env.NZB_TRIAGE_DEEP_SCAN, false);
 let TRIAGE_REUSE_POOL = toBoolean(process.env.NZB_TRIAGE_REUSE_POOL, true);
 let TRIAGE_NNTP_KEEP_ALIVE_MS = toPositiveInt(process.env.NZB_TRIAGE_NNTP_KEEP_ALIVE_MS, 0);
 
+// SABnzbd and NZBGet run par2 repair before playback; NZBDav mounts and direct/native streams cannot
+function downloadClientRepairs() {
+  return STREAMING_MODE === 'nzbdav' && ['sabnzbd', 'nzbget'].includes(downloadClients.getDownloadClient().type);
+}
+
 let TRIAGE_BASE_OPTIONS = {
   archiveDirs: TRIAGE_ARCHIVE_DIRS,
   maxDecodedBytes: TRIAGE_MAX_DECODED_BYTES,
@@ -501,6 +772,9 @@ let TRIAGE_BASE_OPTIONS = {
   maxParallelNzbs: TRIAGE_MAX_PARALLEL_NZBS,
   statSampleCount: TRIAGE_STAT_SAMPLE_COUNT,
   archiveSampleCount: TRIAGE_ARCHIVE_SAMPLE_COUNT,
+  par2ProbeSampleCount: TRIAGE_PAR2_PROBE_COUNT,
+  deepScan: TRIAGE_DEEP_SCAN,
+  acceptRepairable: downloadClientRepairs(),
   reuseNntpPool: TRIAGE_REUSE_POOL,
   nntpKeepAliveMs: TRIAGE_NNTP_KEEP_ALIVE_MS,
   healthCheckTimeoutMs: TRIAGE_TIME_BUDGET_MS,
@@ -511,6 +785,7 @@ function buildSharedPoolOptions() {
   if (!TRIAGE_NNTP_CONFIG) return null;
   return {
     nntpConfig: { ...TRIAGE_NNTP_CONFIG },
+    nntpProviders: TRIAGE_NNTP_PROVIDERS.map((provider) => ({ ...provider })),
     nntpMaxConnections: TRIAGE_NNTP_MAX_CONNECTIONS,
     reuseNntpPool: TRIAGE_REUSE_POOL,
     nntpKeepAliveMs: TRIAGE_NNTP_KEEP_ALIVE_MS,
@@ -571,9 +846,9 @@ function rebuildRuntimeConfig({ log = true } = {}) {
   const previousBaseUrl = ADDON_BASE_URL;
   const previousSharedSecret = ADDON_SHARED_SECRET;
 
-  // Streaming mode: 'nzbdav' (default) or 'native' (Windows Stremio v5 only)
+  // Streaming mode: 'nzbdav' (default), 'native' or 'direct'
   STREAMING_MODE = (process.env.STREAMING_MODE || 'nzbdav').trim().toLowerCase();
-  if (!['nzbdav', 'native'].includes(STREAMING_MODE)) STREAMING_MODE = 'nzbdav';
+  if (!STREAMING_MODES.includes(STREAMING_MODE)) STREAMING_MODE = 'nzbdav';
 
   ADDON_BASE_URL = (process.env.ADDON_BASE_URL || '').trim();
   ADDON_SHARED_SECRET = (process.env.ADDON_SHARED_SECRET || '').trim();
@@ -622,6 +897,12 @@ function rebuildRuntimeConfig({ log = true } = {}) {
   INDEXER_PREFERRED_LANGUAGES = resolvePreferredLanguages(process.env.NZB_PREFERRED_LANGUAGE, []);
   INDEXER_DEDUP_ENABLED = toBoolean(process.env.NZB_DEDUP_ENABLED, true);
   INDEXER_HIDE_BLOCKED_RESULTS = toBoolean(process.env.NZB_HIDE_BLOCKED_RESULTS, false);
+  INDEXER_SEASON_PACKS_ENABLED = toBoolean(process.env.NZB_SEASON_PACKS_ENABLED, true);
+  INDEXER_ANIME_SEARCH_ENABLED = toBoolean(process.env.NZB_ANIME_SEARCH_ENABLED, true);
+  INDEXER_AIR_DATE_SEARCH_ENABLED = toBoolean(process.env.NZB_AIR_DATE_SEARCH_ENABLED, true);
+  NZBDAV_FAILOVER_ENABLED = toBoolean(process.env.NZBDAV_FAILOVER_ENABLED, false);
+  NZBDAV_FAILOVER_MAX_CANDIDATES = toPositiveInt(process.env.NZBDAV_FAILOVER_MAX_CANDIDATES, 3);
+  NZBDAV_FAILOVER_TIME_BUDGET_MS = toPositiveInt(process.env.NZBDAV_FAILOVER_TIME_BUDGET_SECONDS, 180) * 1000;
   INDEXER_MAX_RESULT_SIZE_BYTES = toSizeBytesFromGb(
     process.env.NZB_MAX_RESULT_SIZE_GB && process.env.NZB_MAX_RESULT_SIZE_GB !== ''
       ? process.env.NZB_MAX_RESULT_SIZE_GB
@@ -639,12 +920,15 @@ function rebuildRuntimeConfig({ log = true } = {}) {
   TRIAGE_SERIALIZED_INDEXERS = parseCommaList(process.env.NZB_TRIAGE_SERIALIZED_INDEXERS);
   refreshPaidIndexerTokens();
   TRIAGE_ARCHIVE_DIRS = parsePathList(process.env.NZB_TRIAGE_ARCHIVE_DIRS);
+  TRIAGE_NNTP_PROVIDERS = getNntpProviderConfigs();
   TRIAGE_NNTP_CONFIG = buildTriageNntpConfig();
   TRIAGE_MAX_DECODED_BYTES = toPositiveInt(process.env.NZB_TRIAGE_MAX_DECODED_BYTES, 32 * 1024);
   TRIAGE_NNTP_MAX_CONNECTIONS = toPositiveInt(process.env.NZB_TRIAGE_MAX_CONNECTIONS, 60);
   TRIAGE_MAX_PARALLEL_NZBS = toPositiveInt(process.env.NZB_TRIAGE_MAX_PARALLEL_NZBS, 16);
   TRIAGE_STAT_SAMPLE_COUNT = toPositiveInt(process.env.NZB_TRIAGE_STAT_SAMPLE_COUNT, 2);
   TRIAGE_ARCHIVE_SAMPLE_COUNT = toPositiveInt(process.env.NZB_TRIAGE_ARCHIVE_SAMPLE_COUNT, 1);
+  TRIAGE_PAR2_PROBE_COUNT = toPositiveInt(process.env.NZB_TRIAGE_PAR2_PROBE_COUNT, 8);
+  TRIAGE_DEEP_SCAN = toBoolean(process.env.NZB_TRIAGE_DEEP_SCAN, false);
   TRIAGE_REUSE_POOL = toBoolean(process.env.NZB_TRIAGE_REUSE_POOL, true);
   TRIAGE_NNTP_KEEP_ALIVE_MS = toPositiveInt(process.env.NZB_TRIAGE_NNTP_KEEP_ALIVE_MS, 0);
   TRIAGE_BASE_OPTIONS = {
@@ -654,6 +938,9 @@ function rebuildRuntimeConfig({ log = true } = {}) {
     maxParallelNzbs: TRIAGE_MAX_PARALLEL_NZBS,
     statSampleCount: TRIAGE_STAT_SAMPLE_COUNT,
     archiveSampleCount: TRIAGE_ARCHIVE_SAMPLE_COUNT,
+    par2ProbeSampleCount: TRIAGE_PAR2_PROBE_COUNT,
+    deepScan: TRIAGE_DEEP_SCAN,
+    acceptRepairable: downloadClientRepairs(),
     reuseNntpPool: TRIAGE_REUSE_POOL,
     nntpKeepAliveMs: TRIAGE_NNTP_KEEP_ALIVE_MS,
     healthCheckTimeoutMs: TRIAGE_TIME_BUDGET_MS,
@@ -699,9 +986,13 @@ const ADMIN_CONFIG_KEYS = [
   'INDEXER_MANAGER_CACHE_MINUTES',
   'NZB_SORT_MODE',
   'NZB_PREFERRED_LANGUAGE',
+  'NZB_CUSTOM_FORMATS',
   'NZB_MAX_RESULT_SIZE_GB',
   'NZB_DEDUP_ENABLED',
   'NZB_HIDE_BLOCKED_RESULTS',
+  'NZB_SEASON_PACKS_ENABLED',
+  'NZB_ANIME_SEARCH_ENABLED',
+  'NZB_AIR_DATE_SEARCH_ENABLED',
   'NZB_ALLOWED_RESOLUTIONS',
   'NZB_RESOLUTION_LIMIT_PER_QUALITY',
   'NZBDAV_URL',
@@ -709,9 +1000,25 @@ const ADMIN_CONFIG_KEYS = [
   'NZBDAV_WEBDAV_URL',
   'NZBDAV_WEBDAV_USER',
   'NZBDAV_WEBDAV_PASS',
+  'NZBDAV_PATH_MAPPINGS',
   'NZBDAV_CATEGORY',
   'NZBDAV_CATEGORY_MOVIES',
   'NZBDAV_CATEGORY_SERIES',
+  'NZBDAV_HISTORY_CATALOG_ENABLED',
+  'NZBDAV_HISTORY_CATALOG_NAME',
+  'NZBDAV_HISTORY_CATALOG_LIMIT',
+  'DOWNLOAD_CLIENT',
+  'DOWNLOAD_CLIENT_WAIT_SECONDS',
+  'SABNZBD_URL',
+  'SABNZBD_API_KEY',
+  'SABNZBD_PATH_MAPPINGS',
+  'NZBGET_URL',
+  'NZBGET_USER',
+  'NZBGET_PASS',
+  'NZBGET_PATH_MAPPINGS',
+  'NZBDAV_FAILOVER_ENABLED',
+  'NZBDAV_FAILOVER_MAX_CANDIDATES',
+  'NZBDAV_FAILOVER_TIME_BUDGET_SECONDS',
   'NZB_TRIAGE_HEALTH_INDEXERS',
   'SPECIAL_PROVIDER_ID',
   'SPECIAL_PROVIDER_URL',
@@ -726,6 +1033,11 @@ const ADMIN_CONFIG_KEYS = [
   'NZB_TRIAGE_MAX_PARALLEL_NZBS',
   'NZB_TRIAGE_STAT_SAMPLE_COUNT',
   'NZB_TRIAGE_ARCHIVE_SAMPLE_COUNT',
+  'NZB_TRIAGE_PAR2_PROBE_COUNT',
+  'NZB_TRIAGE_DEEP_SCAN',
+  'NZB_TRIAGE_DECISION_TTL_VERIFIED_HOURS',
+  'NZB_TRIAGE_DECISION_TTL_BLOCKED_HOURS',
+  'NZB_TRIAGE_DECISION_TTL_UNVERIFIED_HOURS',
   'NZB_TRIAGE_MAX_DECODED_BYTES',
   'NZB_TRIAGE_NNTP_HOST',
   'NZB_TRIAGE_NNTP_PORT',
@@ -741,6 +1053,8 @@ const ADMIN_CONFIG_KEYS = [
 ];
 
 ADMIN_CONFIG_KEYS.push('NEWZNAB_ENABLED', 'NEWZNAB_FILTER_NZB_ONLY', ...NEWZNAB_NUMBERED_KEYS);
+ADMIN_CONFIG_KEYS.push('NZB_TRIAGE_NNTP_PRIORITY', ...NNTP_PROVIDER_NUMBERED_KEYS);
+ADMIN_CONFIG_KEYS.push(...resultFilters.FILTER_ENV_KEYS);
 
 function extractTriageOverrides(query) {
   if (!query || typeof query !== 'object') return {};
@@ -771,6 +1085,31 @@ function extractTriageOverrides(query) {
     sortMode: typeof sortMode === 'string' ? sortMode : null,
     preferredLanguages: typeof preferredLanguageInput === 'string' ? preferredLanguageInput : null,
     dedupeEnabled: dedupeOverride,
+    filters: resultFilters.parseFilterOverrides(query),
+  };
+}
+
+// Effective preferences for a request: profile overrides layered on the global settings
+function resolveProfilePreferences(profile) {
+  const settings = profile?.settings || {};
+  const isSet = (key) => typeof settings[key] === 'string' && settings[key].trim() !== '';
+  return {
+    sortMode: isSet('NZB_SORT_MODE') ? normalizeSortMode(settings.NZB_SORT_MODE, INDEXER_SORT_MODE) : INDEXER_SORT_MODE,
+    preferredLanguages: isSet('NZB_PREFERRED_LANGUAGE')
+      ? resolvePreferredLanguages(settings.NZB_PREFERRED_LANGUAGE, [])
+      : INDEXER_PREFERRED_LANGUAGES,
+    maxResultSizeBytes: isSet('NZB_MAX_RESULT_SIZE_GB')
+      ? toSizeBytesFromGb(settings.NZB_MAX_RESULT_SIZE_GB)
+      : INDEXER_MAX_RESULT_SIZE_BYTES,
+    allowedResolutions: isSet('NZB_ALLOWED_RESOLUTIONS')
+      ? parseAllowedResolutionList(settings.NZB_ALLOWED_RESOLUTIONS)
+      : ALLOWED_RESOLUTIONS,
+    resolutionLimitPerQuality: isSet('NZB_RESOLUTION_LIMIT_PER_QUALITY')
+      ? parseResolutionLimitValue(settings.NZB_RESOLUTION_LIMIT_PER_QUALITY)
+      : RESOLUTION_LIMIT_PER_QUALITY,
+    dedupeEnabled: toBoolean(settings.NZB_DEDUP_ENABLED, INDEXER_DEDUP_ENABLED),
+    hideBlockedResults: toBoolean(settings.NZB_HIDE_BLOCKED_RESULTS, INDEXER_HIDE_BLOCKED_RESULTS),
+    triageEnabled: toBoolean(settings.NZB_TRIAGE_ENABLED, TRIAGE_ENABLED),
   };
 }
 
@@ -783,9 +1122,18 @@ function executeManagerPlanWithBackoff(plan) {
     console.warn(`${INDEXER_LOG_PREFIX} Skipping manager search during backoff (${remaining}s remaining)`);
     return Promise.resolve({ results: [], errors: [`manager backoff (${remaining}s remaining)`] });
   }
+  const startedAt = Date.now();
+  const metricLabels = { source: 'manager', indexer: INDEXER_MANAGER };
   return indexerService.executeIndexerPlan(plan)
-    .then((data) => ({ results: Array.isArray(data) ? data : [] }))
+    .then((data) => {
+      const results = Array.isArray(data) ? data : [];
+      metrics.observeHistogram('indexer_search_duration_seconds', metricLabels, (Date.now() - startedAt) / 1000);
+      metrics.incrementCounter('indexer_search_results_total', metricLabels, results.length);
+      return { results };
+    })
     .catch((error) => {
+      metrics.observeHistogram('indexer_search_duration_seconds', metricLabels, (Date.now() - startedAt) / 1000);
+      metrics.incrementCounter('indexer_search_errors_total', metricLabels);
       if (INDEXER_MANAGER_BACKOFF_ENABLED) {
         indexerManagerUnavailableUntil = Date.now() + (INDEXER_MANAGER_BACKOFF_SECONDS * 1000);
         console.warn(`${INDEXER_LOG_PREFIX} Manager search failed; backing off for ${INDEXER_MANAGER_BACKOFF_SECONDS}s`, error?.message || error);
@@ -825,6 +1173,15 @@ function executeNewznabPlan(plan) {
     logEndpoints: endpointLogEnabled,
     label: NEWZNAB_LOG_PREFIX,
   }).then((result) => {
+    (result?.endpoints || []).forEach((endpoint) => {
+      if (endpoint.skipped) return;
+      const metricLabels = { source: 'newznab', indexer: endpoint.name || endpoint.id };
+      if (Number.isFinite(endpoint.durationMs)) {
+        metrics.observeHistogram('indexer_search_duration_seconds', metricLabels, endpoint.durationMs / 1000);
+      }
+      if (endpoint.error) metrics.incrementCounter('indexer_search_errors_total', metricLabels);
+      else metrics.incrementCounter('indexer_search_results_total', metricLabels, endpoint.count || 0);
+    });
     logNewznabDebug('Search plan completed', {
       plan: planSummary,
       totalResults: Array.isArray(result?.results) ? result.results.length : 0,
@@ -883,10 +1240,13 @@ const STREAM_HIGH_WATER_MARK = (() => {
 const STREAM_CACHE_MAX_ENTRIES = 1000; // Max entries in stream response cache
 
 const CINEMETA_URL = 'https://v3-cinemeta.strem.io/meta';
+const CINEMETA_CACHE_TTL_MS = 6 * 60 * 60 * 1000;
+const CINEMETA_CACHE_MAX_ENTRIES = 200;
+const cinemetaMetaCache = new Map(); // "type/id" -> { expiresAt, meta }
 const pipelineAsync = promisify(pipeline);
 const posixPath = path.posix;
 
-function buildStreamCacheKey({ type, id, query = {}, requestedEpisode = null }) {
+function buildStreamCacheKey({ type, id, query = {}, requestedEpisode = null, profileId = null }) {
   const normalizedQuery = {};
   Object.keys(query)
     .sort()
@@ -899,7 +1259,7 @@ function buildStreamCacheKey({ type, id, query = {}, requestedEpisode = null })
         episode: Number.isFinite(requestedEpisode.episode) ? requestedEpisode.episode : null,
       }
     : null;
-  return JSON.stringify({ type, id, requestedEpisode: normalizedEpisode, query: normalizedQuery });
+  return JSON.stringify({ type, id, profileId, requestedEpisode: normalizedEpisode, query: normalizedQuery });
 }
 
 function restoreTriageDecisions(snapshot) {
@@ -952,20 +1312,28 @@ function ensureAddonConfigured() {
 function manifestHandler(req, res) {
   ensureAddonConfigured();
 
-  const description = STREAMING_MODE === 'native'
-    ? 'Native Usenet streaming for Stremio v5 (Windows) - NZB sources via direct Newznab indexers'
-    : 'Usenet-powered instant streams for Stremio via Prowlarr/NZBHydra and NZBDav';
+  let description = 'Usenet-powered instant streams for Stremio via Prowlarr/NZBHydra and NZBDav';
+  if (STREAMING_MODE === 'native') {
+    description = 'Native Usenet streaming for Stremio v5 (Windows) - NZB sources via direct Newznab indexers';
+  } else if (STREAMING_MODE === 'direct') {
+    description = 'Usenet streams for Stremio served straight from your NNTP provider';
+  }
 
+  const historyCatalogActive = isHistoryCatalogActive();
   res.json({
     id: STREAMING_MODE === 'native' ? 'com.usenet.streamer.native' : 'com.usenet.streamer',
     version: ADDON_VERSION,
-    name: ADDON_NAME,
+    name: req.profile ? `${ADDON_NAME} (${req.profile.name})` : ADDON_NAME,
     description,
     logo: `${ADDON_BASE_URL.replace(/\/$/, '')}/assets/icon.png`,
-    resources: ['stream'],
+    resources: historyCatalogActive
+      // Catalog items are plain IMDb ids, so Cinemeta serves their meta pages
+      ? ['stream', 'catalog']
+      : ['stream'],
     types: ['movie', 'series', 'channel', 'tv'],
-    catalogs: [],
-    idPrefixes: ['tt', 'tvdb', 'pt', specialMetadata.SPECIAL_ID_PREFIX]
+    catalogs: historyCatalogActive ? historyCatalog.getHistoryCatalogDefinitions() : [],
+    idPrefixes: ['tt', 'tvdb', 'pt', specialMetadata.SPECIAL_ID_PREFIX],
+    behaviorHints: { configurable: true },
   });
 }
 
@@ -973,6 +1341,82 @@ function manifestHandler(req, res) {
   app.get(route, manifestHandler);
 });
 
+// "Recently streamed" catalogs only make sense when the download client keeps the history
+function isHistoryCatalogActive() {
+  return STREAMING_MODE === 'nzbdav'
+    && downloadClients.isDownloadClientConfigured()
+    && historyCatalog.getHistoryCatalogSettings().enabled;
+}
+
+function parseCatalogExtra(rawExtra) {
+  const extra = {};
+  if (!rawExtra) return extra;
+  new URLSearchParams(rawExtra).forEach((value, key) => {
+    extra[key] = value;
+  });
+  return extra;
+}
+
+async function catalogHandler(req, res) {
+  const { type, id } = req.params;
+  if (!isHistoryCatalogActive() || !historyCatalog.isHistoryCatalog(type, id)) {
+    res.status(404).json({ metas: [] });
+    return;
+  }
+  const extra = parseCatalogExtra(req.params.extra);
+  try {
+    const catalog = await historyCatalog.buildHistoryCatalog(type, { skip: Number(extra.skip) || 0 });
+    res.setHeader('Cache-Control', 'max-age=60');
+    res.json(catalog);
+  } catch (error) {
+    console.warn(`[HISTORY CATALOG] Failed to build ${type} catalog: ${error.message}`);
+    res.json({ metas: [] });
+  }
+}
+
+['/catalog/:type/:id.json', '/catalog/:type/:id/:extra.json', '/:token/catalog/:type/:id.json', '/:token/catalog/:type/:id/:extra.json'].forEach((route) => {
+  app.get(route, catalogHandler);
+});
+
+// Point-in-time gauges sampled on every scrape
+function collectSampledMetrics() {
+  const cacheStats = cache.getAllCacheStats();
+  const cacheEntries = [];
+  const cacheBytes = [];
+  const cacheEntriesByStatus = [];
+  Object.entries(cacheStats).forEach(([cacheName, stats]) => {
+    cacheEntries.push({ labels: { cache: cacheName }, value: stats?.entries });
+    cacheBytes.push({ labels: { cache: cacheName }, value: stats?.bytes });
+    Object.entries(stats?.byStatus || {}).forEach(([status, count]) => {
+      cacheEntriesByStatus.push({ labels: { cache: cacheName, status }, value: count });
+    });
+  });
+
+  const poolStats = getNntpPoolStats();
+  return [
+    { name: 'cache_entries', help: 'Entries held per cache', samples: cacheEntries },
+    { name: 'cache_bytes', help: 'Approximate bytes held per cache', samples: cacheBytes },
+    { name: 'cache_entries_by_status', help: 'Cache entries grouped by status', samples: cacheEntriesByStatus },
+    {
+      name: 'nntp_pool_events_total',
+      type: 'counter',
+      help: 'Shared NNTP pool lifecycle events',
+      samples: ['created', 'reused', 'closed'].map((event) => ({ labels: { event }, value: poolStats[event] })),
+    },
+    { name: 'nntp_pool_connections', help: 'Connections in the shared NNTP pool', samples: [{ value: poolStats.shared?.size ?? 0 }] },
+    { name: 'nntp_pool_idle_connections', help: 'Idle connections in the shared NNTP pool', samples: [{ value: poolStats.shared?.idle ?? 0 }] },
+  ];
+}
+
+function metricsHandler(req, res) {
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(metrics.renderMetrics(collectSampledMetrics()));
+}
+
+['/metrics', '/:token/metrics'].forEach((route) => {
+  app.get(route, metricsHandler);
+});
+
 async function streamHandler(req, res) {
   const requestStartTs = Date.now();
   const { type, id } = req.params;
@@ -1032,15 +1476,27 @@ async function streamHandler(req, res) {
     if (INDEXER_MANAGER !== 'none') {
       indexerService.ensureIndexerManagerConfigured();
     }
-    // Skip NZBDav config check in native streaming mode
-    if (STREAMING_MODE !== 'native') {
-      nzbdavService.ensureNzbdavConfigured();
+    // A download client is only required in nzbdav streaming mode
+    if (STREAMING_MODE === 'nzbdav') {
+      downloadClients.getDownloadClient().ensureConfigured();
+    } else if (STREAMING_MODE === 'direct') {
+      nntpStreamService.ensureNntpStreamConfigured(TRIAGE_NNTP_PROVIDERS);
     }
     triagePrewarmPromise = triggerRequestTriagePrewarm();
 
     const requestedEpisode = parseRequestedEpisode(type, id, req.query || {});
+    const requestProfile = req.profile || null;
+    const preferences = resolveProfilePreferences(requestProfile);
+    if (requestProfile) {
+      console.log(`[REQUEST] Applying profile ${requestProfile.name} (${requestProfile.id})`);
+    }
+    // Install settings from the configure page act as default query overrides; explicit query params still win
+    const overrideQuery = req.installSettings ? { ...req.installSettings, ...(req.query || {}) } : (req.query || {});
+    if (req.installSettings) {
+      console.log('[REQUEST] Applying install settings', req.installSettings);
+    }
     const streamCacheKey = STREAM_CACHE_MAX_ENTRIES > 0
-      ? buildStreamCacheKey({ type, id, requestedEpisode, query: req.query || {} })
+      ? buildStreamCacheKey({ type, id, requestedEpisode, query: overrideQuery, profileId: requestProfile?.id || null })
       : null;
     let cachedStreamEntry = null;
     let cachedSearchMeta = null;
@@ -1088,9 +1544,9 @@ async function streamHandler(req, res) {
       usingCachedSearchResults = true;
     }
     let triageTitleMap = buildTriageTitleMap(triageDecisions);
-    const triageOverrides = extractTriageOverrides(req.query || {});
+    const triageOverrides = extractTriageOverrides(overrideQuery);
     const dedupeOverride = typeof triageOverrides.dedupeEnabled === 'boolean' ? triageOverrides.dedupeEnabled : null;
-    const dedupeEnabled = dedupeOverride !== null ? dedupeOverride : INDEXER_DEDUP_ENABLED;
+    const dedupeEnabled = dedupeOverride !== null ? dedupeOverride : preferences.dedupeEnabled;
 
     const pickFirstDefined = (...values) => values.find((value) => value !== undefined && value !== null && String(value).trim() !== '') || null;
     const meta = req.query || {};
@@ -1155,16 +1611,34 @@ async function streamHandler(req, res) {
       (type === 'series' && !hasTvdbInQuery) ||
       (type === 'movie' && !hasTmdbInQuery)
     );
+    // Anime numbering and air dates are read from the Cinemeta episode list
+    const needsEpisodeMetadata = (INDEXER_ANIME_SEARCH_ENABLED || INDEXER_AIR_DATE_SEARCH_ENABLED)
+      && type === 'series'
+      && !isSpecialRequest
+      && Boolean(requestedEpisode);
     const needsCinemeta = needsStrictSeriesTvdb
       || needsRelaxedMetadata
+      || needsEpisodeMetadata
       || easynewsService.requiresCinemetaMetadata(isSpecialRequest);
     if (needsCinemeta) {
       const cinemetaPath = type === 'series' ? `series/${baseIdentifier}.json` : `${type}/${baseIdentifier}.json`;
       const cinemetaUrl = `${CINEMETA_URL}/${cinemetaPath}`;
+      const cachedCinemeta = cinemetaMetaCache.get(cinemetaPath);
       try {
-        console.log(`[CINEMETA] Fetching metadata from ${cinemetaUrl}`);
-        const cinemetaResponse = await axios.get(cinemetaUrl, { timeout: 10000 });
-        cinemetaMeta = cinemetaResponse.data?.meta || null;
+        if (cachedCinemeta && cachedCinemeta.expiresAt > Date.now()) {
+          cinemetaMeta = cachedCinemeta.meta;
+        } else {
+          console.log(`[CINEMETA] Fetching metadata from ${cinemetaUrl}`);
+          const cinemetaResponse = await axios.get(cinemetaUrl, { timeout: 10000 });
+          cinemetaMeta = cinemetaResponse.data?.meta || null;
+          if (cinemetaMeta) {
+            cinemetaMetaCache.delete(cinemetaPath);
+            cinemetaMetaCache.set(cinemetaPath, { expiresAt: Date.now() + CINEMETA_CACHE_TTL_MS, meta: cinemetaMeta });
+            while (cinemetaMetaCache.size > CINEMETA_CACHE_MAX_ENTRIES) {
+              cinemetaMetaCache.delete(cinemetaMetaCache.keys().next().value);
+            }
+          }
+        }
         if (cinemetaMeta) {
           metaSources.push(cinemetaMeta);
           console.log('[CINEMETA] Received metadata identifiers', {
@@ -1303,6 +1777,37 @@ async function streamHandler(req, res) {
 
     console.log('[REQUEST] Resolved title/year', { movieTitle, releaseYear, elapsedMs: Date.now() - requestStartTs });
 
+    // Anime releases are numbered absolutely and often named by their romaji title
+    let animeContext = null;
+    if (INDEXER_ANIME_SEARCH_ENABLED
+      && type === 'series'
+      && Number.isFinite(seasonNum)
+      && Number.isFinite(episodeNum)
+      && animeMetadata.isAnimeMeta(cinemetaMeta)) {
+      const episodeMap = animeMetadata.buildEpisodeMap(cinemetaMeta.videos);
+      const absoluteEpisode = animeMetadata.toAbsoluteEpisode(episodeMap, seasonNum, episodeNum);
+      const alternateTitles = movieTitle && !usingCachedSearchResults
+        ? await animeMetadata.fetchAlternateTitles(movieTitle)
+        : [];
+      animeContext = { episodeMap, absoluteEpisode, alternateTitles };
+      if (absoluteEpisode) {
+        requestedEpisode.absoluteEpisode = absoluteEpisode;
+      }
+      console.log('[ANIME META] Resolved anime episode', { season: seasonNum, episode: episodeNum, absoluteEpisode, alternateTitles });
+    }
+
+    const episodeAirDate = INDEXER_AIR_DATE_SEARCH_ENABLED
+      && type === 'series'
+      && Number.isFinite(seasonNum)
+      && Number.isFinite(episodeNum)
+      && isDateBasedSeries(cinemetaMeta, seasonNum)
+      ? resolveEpisodeAirDate(cinemetaMeta, seasonNum, episodeNum)
+      : null;
+    if (episodeAirDate) {
+      requestedEpisode.airDate = episodeAirDate;
+      console.log('[REQUEST] Resolved daily episode air date', { season: seasonNum, episode: episodeNum, airDate: episodeAirDate });
+    }
+
     let searchType;
     if (type === 'series') {
       searchType = 'tvsearch';
@@ -1318,11 +1823,16 @@ async function streamHandler(req, res) {
     if (!usingCachedSearchResults) {
       const searchPlans = [];
       const seenPlans = new Set();
-      const addPlan = (planType, { tokens = [], rawQuery = null } = {}) => {
+      // seasonPack plans search the whole season; only packs covering the requested episode are kept
+      // airDate plans use the Newznab daily convention (season=YYYY, ep=MM/DD)
+      const addPlan = (planType, { tokens = [], rawQuery = null, seasonPack = false, absoluteEpisode = null, airDate = null } = {}) => {
         const tokenList = [...tokens];
-        if (planType === 'tvsearch') {
+        if (planType === 'tvsearch' && airDate) {
+          const [airYear, airMonth, airDay] = airDate.split('-');
+          tokenList.push(`{Season:${airYear}}`, `{Episode:${airMonth}/${airDay}}`);
+        } else if (planType === 'tvsearch') {
           if (seasonToken) tokenList.push(seasonToken);
-          if (episodeToken) tokenList.push(episodeToken);
+          if (episodeToken && !seasonPack) tokenList.push(episodeToken);
         }
         const normalizedTokens = tokenList.filter(Boolean);
         const query = rawQuery ? rawQuery : normalizedTokens.join(' ');
@@ -1334,7 +1844,11 @@ async function streamHandler(req, res) {
           return false;
         }
         seenPlans.add(planKey);
-        searchPlans.push({ type: planType, query, rawQuery: rawQuery ? rawQuery : null, tokens: normalizedTokens });
+        const plan = { type: planType, query, rawQuery: rawQuery ? rawQuery : null, tokens: normalizedTokens };
+        if (seasonPack) plan.seasonPack = true;
+        if (absoluteEpisode) plan.absoluteEpisode = absoluteEpisode;
+        if (airDate) plan.airDate = airDate;
+        searchPlans.push(plan);
         return true;
       };
 
@@ -1354,6 +1868,36 @@ async function streamHandler(req, res) {
         addPlan(searchType, { tokens: [`{ImdbId:${metaIds.imdb}}`] });
       }
 
+      const wantsSeasonPacks = INDEXER_SEASON_PACKS_ENABLED
+        && type === 'series'
+        && !isSpecialRequest
+        && Number.isFinite(seasonNum)
+        && Number.isFinite(episodeNum)
+        && !episodeAirDate;
+      if (wantsSeasonPacks) {
+        const seriesIdToken = metaIds.tvdb
+          ? `{TvdbId:${metaIds.tvdb}}`
+          : (metaIds.imdb ? `{ImdbId:${metaIds.imdb}}` : null);
+        if (seriesIdToken) {
+          addPlan('tvsearch', { tokens: [seriesIdToken], seasonPack: true });
+        }
+      }
+
+      if (episodeAirDate) {
+        const seriesIdToken = metaIds.tvdb
+          ? `{TvdbId:${metaIds.tvdb}}`
+          : (metaIds.imdb ? `{ImdbId:${metaIds.imdb}}` : null);
+        if (seriesIdToken) {
+          addPlan('tvsearch', { tokens: [seriesIdToken], airDate: episodeAirDate });
+        }
+        if (movieTitle && !INDEXER_MANAGER_STRICT_ID_MATCH) {
+          const airDateQuery = `${movieTitle} ${episodeAirDate.replace(/-/g, ' ')}`;
+          if (addPlan('search', { rawQuery: airDateQuery, airDate: episodeAirDate })) {
+            console.log(`${INDEXER_LOG_PREFIX} Added air date search plan`, { query: airDateQuery });
+          }
+        }
+      }
+
       const textQueryParts = [];
       let easynewsSearchParams = null;
       let textQueryFallbackValue = null;
@@ -1380,6 +1924,12 @@ async function streamHandler(req, res) {
           } else {
             console.log(`${INDEXER_LOG_PREFIX} Text search plan already present`, { query: textQueryFallbackValue });
           }
+          if (wantsSeasonPacks && movieTitle) {
+            const seasonPackQuery = `${movieTitle} S${String(seasonNum).padStart(2, '0')}`;
+            if (addPlan('search', { rawQuery: seasonPackQuery, seasonPack: true })) {
+              console.log(`${INDEXER_LOG_PREFIX} Added season pack text search plan`, { query: seasonPackQuery });
+            }
+          }
         } else {
           console.log(`${INDEXER_LOG_PREFIX} Skipping text search plan; insufficient metadata`);
         }
@@ -1388,6 +1938,21 @@ async function streamHandler(req, res) {
         console.log(`${INDEXER_LOG_PREFIX} ${reason}; skipping text-based search`);
       }
 
+      if (animeContext && movieTitle && !INDEXER_MANAGER_STRICT_ID_MATCH) {
+        const episodeCode = `S${String(seasonNum).padStart(2, '0')}E${String(episodeNum).padStart(2, '0')}`;
+        [movieTitle, ...animeContext.alternateTitles].forEach((animeTitle, index) => {
+          if (animeContext.absoluteEpisode) {
+            const absoluteQuery = `${animeTitle} ${String(animeContext.absoluteEpisode).padStart(2, '0')}`;
+            if (addPlan('search', { rawQuery: absoluteQuery, absoluteEpisode: animeContext.absoluteEpisode })) {
+              console.log(`${INDEXER_LOG_PREFIX} Added anime absolute episode search plan`, { query: absoluteQuery });
+            }
+          }
+          if (index > 0 && addPlan('search', { rawQuery: `${animeTitle} ${episodeCode}` })) {
+            console.log(`${INDEXER_LOG_PREFIX} Added anime alternate title search plan`, { query: `${animeTitle} ${episodeCode}` });
+          }
+        });
+      }
+
       if (INDEXER_MANAGER_INDEXERS) {
         console.log(`${INDEXER_LOG_PREFIX} Using configured indexers`, INDEXER_MANAGER_INDEXERS);
       } else {
@@ -1399,6 +1964,8 @@ async function streamHandler(req, res) {
         let easynewsRawQuery = null;
         if (isSpecialRequest) {
           easynewsRawQuery = (specialMetadataResult?.title || movieTitle || baseIdentifier || '').trim();
+        } else if (easynewsStrictMode && episodeAirDate && movieTitle) {
+          easynewsRawQuery = `${movieTitle} ${episodeAirDate.replace(/-/g, ' ')}`;
         } else if (easynewsStrictMode) {
           easynewsRawQuery = (textQueryParts.join(' ').trim() || movieTitle || '').trim();
         } else {
@@ -1417,6 +1984,7 @@ async function streamHandler(req, res) {
             year: type === 'movie' ? releaseYear : null,
             season: type === 'series' ? seasonNum : null,
             episode: type === 'series' ? episodeNum : null,
+            airDate: episodeAirDate,
             strictMode: easynewsStrictMode,
             specialTextOnly: Boolean(isSpecialRequest || requestLacksIdentifiers),
           };
@@ -1439,6 +2007,7 @@ async function streamHandler(req, res) {
       const aggregatedResults = usingStrictIdMatching ? [] : null;
       const rawAggregatedResults = [];
       const planSummaries = [];
+      const planSummaryByDownloadUrl = new Map();
 
       const planExecutions = searchPlans.map((plan) => {
         console.log(`${INDEXER_LOG_PREFIX} Dispatching plan`, plan);
@@ -1523,6 +2092,24 @@ async function streamHandler(req, res) {
           if (!item.downloadUrl) {
             return false;
           }
+          if (plan.seasonPack) {
+            // Season-wide searches also return every other episode; keep only packs covering this one
+            const coverage = parseEpisodeCoverage(item.title || '');
+            return Boolean(coverage && coverage.type !== 'episode' && coverageIncludesEpisode(coverage, requestedEpisode));
+          }
+          if (plan.airDate) {
+            // Date searches are fuzzy on some indexers; keep exact air dates or matching SxxEyy releases
+            if (parseAirDate(item.title || '') === plan.airDate) return true;
+            const coverage = parseEpisodeCoverage(item.title || '');
+            return Boolean(coverage && coverageIncludesEpisode(coverage, requestedEpisode));
+          }
+          if (plan.absoluteEpisode) {
+            // "Title 05" also matches neighbouring episodes; map the release number back to season/episode
+            const coverage = parseEpisodeCoverage(item.title || '');
+            if (coverage) return coverageIncludesEpisode(coverage, requestedEpisode);
+            const releaseEpisode = animeMetadata.fromAbsoluteEpisode(animeContext?.episodeMap, parseAbsoluteEpisode(item.title || ''));
+            return Boolean(releaseEpisode && releaseEpisode.season === seasonNum && releaseEpisode.episode === episodeNum);
+          }
           return true;
         });
 
@@ -1544,7 +2131,7 @@ async function streamHandler(req, res) {
           addedCount = resultsByKey.size - beforeSize;
         }
 
-        planSummaries.push({
+        const planSummary = {
           planType: plan.type,
           query: plan.query,
           total: planResults.length,
@@ -1553,6 +2140,12 @@ async function streamHandler(req, res) {
           managerCount: result.mgrCount || 0,
           newznabCount: result.newznabCount || 0,
           errors: result.errors && result.errors.length ? result.errors : undefined,
+        };
+        planSummaries.push(planSummary);
+        filteredResults.forEach((item) => {
+          if (!planSummaryByDownloadUrl.has(item.downloadUrl)) {
+            planSummaryByDownloadUrl.set(item.downloadUrl, planSummary);
+          }
         });
         console.log(`${INDEXER_LOG_PREFIX} ✅ Plan summary`, planSummaries[planSummaries.length - 1]);
         if (result.newznabEndpoints && result.newznabEndpoints.length) {
@@ -1602,7 +2195,7 @@ async function streamHandler(req, res) {
           }
           return true;
         })
-        .map((result) => ({ ...result, _sourceType: 'nzb' }));
+        .map((result) => ({ ...result, _sourceType: result._sourceType || 'nzb' }));
 
       if (easynewsSearchParams) {
         try {
@@ -1626,12 +2219,33 @@ async function streamHandler(req, res) {
 
       finalNzbResults = finalNzbResults.map((result, index) => annotateNzbResult(result, index));
 
+      const filterOutcome = resultFilters.applyResultFilters(
+        finalNzbResults,
+        resultFilters.buildResultFilters(triageOverrides.filters)
+      );
+      if (filterOutcome.dropped.length > 0) {
+        filterOutcome.dropped.forEach(({ result, reason }) => {
+          const summary = planSummaryByDownloadUrl.get(result.downloadUrl);
+          if (!summary) return;
+          summary.excludedByRules = (summary.excludedByRules || 0) + 1;
+          summary.exclusionReasons = summary.exclusionReasons || {};
+          summary.exclusionReasons[reason] = (summary.exclusionReasons[reason] || 0) + 1;
+        });
+        console.log(`${INDEXER_LOG_PREFIX} Include/exclude rules removed ${filterOutcome.dropped.length} results`, {
+          reasons: filterOutcome.counts,
+          plans: planSummaries
+            .filter((summary) => summary.excludedByRules)
+            .map(({ planType, query, excludedByRules, exclusionReasons }) => ({ planType, query, excludedByRules, exclusionReasons })),
+        });
+        finalNzbResults = filterOutcome.kept;
+      }
+
       console.log(`${INDEXER_LOG_PREFIX} Final NZB selection: ${finalNzbResults.length} results`, { elapsedMs: Date.now() - requestStartTs });
     }
 
     const effectiveMaxSizeBytes = (() => {
       const overrideBytes = triageOverrides.maxSizeBytes;
-      const defaultBytes = INDEXER_MAX_RESULT_SIZE_BYTES;
+      const defaultBytes = preferences.maxResultSizeBytes;
       const normalizedOverride = Number.isFinite(overrideBytes) && overrideBytes > 0 ? overrideBytes : null;
       const normalizedDefault = Number.isFinite(defaultBytes) && defaultBytes > 0 ? defaultBytes : null;
       if (normalizedOverride && normalizedDefault) {
@@ -1639,15 +2253,15 @@ async function streamHandler(req, res) {
       }
       return normalizedOverride || normalizedDefault || null;
     })();
-    const resolvedPreferredLanguages = resolvePreferredLanguages(triageOverrides.preferredLanguages, INDEXER_PREFERRED_LANGUAGES);
-    const activeSortMode = triageOverrides.sortMode || INDEXER_SORT_MODE;
+    const resolvedPreferredLanguages = resolvePreferredLanguages(triageOverrides.preferredLanguages, preferences.preferredLanguages);
+    const activeSortMode = triageOverrides.sortMode || preferences.sortMode;
 
     finalNzbResults = prepareSortedResults(finalNzbResults, {
       sortMode: activeSortMode,
       preferredLanguages: resolvedPreferredLanguages,
       maxSizeBytes: effectiveMaxSizeBytes,
-      allowedResolutions: ALLOWED_RESOLUTIONS,
-      resolutionLimitPerQuality: RESOLUTION_LIMIT_PER_QUALITY,
+      allowedResolutions: preferences.allowedResolutions,
+      resolutionLimitPerQuality: preferences.resolutionLimitPerQuality,
     });
     if (dedupeEnabled) {
       finalNzbResults = dedupeResultsByTitle(finalNzbResults);
@@ -1672,6 +2286,20 @@ async function streamHandler(req, res) {
       // console.log('[LANGUAGE] Top stream ordering sample', sample);
     };
     logTopLanguages();
+    const persistedDecisions = cache.lookupPersistedTriageDecisions(finalNzbResults);
+    if (persistedDecisions.size > 0) {
+      let restoredDecisionCount = 0;
+      persistedDecisions.forEach((decision, downloadUrl) => {
+        const existingStatus = triageDecisions.get(downloadUrl)?.status;
+        if (existingStatus && existingStatus !== 'pending' && existingStatus !== 'skipped') return;
+        triageDecisions.set(downloadUrl, decision);
+        restoredDecisionCount += 1;
+      });
+      if (restoredDecisionCount > 0) {
+        triageTitleMap = buildTriageTitleMap(triageDecisions);
+        console.log(`[NZB TRIAGE] Restored ${restoredDecisionCount} persisted decision(s) from disk`);
+      }
+    }
     const allowedCacheStatuses = new Set(['verified', 'blocked']);
     const requestedDisable = triageOverrides.disabled === true;
     const requestedEnable = triageOverrides.enabled === true;
@@ -1740,7 +2368,7 @@ async function streamHandler(req, res) {
     };
     const triageCandidatesToRun = triageEligibleResults.filter((candidate) => !candidateHasConclusiveDecision(candidate));
     const shouldSkipTriageForRequest = requestLacksIdentifiers;
-    const shouldAttemptTriage = triageCandidatesToRun.length > 0 && !requestedDisable && !shouldSkipTriageForRequest && (requestedEnable || TRIAGE_ENABLED);
+    const shouldAttemptTriage = triageCandidatesToRun.length > 0 && !requestedDisable && !shouldSkipTriageForRequest && (requestedEnable || preferences.triageEnabled);
     let triageOutcome = null;
     let triageCompleteForCache = !shouldAttemptTriage;
 
@@ -1757,12 +2385,19 @@ async function streamHandler(req, res) {
           allowedIndexerIds: combinedHealthTokens,
           preferredIndexerIds: combinedHealthTokens, // Use same indexers for filtering and ranking
           serializedIndexerIds: serializedIndexerTokens,
+          grabLimitedIndexerIds: newznabService.getGrabLimitedIndexerTokens(ACTIVE_NEWZNAB_CONFIGS),
+          onNzbDownloaded: (candidate) => {
+            if (candidate?.result?._sourceType === 'newznab') {
+              newznabService.recordNzbGrab(ACTIVE_NEWZNAB_CONFIGS, candidate.indexerId);
+            }
+          },
           timeBudgetMs: TRIAGE_TIME_BUDGET_MS,
           maxCandidates: TRIAGE_MAX_CANDIDATES,
           downloadConcurrency: Math.max(1, TRIAGE_MAX_CANDIDATES),
           triageOptions: {
             ...TRIAGE_BASE_OPTIONS,
             nntpConfig: { ...TRIAGE_NNTP_CONFIG },
+            nntpProviders: TRIAGE_NNTP_PROVIDERS.map((provider) => ({ ...provider })),
           },
           captureNzbPayloads: true,
           logger: triageLogger,
@@ -1772,8 +2407,14 @@ async function streamHandler(req, res) {
           const latestDecisions = triageOutcome?.decisions instanceof Map ? triageOutcome.decisions : new Map(triageOutcome?.decisions || []);
           latestDecisions.forEach((decision, downloadUrl) => {
             triageDecisions.set(downloadUrl, decision);
+            metrics.incrementCounter('triage_decisions_total', { status: decision?.status || 'unknown' });
           });
+          if (Number.isFinite(triageOutcome?.elapsedMs)) {
+            metrics.observeHistogram('triage_run_duration_seconds', {}, triageOutcome.elapsedMs / 1000);
+          }
+          if (triageOutcome?.timedOut) metrics.incrementCounter('triage_timeouts_total');
           triageTitleMap = buildTriageTitleMap(triageDecisions);
+          cache.persistTriageDecisions(latestDecisions);
           // console.log(`[NZB TRIAGE] Evaluated ${triageOutcome.evaluatedCount}/${triageOutcome.candidatesConsidered} candidate NZBs in ${triageOutcome.elapsedMs} ms (timedOut=${triageOutcome.timedOut})`);
           if (triageDecisions.size > 0) {
             const statusCounts = {};
@@ -1805,7 +2446,7 @@ async function streamHandler(req, res) {
           console.warn(`[NZB TRIAGE] Health check failed: ${triageError.message}`);
         }
       }
-    } else if (shouldSkipTriageForRequest && TRIAGE_ENABLED && !requestedDisable) {
+    } else if (shouldSkipTriageForRequest && preferences.triageEnabled && !requestedDisable) {
       console.log('[NZB TRIAGE] Skipping health checks for non-ID request (no IMDb/TVDB identifier)');
     }
 
@@ -1861,17 +2502,18 @@ async function streamHandler(req, res) {
         }
       : null;
 
-    // Skip NZBDav history fetching in native streaming mode
+    // Download client history only exists in nzbdav streaming mode
     const categoryForType = STREAMING_MODE !== 'native' ? nzbdavService.getNzbdavCategory(type) : null;
     let historyByTitle = new Map();
-    if (STREAMING_MODE !== 'native') {
+    if (STREAMING_MODE === 'nzbdav') {
+      const downloadClient = downloadClients.getDownloadClient();
       try {
-        historyByTitle = await nzbdavService.fetchCompletedNzbdavHistory([categoryForType]);
+        historyByTitle = await downloadClient.fetchCompletedHistory([categoryForType]);
         if (historyByTitle.size > 0) {
-          console.log(`[NZBDAV] Loaded ${historyByTitle.size} completed NZBs for instant playback detection (category=${categoryForType})`);
+          console.log(`[${downloadClient.label}] Loaded ${historyByTitle.size} completed NZBs for instant playback detection (category=${categoryForType})`);
         }
       } catch (historyError) {
-        console.warn(`[NZBDAV] Unable to load NZBDav history for instant detection: ${historyError.message}`);
+        console.warn(`[${downloadClient.label}] Unable to load history for instant detection: ${historyError.message}`);
       }
     }
 
@@ -1884,20 +2526,33 @@ async function streamHandler(req, res) {
     const instantStreams = [];
     const regularStreams = [];
 
+    // Easynews results need their inline payload, which is too large to carry as a failover candidate
+    const failoverPool = STREAMING_MODE === 'nzbdav' && NZBDAV_FAILOVER_ENABLED
+      ? finalNzbResults
+        .filter((result) => result.downloadUrl && !result.easynewsPayload)
+        .filter((result) => triageDecisions.get(result.downloadUrl)?.status !== 'blocked')
+        .map((result) => ({
+          downloadUrl: result.downloadUrl,
+          title: result.title,
+          indexerId: result.indexerId,
+          sourceType: result._sourceType || null,
+          seasonPack: Boolean(describeEpisodePack(result.episodeCoverage)),
+          resolution: resolveResultResolution(result),
+        }))
+      : [];
+
     finalNzbResults.forEach((result) => {
         const sizeInGB = result.size ? (result.size / 1073741824).toFixed(2) : null;
         const sizeString = sizeInGB ? `${sizeInGB} GB` : 'Size Unknown';
         const releaseInfo = result.release || {};
         const releaseLanguages = Array.isArray(releaseInfo.languages) ? releaseInfo.languages : [];
         const sourceLanguage = result.language || null;
-        const qualityMatch = result.title?.match(/(4320p|2160p|1440p|1080p|720p|576p|540p|480p|360p|240p|8k|4k|uhd)/i);
-        const detectedResolutionToken = releaseInfo.resolution
-          || (qualityMatch ? normalizeResolutionToken(qualityMatch[0]) : null);
+        const detectedResolutionToken = resolveResultResolution(result);
         const resolutionBadge = formatResolutionBadge(detectedResolutionToken);
-        const qualityLabel = releaseInfo.qualityLabel && releaseInfo.qualityLabel !== detectedResolutionToken
-          ? releaseInfo.qualityLabel
-          : null;
-        const featureBadges = extractQualityFeatureBadges(result.title || '');
+        const sourceLabel = releaseInfo.qualityLabel || result.qualityLabel || null;
+        const qualityLabel = sourceLabel && sourceLabel !== detectedResolutionToken ? sourceLabel : null;
+        const featureBadges = extractQualityFeatureBadges(result);
+        const releaseDetails = describeReleaseDetails(result);
         const qualityParts = [];
         if (resolutionBadge) qualityParts.push(resolutionBadge);
         if (qualityLabel) qualityParts.push(qualityLabel);
@@ -1925,6 +2580,14 @@ async function streamHandler(req, res) {
         if (result.title) baseParams.set('title', result.title);
         if (result.easynewsPayload) baseParams.set('easynewsPayload', result.easynewsPayload);
         if (result._sourceType) baseParams.set('sourceType', result._sourceType);
+        const packLabel = describeEpisodePack(result.episodeCoverage);
+        if (packLabel) baseParams.set('seasonPack', '1');
+        if (requestedEpisode?.absoluteEpisode) baseParams.set('absoluteEpisode', String(requestedEpisode.absoluteEpisode));
+        if (requestedEpisode?.airDate) baseParams.set('airDate', requestedEpisode.airDate);
+        const failoverCandidates = failoverPool
+          .filter((candidate) => candidate.downloadUrl !== result.downloadUrl && candidate.resolution === detectedResolutionToken)
+          .slice(0, NZBDAV_FAILOVER_MAX_CANDIDATES);
+        if (failoverCandidates.length > 0) baseParams.set('failover', encodeFailoverCandidates(failoverCandidates));
 
         const cacheKey = nzbdavService.buildNzbdavCacheKey(result.downloadUrl, categoryForType, requestedEpisode);
         // Cache entries are managed internally by the cache module
@@ -1942,7 +2605,7 @@ async function streamHandler(req, res) {
         const triageApplied = Boolean(directTriageInfo);
         const triageDerivedFromTitle = Boolean(!directTriageInfo && fallbackAllowed && fallbackTriageInfo);
         const triageStatus = triageInfo?.status || (triageApplied ? 'unknown' : 'not-run');
-        if (INDEXER_HIDE_BLOCKED_RESULTS && triageStatus === 'blocked') {
+        if (preferences.hideBlockedResults && triageStatus === 'blocked') {
           return;
         }
         let triagePriority = 1;
@@ -1972,12 +2635,12 @@ async function streamHandler(req, res) {
           'rar-compressed',
           'rar-encrypted',
           'rar-solid',
-          'rar5-unsupported',
           'sevenzip-unsupported',
           'archive-not-found',
           'archive-no-segments',
           'rar-insufficient-data',
           'rar-header-not-found',
+          'rar-corrupt-header',
         ]);
         const passedArchiveCheck = archiveStatuses.some((status) => status === 'rar-stored' || status === 'sevenzip-stored');
         const failedArchiveCheck = (triageInfo?.blockers || []).some((blocker) => archiveFailureTokens.has(blocker))
@@ -1990,8 +2653,9 @@ async function streamHandler(req, res) {
         }
 
         const missingArticlesFailure = (triageInfo?.blockers || []).includes('missing-articles')
-          || archiveStatuses.includes('segment-missing');
-        const missingArticlesSuccess = archiveStatuses.includes('segment-ok');
+          || archiveStatuses.includes('segment-missing')
+          || archiveStatuses.includes('segments-missing');
+        const missingArticlesSuccess = archiveStatuses.includes('segment-ok') || archiveStatuses.includes('segments-complete');
         let missingArticlesStatus = 'not-run';
         if (triageInfo) {
           if (missingArticlesFailure) missingArticlesStatus = 'failed';
@@ -2009,16 +2673,20 @@ async function streamHandler(req, res) {
           }
         }
 
-        const tokenSegment = ADDON_SHARED_SECRET ? `/${ADDON_SHARED_SECRET}` : '';
+        const requestToken = requestProfile ? requestProfile.token : ADDON_SHARED_SECRET;
+        const tokenSegment = requestToken ? `/${requestToken}` : '';
         const streamUrl = `${addonBaseUrl}${tokenSegment}/nzb/stream?${baseParams.toString()}`;
         const tags = [];
         if (triageTag) tags.push(triageTag);
+        if (packLabel) tags.push(`📦 ${packLabel}`);
+        if (archiveStatuses.includes('repairable')) tags.push('🛠️ Repairable');
         if (isInstant && STREAMING_MODE !== 'native') tags.push('⚡ Instant');
         if (preferredLanguageMatches.length > 0) {
           preferredLanguageMatches.forEach((language) => tags.push(language));
         }
         // quality summary now part of name; keep tags focused on status/language/size
         if (languageLabel) tags.push(`🌐 ${languageLabel}`);
+        if (Number.isFinite(result.customScore)) tags.push(`🎯 ${result.customScore}`);
         if (sizeString) tags.push(sizeString);
         const addonLabel = ADDON_NAME || DEFAULT_ADDON_NAME;
         const name = qualitySummary ? `${addonLabel} ${qualitySummary}` : addonLabel;
@@ -2038,7 +2706,7 @@ async function streamHandler(req, res) {
             notWebReady: true,
             externalPlayer: {
               isRequired: false,
-              name: 'NZBDav Instant Stream'
+              name: STREAMING_MODE === 'direct' ? 'Direct Usenet Stream' : 'NZBDav Instant Stream'
             }
           };
           if (isInstant) {
@@ -2078,7 +2746,9 @@ async function streamHandler(req, res) {
           const nntpServers = buildNntpServersArray();
           stream = {
             name,
-            description: `${result.title}\n${result.indexer} • ${sizeString}\n${tags.filter(Boolean).join(' • ')}`,
+            description: [result.title, releaseDetails, `${result.indexer} • ${sizeString}`, tags.filter(Boolean).join(' • ')]
+              .filter(Boolean)
+              .join('\n'),
             nzbUrl: result.downloadUrl,
             servers: nntpServers.length > 0 ? nntpServers : undefined,
             url: undefined,
@@ -2088,7 +2758,7 @@ async function streamHandler(req, res) {
         } else {
           // NZBDav mode: WebDAV-based streaming
           stream = {
-            title: `${result.title}\n${tags.filter(Boolean).join(' • ')}\n${result.indexer}`,
+            title: [result.title, releaseDetails, tags.filter(Boolean).join(' • '), result.indexer].filter(Boolean).join('\n'),
             name,
             url: streamUrl,
             behaviorHints,
@@ -2104,9 +2774,26 @@ async function streamHandler(req, res) {
               languages: releaseLanguages,
               indexerLanguage: sourceLanguage,
               resolution: detectedResolutionToken || null,
+              seasonPack: packLabel ? result.episodeCoverage : undefined,
+              release: {
+                source: result.source || null,
+                videoCodec: result.videoCodec || null,
+                bitDepth: result.bitDepth || null,
+                hdr: Array.isArray(result.hdr) ? result.hdr : [],
+                dvProfile: result.dvProfile || null,
+                audioCodec: result.audioCodec || null,
+                audioChannels: result.audioChannels || null,
+                atmos: Boolean(result.atmos),
+                edition: result.edition || null,
+                releaseGroup: result.releaseGroup || null,
+                proper: Boolean(result.proper),
+                repack: Boolean(result.repack),
+              },
               preferredLanguageMatch: preferredLanguageHit,
               preferredLanguageName: matchedPreferredLanguage,
               preferredLanguageNames: preferredLanguageMatches,
+              customScore: Number.isFinite(result.customScore) ? result.customScore : undefined,
+              customFormats: Array.isArray(result.customFormatMatches) ? result.customFormatMatches : undefined,
             }
           };
           
@@ -2120,9 +2807,14 @@ async function streamHandler(req, res) {
                 fileCount: triageInfo.fileCount,
                 archiveCheck: archiveCheckStatus,
                 missingArticlesCheck: missingArticlesStatus,
+                // Share of STATed articles that exist; only known after a deep scan
+                completionPercent: triageInfo.deepScan?.completionPercent ?? null,
                 applied: triageApplied,
                 inheritedFromTitle: triageDerivedFromTitle,
               };
+              if (triageInfo.deepScan) {
+                stream.meta.healthCheck.deepScan = triageInfo.deepScan;
+              }
               stream.meta.healthCheck.archiveFindings = archiveFindings;
               if (triageInfo.sourceDownloadUrl) {
                 stream.meta.healthCheck.sourceDownloadUrl = triageInfo.sourceDownloadUrl;
@@ -2158,7 +2850,7 @@ async function streamHandler(req, res) {
     const streams = instantStreams.concat(regularStreams);
 
     // Log cached streams count (only relevant for NZBDav mode)
-    if (STREAMING_MODE !== 'native') {
+    if (STREAMING_MODE === 'nzbdav') {
       const instantCount = streams.filter((stream) => stream?.meta?.cached).length;
       if (instantCount > 0) {
         console.log(`[STREMIO] ${instantCount}/${streams.length} streams already cached in NZBDav`);
@@ -2166,7 +2858,9 @@ async function streamHandler(req, res) {
     }
 
     const requestElapsedMs = Date.now() - requestStartTs;
-    const modeLabel = STREAMING_MODE === 'native' ? 'native NZB' : 'NZB';
+    let modeLabel = 'NZB';
+    if (STREAMING_MODE === 'native') modeLabel = 'native NZB';
+    else if (STREAMING_MODE === 'direct') modeLabel = 'direct NZB';
     console.log(`[STREMIO] Returning ${streams.length} ${modeLabel} streams`, { elapsedMs: requestElapsedMs, ts: new Date().toISOString() });
 
     const responsePayload = { streams };
@@ -2216,8 +2910,75 @@ async function handleEasynewsNzbDownload(req, res) {
   }
 }
 
+// Playback fetches of a direct Newznab NZB count against that indexer's grab quota just like triage downloads
+function buildPlaybackGrabRecorder(indexerId, sourceType) {
+  if (sourceType !== 'newznab' || !indexerId) return null;
+  return () => newznabService.recordNzbGrab(ACTIVE_NEWZNAB_CONFIGS, indexerId);
+}
+
+// Failed jobs become blocked triage verdicts so later searches rank or hide the release like a failed health check
+function recordNzbdavFailureDecision(candidate, error) {
+  if (!candidate?.downloadUrl || error?.failoverDecisionRecorded) return;
+  cache.persistTriageDecisions([[candidate.downloadUrl, {
+    status: 'blocked',
+    blockers: ['nzbdav-failed'],
+    warnings: [error?.failureMessage || error?.message || 'NZBDav job failed'],
+    title: candidate.title || null,
+    normalizedTitle: normalizeReleaseTitle(candidate.title) || null,
+    indexerId: candidate.indexerId || null,
+  }]]);
+  // Cached failures are rethrown as the same error object on later requests
+  if (error) error.failoverDecisionRecorded = true;
+}
+
+// Tries each candidate in order until one becomes playable or the time budget runs out.
+// The original failure is rethrown when every candidate fails, so the failure video still plays.
+async function failoverNzbdavStream(initialError, failedCandidate, candidates, buildCandidateStream) {
+  const deadline = Date.now() + NZBDAV_FAILOVER_TIME_BUDGET_MS;
+  recordNzbdavFailureDecision(failedCandidate, initialError);
+  for (const candidate of candidates) {
+    if (Date.now() >= deadline) {
+      console.warn('[NZBDAV] Failover time budget exhausted', { budgetMs: NZBDAV_FAILOVER_TIME_BUDGET_MS });
+      break;
+    }
+    console.log('[NZBDAV] Failing over to next candidate', { title: candidate.title });
+    let budgetTimer = null;
+    try {
+      // A single candidate can wait on its download client for many minutes, so it only gets what is left of
+      // the budget. The build keeps running and lands in the mount cache for a later request.
+      const build = buildCandidateStream(candidate);
+      build.catch(() => {});
+      const budgetExhausted = new Promise((_, reject) => {
+        budgetTimer = setTimeout(() => {
+          const error = new Error('Failover time budget exhausted');
+          error.code = 'FAILOVER_BUDGET_EXHAUSTED';
+          reject(error);
+        }, Math.max(0, deadline - Date.now()));
+      });
+      const streamData = await Promise.race([build, budgetExhausted]);
+      metrics.incrementCounter('nzbdav_failover_total', { outcome: 'recovered' });
+      return streamData;
+    } catch (error) {
+      if (error?.code === 'FAILOVER_BUDGET_EXHAUSTED') {
+        console.warn('[NZBDAV] Failover time budget exhausted', { budgetMs: NZBDAV_FAILOVER_TIME_BUDGET_MS, title: candidate.title });
+        break;
+      }
+      if (error?.isNzbdavFailure) {
+        recordNzbdavFailureDecision(candidate, error);
+      } else {
+        console.warn(`[NZBDAV] Failover candidate errored: ${error.message}`);
+      }
+    } finally {
+      clearTimeout(budgetTimer);
+    }
+  }
+  metrics.incrementCounter('nzbdav_failover_total', { outcome: 'exhausted' });
+  throw initialError;
+}
+
 async function handleNzbdavStream(req, res) {
   const { downloadUrl, type = 'movie', id = '', title = 'NZB Stream' } = req.query;
+  metrics.incrementCounter('stream_requests_total', { mode: STREAMING_MODE, method: (req.method || 'GET').toUpperCase() });
   const easynewsPayload = typeof req.query.easynewsPayload === 'string' ? req.query.easynewsPayload : null;
   const declaredSize = Number(req.query.size);
 
@@ -2230,6 +2991,10 @@ async function handleNzbdavStream(req, res) {
     const category = nzbdavService.getNzbdavCategory(type);
     const requestedEpisode = parseRequestedEpisode(type, id, req.query || {});
     const cacheKey = nzbdavService.buildNzbdavCacheKey(downloadUrl, category, requestedEpisode);
+    // One NZBDav mount serves every episode request of a season pack; only the file pick is per episode
+    const packCacheKey = toBoolean(req.query.seasonPack, false) && requestedEpisode
+      ? nzbdavService.buildNzbdavCacheKey(downloadUrl, category, requestedEpisode, { seasonPack: true })
+      : null;
     const existingSlotHint = req.query.historyNzoId
       ? {
           nzoId: req.query.historyNzoId,
@@ -2267,16 +3032,62 @@ async function handleNzbdavStream(req, res) {
       }
     }
 
-    const streamData = await cache.getOrCreateNzbdavStream(cacheKey, () =>
-      nzbdavService.buildNzbdavStream({
-        downloadUrl,
-        category,
-        title,
-        requestedEpisode,
-        existingSlot: existingSlotHint,
-        inlineCachedEntry: inlineEasynewsEntry,
-      })
-    );
+    const imdbId = (String(id).match(/^tt\d+/i) || [])[0] || null;
+    let streamData;
+    if (STREAMING_MODE === 'direct') {
+      streamData = await cache.getOrCreateNzbdavStream(`direct::${cacheKey}`, () =>
+        nntpStreamService.buildNntpStream({
+          downloadUrl,
+          title,
+          requestedEpisode,
+          inlineCachedEntry: inlineEasynewsEntry,
+          poolOptions: buildSharedPoolOptions(),
+          onNzbDownloaded: buildPlaybackGrabRecorder(req.query.indexerId, req.query.sourceType),
+        }),
+        { ttlMs: nntpStreamService.NNTP_STREAM_PLAN_TTL_MS, cacheFailures: false }
+      );
+    } else {
+      try {
+        streamData = await cache.getOrCreateNzbdavStream(cacheKey, () =>
+          downloadClients.buildDownloadStream({
+            downloadUrl,
+            category,
+            title,
+            requestedEpisode,
+            existingSlot: existingSlotHint,
+            inlineCachedEntry: inlineEasynewsEntry,
+            imdbId,
+            packCacheKey,
+            onNzbDownloaded: buildPlaybackGrabRecorder(req.query.indexerId, req.query.sourceType),
+          })
+        );
+      } catch (error) {
+        const failoverCandidates = NZBDAV_FAILOVER_ENABLED ? decodeFailoverCandidates(req.query.failover) : [];
+        if (!error?.isNzbdavFailure || failoverCandidates.length === 0) throw error;
+        streamData = await failoverNzbdavStream(
+          error,
+          { downloadUrl, title, indexerId: req.query.indexerId },
+          failoverCandidates,
+          (candidate) => {
+            const candidatePackKey = candidate.seasonPack && requestedEpisode
+              ? nzbdavService.buildNzbdavCacheKey(candidate.downloadUrl, category, requestedEpisode, { seasonPack: true })
+              : null;
+            return cache.getOrCreateNzbdavStream(
+              nzbdavService.buildNzbdavCacheKey(candidate.downloadUrl, category, requestedEpisode),
+              () => downloadClients.buildDownloadStream({
+                downloadUrl: candidate.downloadUrl,
+                category,
+                title: candidate.title || title,
+                requestedEpisode,
+                imdbId,
+                packCacheKey: candidatePackKey,
+                onNzbDownloaded: buildPlaybackGrabRecorder(candidate.indexerId, candidate.sourceType),
+              })
+            );
+          }
+        );
+      }
+    }
 
     if ((req.method || 'GET').toUpperCase() === 'HEAD') {
       const inferredMime = inferMimeType(streamData.fileName || title || 'stream');
@@ -2294,9 +3105,14 @@ async function handleNzbdavStream(req, res) {
       return;
     }
 
-    await nzbdavService.proxyNzbdavStream(req, res, streamData.viewPath, streamData.fileName || '');
+    if (STREAMING_MODE === 'direct') {
+      await nntpStreamService.streamNntpResponse(req, res, streamData);
+      return;
+    }
+
+    await downloadClients.getDownloadClient().streamFile(req, res, streamData);
   } catch (error) {
-    if (error?.isNzbdavFailure) {
+    if (error?.isNzbdavFailure || error?.code === 'NNTP_STREAM_UNSUPPORTED') {
       console.warn('[NZBDAV] Stream failure detected:', error.failureMessage || error.message);
       const served = await nzbdavService.streamFailureVideo(req, res, error);
       if (!served && !res.headersSent) {
@@ -2367,5 +3183,17 @@ async function restartHttpServer() {
   startHttpServer();
 }
 
-startHttpServer();
+process.on('exit', () => {
+  cache.flushCaches();
+});
+
+// Docker stop sends SIGTERM; without a handler Node exits without running 'exit' listeners
+['SIGTERM', 'SIGINT'].forEach((signal) => {
+  process.once(signal, () => {
+    console.log(`[CACHE] Received ${signal}, flushing caches before exit`);
+    cache.flushCaches();
+    process.exit(0);
+  });
+});
 
+startHttpServer();
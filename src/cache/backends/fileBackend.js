@@ -0,0 +1,282 @@
+// Durable cache backend: LRU index in memory, persisted as an append-only JSONL journal that is compacted when it grows.
+// The journal has a single writer: each process replays it once at startup and then only appends and compacts its own view.
+const fs = require('fs');
+const path = require('path');
+const { createMemoryBackend } = require('./memoryBackend');
+
+const JOURNAL_VERSION = 1;
+const FLUSH_DEBOUNCE_MS = 1000;
+const MIN_COMPACT_BYTES = 1024 * 1024;
+
+const identity = (value) => value;
+
+// encode/decode convert values to and from JSON-safe form (e.g. Buffers to base64)
+function createFileBackend({ name, filePath, maxBytes = 0, maxEntries = 0, encode = identity, decode = identity } = {}) {
+  let pendingLines = [];
+  // Lines taken by the background write in progress; kept until it lands so a shutdown flush can still save them
+  let heldLines = [];
+  let writeInFlight = null;
+  // Keys read since the last write; recorded as one touch record alongside the next write instead of per read
+  const touchedKeys = new Set();
+  let flushTimer = null;
+  let journalBytes = 0;
+  let rewriteRequired = false;
+  let loading = true;
+
+  const memory = createMemoryBackend({
+    name,
+    maxBytes,
+    maxEntries,
+    onEvict: (key) => {
+      if (!loading) appendRecord({ op: 'del', key });
+    },
+  });
+
+  function buildSetRecord(key, entry) {
+    return {
+      op: 'set',
+      key,
+      value: encode(entry.value),
+      size: entry.size,
+      expiresAt: entry.expiresAt,
+      createdAt: entry.createdAt,
+      lastAccess: entry.lastAccess,
+    };
+  }
+
+  function applyRecord(record, now) {
+    switch (record?.op) {
+      case 'set':
+        if (record.expiresAt && record.expiresAt <= now) {
+          memory.delete(record.key);
+          return;
+        }
+        memory.set(record.key, decode(record.value), {
+          size: record.size || 0,
+          expiresAt: record.expiresAt || null,
+          createdAt: record.createdAt || now,
+          lastAccess: record.lastAccess || record.createdAt || now,
+        });
+        return;
+      case 'touch':
+        (record.keys || [record.key]).forEach((key) => memory.get(key));
+        return;
+      case 'del':
+        memory.delete(record.key);
+        return;
+      case 'clear':
+        memory.clear();
+        return;
+      default:
+        throw new Error(`unknown journal operation ${record?.op}`);
+    }
+  }
+
+  function load() {
+    let raw = null;
+    try {
+      raw = fs.readFileSync(filePath, 'utf-8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[CACHE] Ignoring unreadable ${name} cache journal: ${error.message}`);
+        rewriteRequired = true;
+      }
+      return;
+    }
+    journalBytes = Buffer.byteLength(raw);
+    const lines = raw.split('\n');
+    let header = null;
+    try {
+      header = JSON.parse(lines[0]);
+    } catch (_) {
+      header = null;
+    }
+    if (!header || header.version !== JOURNAL_VERSION) {
+      console.warn(`[CACHE] ${name} cache journal format not recognized; starting fresh`);
+      rewriteRequired = true;
+      return;
+    }
+    const now = Date.now();
+    let skipped = 0;
+    lines.slice(1).forEach((line) => {
+      if (!line) return;
+      try {
+        applyRecord(JSON.parse(line), now);
+      } catch (_) {
+        // A torn final write or a value that no longer decodes; the rest of the journal is still usable
+        skipped += 1;
+      }
+    });
+    memory.prune(now);
+    if (skipped > 0) {
+      console.warn(`[CACHE] Skipped ${skipped} unreadable ${name} cache journal records`);
+      rewriteRequired = true;
+    }
+    const { entries } = memory.stats();
+    if (entries > 0) {
+      console.log(`[CACHE] Loaded ${entries} persisted ${name} cache entries`);
+    }
+  }
+
+  function ensureDirectory() {
+    const directory = path.dirname(filePath);
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true });
+    }
+  }
+
+  function takeTouchLine() {
+    if (touchedKeys.size === 0) return [];
+    const line = JSON.stringify({ op: 'touch', keys: Array.from(touchedKeys) });
+    touchedKeys.clear();
+    return [line];
+  }
+
+  function journalHeader() {
+    return JSON.stringify({ version: JOURNAL_VERSION, name });
+  }
+
+  // Rewrites the journal as one set record per live entry, least recently used first. Entries are
+  // written one at a time so a large cache does not block the event loop; records made meanwhile
+  // stay pending and are appended once the new journal is in place.
+  async function compact() {
+    const snapshot = memory.entries();
+    touchedKeys.clear();
+    const tempFile = `${filePath}.tmp`;
+    const handle = await fs.promises.open(tempFile, 'w');
+    let bytes = 0;
+    try {
+      const header = `${journalHeader()}\n`;
+      await handle.write(header);
+      bytes += Buffer.byteLength(header);
+      for (const entry of snapshot) {
+        const line = `${JSON.stringify(buildSetRecord(entry.key, entry))}\n`;
+        await handle.write(line);
+        bytes += Buffer.byteLength(line);
+      }
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(tempFile, filePath);
+    journalBytes = bytes;
+    rewriteRequired = false;
+  }
+
+  async function writeJournal() {
+    const lines = [...pendingLines, ...(pendingLines.length > 0 ? takeTouchLine() : [])];
+    pendingLines = [];
+    heldLines = lines;
+    ensureDirectory();
+    const chunk = lines.length > 0 ? `${lines.join('\n')}\n` : '';
+    const chunkBytes = Buffer.byteLength(chunk);
+    const compactThreshold = Math.max(MIN_COMPACT_BYTES, memory.stats().bytes * 2);
+    if (rewriteRequired || journalBytes === 0 || journalBytes + chunkBytes > compactThreshold) {
+      await compact();
+    } else if (chunkBytes > 0) {
+      await fs.promises.appendFile(filePath, chunk, 'utf-8');
+      journalBytes += chunkBytes;
+    }
+    heldLines = [];
+  }
+
+  function scheduleFlush() {
+    if (flushTimer || writeInFlight) return;
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      writeInFlight = writeJournal()
+        .catch((error) => {
+          console.warn(`[CACHE] Failed to write ${name} cache journal: ${error.message}`);
+          heldLines = [];
+          rewriteRequired = true;
+        })
+        .finally(() => {
+          writeInFlight = null;
+          if (pendingLines.length > 0) scheduleFlush();
+        });
+    }, FLUSH_DEBOUNCE_MS);
+    if (typeof flushTimer.unref === 'function') flushTimer.unref();
+  }
+
+  // Synchronous so it can run from shutdown handlers. Appends whatever has not reached the journal yet;
+  // an interrupted compaction leaves the previous journal intact, and replaying its lines again is harmless.
+  function flush() {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    try {
+      ensureDirectory();
+      if (rewriteRequired && !writeInFlight) {
+        const lines = [journalHeader()];
+        memory.entries().forEach((entry) => lines.push(JSON.stringify(buildSetRecord(entry.key, entry))));
+        touchedKeys.clear();
+        const content = `${lines.join('\n')}\n`;
+        fs.writeFileSync(`${filePath}.tmp`, content, 'utf-8');
+        fs.renameSync(`${filePath}.tmp`, filePath);
+        pendingLines = [];
+        journalBytes = Buffer.byteLength(content);
+        rewriteRequired = false;
+        return;
+      }
+      const touchLines = takeTouchLine();
+      const lines = [...heldLines, ...pendingLines, ...touchLines];
+      if (writeInFlight) {
+        // A compaction in progress may still replace this journal, so keep the lines queued for the new one too
+        pendingLines.push(...touchLines);
+      } else {
+        pendingLines = [];
+      }
+      if (lines.length === 0) return;
+      const chunk = `${lines.join('\n')}\n`;
+      fs.appendFileSync(filePath, chunk, 'utf-8');
+      journalBytes += Buffer.byteLength(chunk);
+    } catch (error) {
+      console.warn(`[CACHE] Failed to write ${name} cache journal: ${error.message}`);
+      rewriteRequired = true;
+    }
+  }
+
+  function appendRecord(record) {
+    pendingLines.push(JSON.stringify(record));
+    scheduleFlush();
+  }
+
+  load();
+  loading = false;
+
+  return {
+    type: 'file',
+    name,
+    get(key) {
+      const entry = memory.get(key);
+      if (entry) touchedKeys.add(key);
+      return entry;
+    },
+    set(key, value, { size = 0, expiresAt = null } = {}) {
+      const now = Date.now();
+      const entry = { value, size, expiresAt, createdAt: now, lastAccess: now };
+      const stored = memory.set(key, value, entry);
+      if (stored) appendRecord(buildSetRecord(key, entry));
+      return stored;
+    },
+    delete(key) {
+      const removed = memory.delete(key);
+      if (removed) appendRecord({ op: 'del', key });
+      return removed;
+    },
+    clear() {
+      const cleared = memory.clear();
+      touchedKeys.clear();
+      appendRecord({ op: 'clear' });
+      return cleared;
+    },
+    prune: memory.prune,
+    entries: memory.entries,
+    stats: () => ({ ...memory.stats(), backend: 'file', file: filePath, journalBytes }),
+    flush,
+  };
+}
+
+module.exports = {
+  createFileBackend,
+};
@@ -0,0 +1,35 @@
+// Cache backend selection: CACHE_BACKEND=memory (default) or file (durable journal under the config dir)
+const path = require('path');
+const { CONFIG_DIR } = require('../../../config/runtimeEnv');
+const { createMemoryBackend } = require('./memoryBackend');
+const { createFileBackend } = require('./fileBackend');
+
+const CACHE_BACKEND_TYPES = ['memory', 'file'];
+const CACHE_DIR = path.join(CONFIG_DIR, 'cache');
+
+function resolveCacheBackendType() {
+  const requested = (process.env.CACHE_BACKEND || 'memory').trim().toLowerCase();
+  if (CACHE_BACKEND_TYPES.includes(requested)) return requested;
+  console.warn(`[CACHE] Unknown CACHE_BACKEND "${requested}"; using memory`);
+  return 'memory';
+}
+
+// Every backend exposes get/set/delete/clear/prune/entries/stats/flush
+function createCacheBackend({ name, maxBytes = 0, maxEntries = 0, encode, decode }) {
+  if (resolveCacheBackendType() === 'file') {
+    return createFileBackend({
+      name,
+      filePath: path.join(CACHE_DIR, `${name}-cache.jsonl`),
+      maxBytes,
+      maxEntries,
+      encode,
+      decode,
+    });
+  }
+  return createMemoryBackend({ name, maxBytes, maxEntries });
+}
+
+module.exports = {
+  CACHE_BACKEND_TYPES,
+  createCacheBackend,
+};
@@ -0,0 +1,85 @@
+// In-memory cache backend with LRU eviction and byte accounting
+function createMemoryBackend({ name, maxBytes = 0, maxEntries = 0, onEvict = null } = {}) {
+  // Map iteration order doubles as recency order: oldest first, most recently used last
+  const entries = new Map();
+  let bytes = 0;
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) return false;
+    entries.delete(key);
+    bytes -= entry.size;
+    return true;
+  }
+
+  function isExpired(entry, now = Date.now()) {
+    return Boolean(entry.expiresAt && entry.expiresAt <= now);
+  }
+
+  function prune(now = Date.now()) {
+    for (const [key, entry] of entries.entries()) {
+      if (isExpired(entry, now)) {
+        remove(key);
+        if (onEvict) onEvict(key, 'expired');
+      }
+    }
+    while (
+      (maxBytes > 0 && bytes > maxBytes)
+      || (maxEntries > 0 && entries.size > maxEntries)
+    ) {
+      const leastRecentKey = entries.keys().next().value;
+      if (leastRecentKey === undefined) break;
+      remove(leastRecentKey);
+      if (onEvict) onEvict(leastRecentKey, 'lru');
+    }
+  }
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (isExpired(entry)) {
+      remove(key);
+      if (onEvict) onEvict(key, 'expired');
+      return null;
+    }
+    entries.delete(key);
+    entry.lastAccess = Date.now();
+    entries.set(key, entry);
+    return entry;
+  }
+
+  // Returns false when the value alone exceeds the byte budget
+  function set(key, value, { size = 0, expiresAt = null, createdAt = Date.now(), lastAccess = createdAt } = {}) {
+    if (maxBytes > 0 && size > maxBytes) return false;
+    remove(key);
+    entries.set(key, { value, size, expiresAt, createdAt, lastAccess });
+    bytes += size;
+    prune();
+    return true;
+  }
+
+  function clear() {
+    const cleared = entries.size;
+    entries.clear();
+    bytes = 0;
+    return cleared;
+  }
+
+  return {
+    type: 'memory',
+    name,
+    get,
+    set,
+    delete: remove,
+    clear,
+    prune,
+    // Snapshot for inspection; does not touch recency
+    entries: () => Array.from(entries.entries()).map(([key, entry]) => ({ key, ...entry })),
+    stats: () => ({ backend: 'memory', entries: entries.size, bytes, maxBytes, maxEntries }),
+    flush: () => {},
+  };
+}
+
+module.exports = {
+  createMemoryBackend,
+};
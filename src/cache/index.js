@@ -2,18 +2,59 @@
 const streamCache = require('./streamCache');
 const nzbCache = require('./nzbCache');
 const nzbdavCache = require('./nzbdavCache');
+const triageDecisionStore = require('./triageDecisionStore');
 
+// The persistent triage decision store is intentionally left untouched here so
+// verdicts survive config saves; use clearTriageDecisionStore() to wipe it.
 function clearAllCaches(reason = 'manual') {
   streamCache.clearStreamResponseCache(reason);
   nzbCache.clearVerifiedNzbCache(reason);
   nzbdavCache.clearNzbdavStreamCache(reason);
 }
 
+// Names accepted by purgeCache and the admin cache routes
+const PURGEABLE_CACHES = {
+  stream: (reason) => streamCache.clearStreamResponseCache(reason),
+  nzb: (reason) => nzbCache.clearVerifiedNzbCache(reason),
+  nzbdav: (reason) => nzbdavCache.clearNzbdavStreamCache(reason),
+  triageDecisions: (reason) => triageDecisionStore.clearTriageDecisionStore(reason),
+};
+
+function purgeCache(name, reason = 'manual') {
+  const purge = PURGEABLE_CACHES[name];
+  if (!purge) return false;
+  purge(reason);
+  return true;
+}
+
+// Single-entry removal keyed by stream cache key, download URL or NZBDav mount key
+const CACHE_ENTRY_DELETERS = {
+  stream: (key) => streamCache.deleteStreamCacheEntry(key),
+  nzb: (key) => nzbCache.deleteVerifiedNzbCacheEntry(key),
+  nzbdav: (key) => nzbdavCache.deleteNzbdavStreamEntry(key),
+  triageDecisions: (key) => triageDecisionStore.deletePersistedTriageDecision(key),
+};
+
+// Returns null for an unknown cache name, otherwise whether an entry was removed
+function deleteCacheEntry(name, key) {
+  const remove = CACHE_ENTRY_DELETERS[name];
+  if (!remove) return null;
+  return remove(key);
+}
+
+// Writes pending file-backend journal records and triage decisions; safe to call from an exit handler
+function flushCaches() {
+  streamCache.flushStreamCache();
+  nzbCache.flushVerifiedNzbCache();
+  triageDecisionStore.flushTriageDecisionStore();
+}
+
 function getAllCacheStats() {
   return {
     stream: streamCache.getStreamCacheStats(),
     nzb: nzbCache.getVerifiedNzbCacheStats(),
     nzbdav: nzbdavCache.getNzbdavCacheStats(),
+    triageDecisions: triageDecisionStore.getTriageDecisionStoreStats(),
   };
 }
 
@@ -27,7 +68,13 @@ module.exports = {
   // NZBDav cache
   ...nzbdavCache,
   
+  // Persistent triage decisions
+  ...triageDecisionStore,
+  
   // Combined operations
   clearAllCaches,
+  purgeCache,
+  deleteCacheEntry,
+  flushCaches,
   getAllCacheStats,
 };
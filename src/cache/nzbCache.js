@@ -1,6 +1,5 @@
 // Verified NZB payload cache module
-const verifiedNzbCacheByUrl = new Map();
-let verifiedNzbCacheBytes = 0;
+const { createCacheBackend } = require('./backends');
 
 // Parse cache configuration from environment
 const VERIFIED_NZB_CACHE_TTL_MS = (() => {
@@ -15,81 +14,73 @@ const VERIFIED_NZB_CACHE_MAX_BYTES = (() => {
   return 100 * 1024 * 1024; // Default 100MB
 })();
 
+// File backends persist the NZB body as base64
+const backend = createCacheBackend({
+  name: 'verified-nzb',
+  maxBytes: VERIFIED_NZB_CACHE_MAX_BYTES,
+  encode: (value) => ({ ...value, payloadBuffer: value.payloadBuffer.toString('base64') }),
+  decode: (value) => ({ ...value, payloadBuffer: Buffer.from(value.payloadBuffer, 'base64') }),
+});
+
 function cleanupVerifiedNzbCache(now = Date.now()) {
-  if (verifiedNzbCacheByUrl.size === 0) return;
-  
-  // Remove expired entries
-  if (VERIFIED_NZB_CACHE_TTL_MS > 0) {
-    for (const [url, entry] of verifiedNzbCacheByUrl.entries()) {
-      if (entry.expiresAt && entry.expiresAt <= now) {
-        verifiedNzbCacheByUrl.delete(url);
-        verifiedNzbCacheBytes -= entry.size;
-      }
-    }
-  }
-  
-  // Enforce size limit (FIFO)
-  while (VERIFIED_NZB_CACHE_MAX_BYTES > 0 && verifiedNzbCacheBytes > VERIFIED_NZB_CACHE_MAX_BYTES) {
-    const oldestKey = verifiedNzbCacheByUrl.keys().next().value;
-    if (!oldestKey) break;
-    const oldest = verifiedNzbCacheByUrl.get(oldestKey);
-    verifiedNzbCacheByUrl.delete(oldestKey);
-    if (oldest) verifiedNzbCacheBytes -= oldest.size;
-  }
+  backend.prune(now);
 }
 
 function getVerifiedNzbCacheEntry(downloadUrl) {
   if (!downloadUrl || VERIFIED_NZB_CACHE_MAX_BYTES <= 0) return null;
-  cleanupVerifiedNzbCache();
-  const entry = verifiedNzbCacheByUrl.get(downloadUrl);
+  const entry = backend.get(downloadUrl);
   if (!entry) return null;
-  if (entry.expiresAt && entry.expiresAt <= Date.now()) {
-    verifiedNzbCacheByUrl.delete(downloadUrl);
-    verifiedNzbCacheBytes -= entry.size;
-    return null;
-  }
-  entry.lastAccess = Date.now();
-  return entry;
+  return {
+    ...entry.value,
+    size: entry.size,
+    expiresAt: entry.expiresAt,
+    createdAt: entry.createdAt,
+    lastAccess: entry.lastAccess,
+  };
 }
 
 function cacheVerifiedNzbPayload(downloadUrl, nzbPayload, metadata = {}) {
   if (!downloadUrl || typeof nzbPayload !== 'string' || nzbPayload.length === 0) return;
   if (VERIFIED_NZB_CACHE_MAX_BYTES <= 0) return;
-  
+
   const payloadBuffer = Buffer.from(nzbPayload, 'utf8');
-  const size = payloadBuffer.length;
-  if (size > VERIFIED_NZB_CACHE_MAX_BYTES) return;
-  
   const expiresAt = VERIFIED_NZB_CACHE_TTL_MS > 0 ? Date.now() + VERIFIED_NZB_CACHE_TTL_MS : null;
-  const existing = verifiedNzbCacheByUrl.get(downloadUrl);
-  if (existing) {
-    verifiedNzbCacheBytes -= existing.size;
-  }
-  
-  verifiedNzbCacheByUrl.set(downloadUrl, {
+  backend.set(downloadUrl, {
     downloadUrl,
     payloadBuffer,
-    size,
     metadata: {
       title: metadata.title || null,
       sizeBytes: metadata.size || null,
       fileName: metadata.fileName || null,
     },
-    expiresAt,
-    createdAt: Date.now(),
-    lastAccess: Date.now(),
-  });
-  
-  verifiedNzbCacheBytes += size;
-  cleanupVerifiedNzbCache();
+  }, { size: payloadBuffer.length, expiresAt });
 }
 
 function clearVerifiedNzbCache(reason = 'manual') {
-  if (verifiedNzbCacheByUrl.size > 0) {
-    console.log('[CACHE] Cleared verified NZB cache', { reason, entries: verifiedNzbCacheByUrl.size });
+  const cleared = backend.clear();
+  if (cleared > 0) {
+    console.log('[CACHE] Cleared verified NZB cache', { reason, entries: cleared });
   }
-  verifiedNzbCacheByUrl.clear();
-  verifiedNzbCacheBytes = 0;
+}
+
+// Least recently used first; payloads are left out
+function listVerifiedNzbCacheEntries() {
+  return backend.entries().map(({ key, value, size, expiresAt, createdAt, lastAccess }) => ({
+    downloadUrl: key,
+    metadata: { ...value.metadata },
+    size,
+    expiresAt,
+    createdAt,
+    lastAccess,
+  }));
+}
+
+function deleteVerifiedNzbCacheEntry(downloadUrl) {
+  return backend.delete(downloadUrl);
+}
+
+function flushVerifiedNzbCache() {
+  backend.flush();
 }
 
 function buildVerifiedNzbFileName(entry, fallbackTitle = null) {
@@ -104,9 +95,7 @@ function buildVerifiedNzbFileName(entry, fallbackTitle = null) {
 
 function getVerifiedNzbCacheStats() {
   return {
-    entries: verifiedNzbCacheByUrl.size,
-    bytes: verifiedNzbCacheBytes,
-    maxBytes: VERIFIED_NZB_CACHE_MAX_BYTES,
+    ...backend.stats(),
     ttlMs: VERIFIED_NZB_CACHE_TTL_MS,
   };
 }
@@ -116,6 +105,9 @@ module.exports = {
   getVerifiedNzbCacheEntry,
   cacheVerifiedNzbPayload,
   clearVerifiedNzbCache,
+  listVerifiedNzbCacheEntries,
+  deleteVerifiedNzbCacheEntry,
+  flushVerifiedNzbCache,
   buildVerifiedNzbFileName,
   getVerifiedNzbCacheStats,
 };
@@ -16,8 +16,6 @@ function reloadNzbdavCacheConfig() {
 reloadNzbdavCacheConfig();
 
 function cleanupNzbdavCache() {
-  if (NZBDAV_CACHE_TTL_MS <= 0) return;
-
   const now = Date.now();
   for (const [key, entry] of nzbdavStreamCache.entries()) {
     if (entry.expiresAt && entry.expiresAt <= now) {
@@ -33,8 +31,12 @@ function clearNzbdavStreamCache(reason = 'manual') {
   nzbdavStreamCache.clear();
 }
 
-async function getOrCreateNzbdavStream(cacheKey, builder) {
+// options.ttlMs overrides NZBDAV_CACHE_TTL_MINUTES for this entry (0 = no expiry);
+// options.cacheFailures: false drops failed builds instead of replaying them until expiry
+async function getOrCreateNzbdavStream(cacheKey, builder, options = {}) {
   cleanupNzbdavCache();
+  const ttlMs = Number.isFinite(options.ttlMs) && options.ttlMs >= 0 ? options.ttlMs : NZBDAV_CACHE_TTL_MS;
+  const cacheFailures = options.cacheFailures !== false;
   const existing = nzbdavStreamCache.get(cacheKey);
 
   if (existing) {
@@ -54,21 +56,23 @@ async function getOrCreateNzbdavStream(cacheKey, builder) {
     nzbdavStreamCache.set(cacheKey, {
       status: 'ready',
       data,
-      expiresAt: NZBDAV_CACHE_TTL_MS > 0 ? Date.now() + NZBDAV_CACHE_TTL_MS : null
+      createdAt: Date.now(),
+      expiresAt: ttlMs > 0 ? Date.now() + ttlMs : null
     });
     return data;
   })();
 
-  nzbdavStreamCache.set(cacheKey, { status: 'pending', promise });
+  nzbdavStreamCache.set(cacheKey, { status: 'pending', promise, createdAt: Date.now() });
 
   try {
     return await promise;
   } catch (error) {
-    if (error?.isNzbdavFailure) {
+    if (error?.isNzbdavFailure && cacheFailures) {
       nzbdavStreamCache.set(cacheKey, {
         status: 'failed',
         error,
-        expiresAt: NZBDAV_CACHE_TTL_MS > 0 ? Date.now() + NZBDAV_CACHE_TTL_MS : null
+        createdAt: Date.now(),
+        expiresAt: ttlMs > 0 ? Date.now() + ttlMs : null
       });
     } else {
       nzbdavStreamCache.delete(cacheKey);
@@ -85,6 +89,28 @@ function buildNzbdavCacheKey(downloadUrl, category, requestedEpisode = null) {
   return parts.join('::');
 }
 
+function listNzbdavStreamEntries() {
+  cleanupNzbdavCache();
+  return Array.from(nzbdavStreamCache.entries()).map(([key, entry]) => ({
+    key,
+    status: entry.status,
+    createdAt: entry.createdAt || null,
+    expiresAt: entry.expiresAt || null,
+    jobName: entry.data?.jobName || entry.error?.title || null,
+    fileName: entry.data?.fileName || null,
+    size: entry.data?.size || null,
+    error: entry.status === 'failed' ? (entry.error?.failureMessage || entry.error?.message || null) : null,
+  }));
+}
+
+// Pending mounts are left alone so concurrent requests keep sharing the in-flight promise
+function deleteNzbdavStreamEntry(cacheKey) {
+  const entry = nzbdavStreamCache.get(cacheKey);
+  if (!entry || entry.status === 'pending') return false;
+  nzbdavStreamCache.delete(cacheKey);
+  return true;
+}
+
 function getNzbdavCacheStats() {
   const stats = {
     entries: nzbdavStreamCache.size,
@@ -106,6 +132,8 @@ module.exports = {
   clearNzbdavStreamCache,
   getOrCreateNzbdavStream,
   buildNzbdavCacheKey,
+  listNzbdavStreamEntries,
+  deleteNzbdavStreamEntry,
   getNzbdavCacheStats,
   reloadNzbdavCacheConfig,
 };
@@ -1,6 +1,5 @@
 // Stream response cache module
-const streamResponseCache = new Map();
-let streamCacheBytes = 0;
+const { createCacheBackend } = require('./backends');
 
 // Parse cache configuration from environment
 const STREAM_CACHE_TTL_MS = (() => {
@@ -17,6 +16,12 @@ const STREAM_CACHE_MAX_BYTES = (() => {
 
 const STREAM_CACHE_MAX_ENTRIES = 1000;
 
+const backend = createCacheBackend({
+  name: 'stream',
+  maxBytes: STREAM_CACHE_MAX_BYTES,
+  maxEntries: STREAM_CACHE_MAX_ENTRIES,
+});
+
 function estimateCacheEntrySize(payload, meta) {
   try {
     return Buffer.byteLength(JSON.stringify({ payload, meta }));
@@ -26,73 +31,57 @@ function estimateCacheEntrySize(payload, meta) {
 }
 
 function cleanupStreamCache(now = Date.now()) {
-  if (streamResponseCache.size === 0) return;
-  
-  // Remove expired entries
-  if (STREAM_CACHE_TTL_MS > 0) {
-    for (const [key, entry] of streamResponseCache.entries()) {
-      if (entry.expiresAt && entry.expiresAt <= now) {
-        streamResponseCache.delete(key);
-        streamCacheBytes -= entry.size;
-      }
-    }
-  }
-  
-  // Enforce size and count limits (FIFO)
-  while (
-    (STREAM_CACHE_MAX_BYTES > 0 && streamCacheBytes > STREAM_CACHE_MAX_BYTES)
-    || (STREAM_CACHE_MAX_ENTRIES > 0 && streamResponseCache.size > STREAM_CACHE_MAX_ENTRIES)
-  ) {
-    const oldestKey = streamResponseCache.keys().next().value;
-    if (!oldestKey) break;
-    const oldest = streamResponseCache.get(oldestKey);
-    streamResponseCache.delete(oldestKey);
-    if (oldest) streamCacheBytes -= oldest.size;
-  }
+  backend.prune(now);
 }
 
 function clearStreamResponseCache(reason = 'manual') {
-  if (streamResponseCache.size > 0) {
-    console.log('[CACHE] Cleared stream response cache', { reason, entries: streamResponseCache.size });
+  const cleared = backend.clear();
+  if (cleared > 0) {
+    console.log('[CACHE] Cleared stream response cache', { reason, entries: cleared });
   }
-  streamResponseCache.clear();
-  streamCacheBytes = 0;
 }
 
 function getStreamCacheEntry(cacheKey) {
   if (!cacheKey || STREAM_CACHE_MAX_ENTRIES <= 0) return null;
-  cleanupStreamCache();
-  const entry = streamResponseCache.get(cacheKey);
+  const entry = backend.get(cacheKey);
   if (!entry) return null;
-  if (entry.expiresAt && entry.expiresAt <= Date.now()) {
-    streamResponseCache.delete(cacheKey);
-    streamCacheBytes -= entry.size;
-    return null;
-  }
-  return entry;
+  return { ...entry.value, expiresAt: entry.expiresAt, size: entry.size };
 }
 
 function setStreamCacheEntry(cacheKey, payload, meta = null) {
   if (!cacheKey || STREAM_CACHE_MAX_ENTRIES <= 0) return;
   const size = estimateCacheEntrySize(payload, meta);
-  if (size <= 0 || (STREAM_CACHE_MAX_BYTES > 0 && size > STREAM_CACHE_MAX_BYTES)) return;
+  if (size <= 0) return;
   const expiresAt = STREAM_CACHE_TTL_MS > 0 ? Date.now() + STREAM_CACHE_TTL_MS : null;
-  const existing = streamResponseCache.get(cacheKey);
-  if (existing) {
-    streamCacheBytes -= existing.size;
-    streamResponseCache.delete(cacheKey);
-  }
-  streamResponseCache.set(cacheKey, { payload, meta, expiresAt, size });
-  streamCacheBytes += size;
-  cleanupStreamCache();
+  backend.set(cacheKey, { payload, meta }, { size, expiresAt });
+}
+
+// Least recently used first; triageComplete is null for entries stored without search metadata
+function listStreamCacheEntries() {
+  return backend.entries().map(({ key, value, size, expiresAt, createdAt, lastAccess }) => ({
+    key,
+    size,
+    expiresAt,
+    createdAt,
+    lastAccess,
+    streamCount: Array.isArray(value?.payload?.streams) ? value.payload.streams.length : 0,
+    resultCount: Array.isArray(value?.meta?.finalNzbResults) ? value.meta.finalNzbResults.length : 0,
+    triageComplete: typeof value?.meta?.triageComplete === 'boolean' ? value.meta.triageComplete : null,
+    triagePending: Array.isArray(value?.meta?.triagePendingDownloadUrls) ? value.meta.triagePendingDownloadUrls.length : 0,
+  }));
+}
+
+function deleteStreamCacheEntry(cacheKey) {
+  return backend.delete(cacheKey);
+}
+
+function flushStreamCache() {
+  backend.flush();
 }
 
 function getStreamCacheStats() {
   return {
-    entries: streamResponseCache.size,
-    bytes: streamCacheBytes,
-    maxBytes: STREAM_CACHE_MAX_BYTES,
-    maxEntries: STREAM_CACHE_MAX_ENTRIES,
+    ...backend.stats(),
     ttlMs: STREAM_CACHE_TTL_MS,
   };
 }
@@ -102,5 +91,8 @@ module.exports = {
   clearStreamResponseCache,
   getStreamCacheEntry,
   setStreamCacheEntry,
+  listStreamCacheEntries,
+  deleteStreamCacheEntry,
+  flushStreamCache,
   getStreamCacheStats,
 };
@@ -0,0 +1,305 @@
+// Persistent triage decision store (survives restarts and admin cache clears)
+const fs = require('fs');
+const path = require('path');
+const { CONFIG_DIR } = require('../../config/runtimeEnv');
+const { sanitizeDecisionForCache } = require('../utils/helpers');
+const { normalizeReleaseTitle } = require('../utils/parsers');
+const { toFiniteNumber } = require('../utils/config');
+
+const TRIAGE_DECISION_STORE_FILE = path.join(CONFIG_DIR, 'triage-decisions.json');
+const TRIAGE_DECISION_STORE_VERSION = 1;
+const PERSIST_DEBOUNCE_MS = 2000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Blank values (the admin form saves empty fields as '') mean "use the default"; only an explicit 0 disables a status
+function readTtlHours(envKey, fallbackHours) {
+  const raw = toFiniteNumber(String(process.env[envKey] ?? '').trim(), undefined);
+  if (Number.isFinite(raw) && raw >= 0) return raw * HOUR_MS;
+  return fallbackHours * HOUR_MS;
+}
+
+const decisionsByUrl = new Map();
+const urlsByTitle = new Map();
+let storeLoaded = false;
+let persistTimer = null;
+
+// Parse store configuration from environment
+let TRIAGE_DECISION_STORE_ENABLED = true;
+let TRIAGE_DECISION_TTL_MS = {};
+let TRIAGE_DECISION_STORE_MAX_ENTRIES = 5000;
+
+// New TTLs apply to verdicts stored from now on; existing entries keep their expiry
+function reloadTriageDecisionStoreConfig() {
+  flushTriageDecisionStore();
+  const wasEnabled = TRIAGE_DECISION_STORE_ENABLED;
+  const rawEnabled = process.env.NZB_TRIAGE_DECISION_STORE_ENABLED;
+  TRIAGE_DECISION_STORE_ENABLED = rawEnabled === undefined || rawEnabled === null || String(rawEnabled).trim() === ''
+    ? true
+    : ['1', 'true', 'yes', 'on'].includes(String(rawEnabled).trim().toLowerCase());
+
+  TRIAGE_DECISION_TTL_MS = {
+    verified: readTtlHours('NZB_TRIAGE_DECISION_TTL_VERIFIED_HOURS', 7 * 24), // Default 7 days
+    blocked: readTtlHours('NZB_TRIAGE_DECISION_TTL_BLOCKED_HOURS', 3 * 24), // Default 3 days
+    unverified: readTtlHours('NZB_TRIAGE_DECISION_TTL_UNVERIFIED_HOURS', 6), // Default 6 hours
+  };
+
+  const rawMaxEntries = Number(process.env.NZB_TRIAGE_DECISION_STORE_MAX_ENTRIES);
+  TRIAGE_DECISION_STORE_MAX_ENTRIES = Number.isFinite(rawMaxEntries) && rawMaxEntries > 0 ? Math.floor(rawMaxEntries) : 5000;
+
+  // Re-enabling after the store was skipped while disabled: read the file on next use
+  if (TRIAGE_DECISION_STORE_ENABLED && !wasEnabled && decisionsByUrl.size === 0) {
+    storeLoaded = false;
+  }
+}
+
+reloadTriageDecisionStoreConfig();
+
+function isPersistableStatus(status) {
+  return Object.prototype.hasOwnProperty.call(TRIAGE_DECISION_TTL_MS, status)
+    && TRIAGE_DECISION_TTL_MS[status] > 0;
+}
+
+function resolveEntryTitleKey(entry) {
+  if (!entry || !entry.decision) return '';
+  return entry.decision.normalizedTitle || normalizeReleaseTitle(entry.decision.title);
+}
+
+function indexEntryTitle(downloadUrl, entry) {
+  const titleKey = resolveEntryTitleKey(entry);
+  if (!titleKey) return;
+  let urls = urlsByTitle.get(titleKey);
+  if (!urls) {
+    urls = new Set();
+    urlsByTitle.set(titleKey, urls);
+  }
+  urls.add(downloadUrl);
+}
+
+function unindexEntryTitle(downloadUrl, entry) {
+  const titleKey = resolveEntryTitleKey(entry);
+  if (!titleKey) return;
+  const urls = urlsByTitle.get(titleKey);
+  if (!urls) return;
+  urls.delete(downloadUrl);
+  if (urls.size === 0) urlsByTitle.delete(titleKey);
+}
+
+function removeEntry(downloadUrl) {
+  const entry = decisionsByUrl.get(downloadUrl);
+  if (!entry) return false;
+  decisionsByUrl.delete(downloadUrl);
+  unindexEntryTitle(downloadUrl, entry);
+  return true;
+}
+
+function loadTriageDecisionStore() {
+  if (storeLoaded) return;
+  storeLoaded = true;
+  if (!TRIAGE_DECISION_STORE_ENABLED) return;
+
+  let parsed = null;
+  try {
+    const raw = fs.readFileSync(TRIAGE_DECISION_STORE_FILE, 'utf-8');
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`[TRIAGE STORE] Ignoring unreadable decision store: ${error.message}`);
+    }
+    return;
+  }
+
+  if (!parsed || parsed.version !== TRIAGE_DECISION_STORE_VERSION || !Array.isArray(parsed.entries)) {
+    console.warn('[TRIAGE STORE] Decision store format not recognized; starting fresh');
+    return;
+  }
+
+  const now = Date.now();
+  parsed.entries.forEach((item) => {
+    if (!Array.isArray(item) || item.length < 2) return;
+    const [downloadUrl, entry] = item;
+    if (!downloadUrl || !entry || !entry.decision) return;
+    if (!isPersistableStatus(entry.decision.status)) return;
+    if (entry.expiresAt && entry.expiresAt <= now) return;
+    decisionsByUrl.set(downloadUrl, entry);
+    indexEntryTitle(downloadUrl, entry);
+  });
+
+  if (decisionsByUrl.size > 0) {
+    console.log(`[TRIAGE STORE] Loaded ${decisionsByUrl.size} persisted triage decisions`);
+  }
+}
+
+function cleanupTriageDecisionStore(now = Date.now()) {
+  let removed = 0;
+  for (const [downloadUrl, entry] of decisionsByUrl.entries()) {
+    if (entry.expiresAt && entry.expiresAt <= now) {
+      removeEntry(downloadUrl);
+      removed += 1;
+    }
+  }
+
+  // Enforce entry limit (FIFO by insertion order)
+  while (decisionsByUrl.size > TRIAGE_DECISION_STORE_MAX_ENTRIES) {
+    const oldestKey = decisionsByUrl.keys().next().value;
+    if (!oldestKey) break;
+    removeEntry(oldestKey);
+    removed += 1;
+  }
+  return removed;
+}
+
+function writeTriageDecisionStore() {
+  if (persistTimer) {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+  }
+  if (!TRIAGE_DECISION_STORE_ENABLED) return;
+  cleanupTriageDecisionStore();
+  const payload = {
+    version: TRIAGE_DECISION_STORE_VERSION,
+    savedAt: Date.now(),
+    entries: Array.from(decisionsByUrl.entries()),
+  };
+  try {
+    if (!fs.existsSync(CONFIG_DIR)) {
+      fs.mkdirSync(CONFIG_DIR, { recursive: true });
+    }
+    const tempFile = `${TRIAGE_DECISION_STORE_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(payload), 'utf-8');
+    fs.renameSync(tempFile, TRIAGE_DECISION_STORE_FILE);
+  } catch (error) {
+    console.warn(`[TRIAGE STORE] Failed to write decision store: ${error.message}`);
+  }
+}
+
+function schedulePersist() {
+  if (persistTimer) return;
+  persistTimer = setTimeout(writeTriageDecisionStore, PERSIST_DEBOUNCE_MS);
+  if (typeof persistTimer.unref === 'function') persistTimer.unref();
+}
+
+function getPersistedTriageDecision(downloadUrl) {
+  if (!TRIAGE_DECISION_STORE_ENABLED || !downloadUrl) return null;
+  loadTriageDecisionStore();
+  const entry = decisionsByUrl.get(downloadUrl);
+  if (!entry) return null;
+  if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+    removeEntry(downloadUrl);
+    schedulePersist();
+    return null;
+  }
+  return { ...entry.decision };
+}
+
+// Returns Map(downloadUrl -> decision) for every stored decision matching the
+// given results either by download URL or by normalized release title.
+function lookupPersistedTriageDecisions(results) {
+  const matches = new Map();
+  if (!TRIAGE_DECISION_STORE_ENABLED || !Array.isArray(results) || results.length === 0) return matches;
+  loadTriageDecisionStore();
+  if (decisionsByUrl.size === 0) return matches;
+
+  results.forEach((result) => {
+    if (!result || !result.downloadUrl) return;
+    const direct = getPersistedTriageDecision(result.downloadUrl);
+    if (direct) {
+      matches.set(result.downloadUrl, direct);
+    }
+    const titleKey = result.normalizedTitle || normalizeReleaseTitle(result.title);
+    const relatedUrls = titleKey ? urlsByTitle.get(titleKey) : null;
+    if (!relatedUrls) return;
+    Array.from(relatedUrls).forEach((relatedUrl) => {
+      if (matches.has(relatedUrl)) return;
+      const related = getPersistedTriageDecision(relatedUrl);
+      if (related) matches.set(relatedUrl, related);
+    });
+  });
+
+  return matches;
+}
+
+function persistTriageDecisions(decisions) {
+  if (!TRIAGE_DECISION_STORE_ENABLED || !decisions) return 0;
+  loadTriageDecisionStore();
+  const entries = decisions instanceof Map ? Array.from(decisions.entries()) : Array.from(decisions);
+  const now = Date.now();
+  let stored = 0;
+
+  entries.forEach(([downloadUrl, decision]) => {
+    if (!downloadUrl || !decision) return;
+    const status = decision.status;
+    if (!isPersistableStatus(status)) return;
+    const sanitized = sanitizeDecisionForCache(decision);
+    if (!sanitized.normalizedTitle) {
+      sanitized.normalizedTitle = normalizeReleaseTitle(sanitized.title) || null;
+    }
+    removeEntry(downloadUrl);
+    const entry = {
+      decision: sanitized,
+      storedAt: now,
+      expiresAt: now + TRIAGE_DECISION_TTL_MS[status],
+    };
+    decisionsByUrl.set(downloadUrl, entry);
+    indexEntryTitle(downloadUrl, entry);
+    stored += 1;
+  });
+
+  if (stored > 0) {
+    cleanupTriageDecisionStore(now);
+    schedulePersist();
+  }
+  return stored;
+}
+
+function deletePersistedTriageDecision(downloadUrl) {
+  if (!downloadUrl) return false;
+  loadTriageDecisionStore();
+  const removed = removeEntry(downloadUrl);
+  if (removed) schedulePersist();
+  return removed;
+}
+
+function clearTriageDecisionStore(reason = 'manual') {
+  loadTriageDecisionStore();
+  if (decisionsByUrl.size > 0) {
+    console.log('[TRIAGE STORE] Cleared persisted triage decisions', { reason, entries: decisionsByUrl.size });
+  }
+  decisionsByUrl.clear();
+  urlsByTitle.clear();
+  writeTriageDecisionStore();
+}
+
+function flushTriageDecisionStore() {
+  if (!storeLoaded || !persistTimer) return;
+  writeTriageDecisionStore();
+}
+
+function getTriageDecisionStoreStats() {
+  loadTriageDecisionStore();
+  const byStatus = {};
+  decisionsByUrl.forEach((entry) => {
+    const status = entry?.decision?.status || 'unknown';
+    byStatus[status] = (byStatus[status] || 0) + 1;
+  });
+  return {
+    enabled: TRIAGE_DECISION_STORE_ENABLED,
+    entries: decisionsByUrl.size,
+    titles: urlsByTitle.size,
+    byStatus,
+    maxEntries: TRIAGE_DECISION_STORE_MAX_ENTRIES,
+    ttlMs: { ...TRIAGE_DECISION_TTL_MS },
+    file: TRIAGE_DECISION_STORE_FILE,
+  };
+}
+
+module.exports = {
+  reloadTriageDecisionStoreConfig,
+  getPersistedTriageDecision,
+  lookupPersistedTriageDecisions,
+  persistTriageDecisions,
+  deletePersistedTriageDecision,
+  clearTriageDecisionStore,
+  flushTriageDecisionStore,
+  getTriageDecisionStoreStats,
+};
@@ -1,7 +1,11 @@
 // Authentication middleware for shared secret validation
+const profiles = require('../services/profiles');
+
+// Admin and metrics stay behind the shared secret; profile tokens only unlock addon routes
+const OPERATOR_PATH_PATTERN = /^\/(?:[^/]+\/)?(?:admin|metrics)(?:\/|$)/i;
 
 function extractTokenFromRequest(req) {
-  const pathMatch = (req.path || '').match(/^\/([^\/]+)\/(manifest\.json|stream|nzb)(?:\b|\/)/i);
+  const pathMatch = (req.path || '').match(/^\/([^\/]+)\/(manifest\.json|stream|nzb|metrics|catalog|meta)(?:\b|\/)/i);
   if (pathMatch && pathMatch[1]) {
     return pathMatch[1].trim();
   }
@@ -19,9 +23,24 @@ function extractTokenFromRequest(req) {
   return '';
 }
 
+function isOperatorRequest(req) {
+  const requestPath = (req.originalUrl || req.url || '').split('?')[0];
+  return OPERATOR_PATH_PATTERN.test(requestPath);
+}
+
+// Attaches req.profile when the token belongs to a user profile.
 function ensureSharedSecret(req, res, next) {
   const secret = (process.env.ADDON_SHARED_SECRET || '').trim();
-  
+  const providedToken = extractTokenFromRequest(req);
+  const profile = providedToken && providedToken !== secret && !isOperatorRequest(req)
+    ? profiles.findProfileByToken(providedToken)
+    : null;
+  if (profile) {
+    req.profile = profile;
+    next();
+    return;
+  }
+
   if (!secret) {
     next();
     return;
@@ -30,7 +49,6 @@ function ensureSharedSecret(req, res, next) {
     next();
     return;
   }
-  const providedToken = extractTokenFromRequest(req);
   if (!providedToken || providedToken !== secret) {
     res.status(401).json({ error: 'Unauthorized: invalid or missing addon token' });
     return;
@@ -0,0 +1,32 @@
+// Strips the signed install settings segment from /:token/<settings>/... addon URLs and exposes it as req.installSettings
+const installSettings = require('../services/installSettings');
+
+function splitQuery(url) {
+  const queryIndex = url.indexOf('?');
+  return queryIndex === -1 ? [url, ''] : [url.slice(0, queryIndex), url.slice(queryIndex)];
+}
+
+function applyInstallSettings(req, res, next) {
+  const [pathname, search] = splitQuery(req.url || '');
+  const segments = pathname.split('/');
+  // The segment follows the token (/:token/<settings>/...) or replaces it on secret-less installs
+  const index = [2, 1].find((candidate) => segments.length > candidate + 1
+    && installSettings.isInstallSettingsSegment(segments[candidate]));
+  if (index === undefined) {
+    next();
+    return;
+  }
+  const decoded = installSettings.decodeInstallSettings(segments[index]);
+  if (!decoded) {
+    res.status(400).json({ error: 'Invalid or tampered install settings; reconfigure the addon' });
+    return;
+  }
+  req.installSettings = decoded;
+  segments.splice(index, 1);
+  req.url = `${segments.join('/')}${search}`;
+  next();
+}
+
+module.exports = {
+  applyInstallSettings,
+};
@@ -0,0 +1,103 @@
+// Anime helpers - absolute episode mapping from Cinemeta episode lists and alternate titles from Kitsu
+const axios = require('axios');
+
+const KITSU_ANIME_URL = 'https://kitsu.io/api/edge/anime';
+const KITSU_TIMEOUT_MS = 5000;
+const TITLE_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const TITLE_CACHE_MAX_ENTRIES = 500;
+const MAX_ALTERNATE_TITLES = 2;
+
+const titleCache = new Map(); // lowercased title -> { expiresAt, titles }
+
+function isAnimeMeta(meta) {
+  if (!meta || typeof meta !== 'object') return false;
+  const genres = (Array.isArray(meta.genres) ? meta.genres : Array.isArray(meta.genre) ? meta.genre : [])
+    .map((genre) => String(genre).toLowerCase());
+  if (genres.includes('anime')) return true;
+  const country = String(meta.country || '').toLowerCase();
+  return genres.includes('animation') && /\bjapan\b/.test(country);
+}
+
+// Regular episodes (specials in season 0 excluded) in broadcast order
+function buildEpisodeMap(videos) {
+  if (!Array.isArray(videos)) return [];
+  const seen = new Set();
+  return videos
+    .map((video) => ({ season: Number(video?.season), episode: Number(video?.episode ?? video?.number) }))
+    .filter(({ season, episode }) => Number.isFinite(season) && season > 0 && Number.isFinite(episode) && episode > 0)
+    .filter(({ season, episode }) => {
+      const key = `${season}x${episode}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => (a.season - b.season) || (a.episode - b.episode));
+}
+
+function toAbsoluteEpisode(episodeMap, season, episode) {
+  if (!Array.isArray(episodeMap)) return null;
+  const index = episodeMap.findIndex((entry) => entry.season === season && entry.episode === episode);
+  return index === -1 ? null : index + 1;
+}
+
+function fromAbsoluteEpisode(episodeMap, absoluteEpisode) {
+  if (!Array.isArray(episodeMap) || !Number.isFinite(absoluteEpisode) || absoluteEpisode < 1) return null;
+  const entry = episodeMap[absoluteEpisode - 1];
+  return entry ? { season: entry.season, episode: entry.episode } : null;
+}
+
+// Romaji/English titles releases are commonly named after; the primary title itself is excluded
+async function fetchAlternateTitles(title) {
+  const primary = String(title || '').trim();
+  if (!primary) return [];
+  const key = primary.toLowerCase();
+  const cached = titleCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.titles;
+
+  let titles = [];
+  try {
+    const response = await axios.get(KITSU_ANIME_URL, {
+      params: { 'filter[text]': primary, 'page[limit]': 1 },
+      headers: { Accept: 'application/vnd.api+json' },
+      timeout: KITSU_TIMEOUT_MS,
+    });
+    const attributes = response.data?.data?.[0]?.attributes || {};
+    const candidates = [
+      attributes.titles?.en_jp,
+      attributes.canonicalTitle,
+      attributes.titles?.en,
+      attributes.titles?.en_us,
+      ...(Array.isArray(attributes.abbreviatedTitles) ? attributes.abbreviatedTitles : []),
+    ];
+    const seen = new Set([key]);
+    titles = candidates
+      .map((candidate) => (typeof candidate === 'string' ? candidate.trim() : ''))
+      // Indexers match Latin-script names; skip kana/kanji titles
+      .filter((candidate) => candidate && /^[\x20-\x7EÀ-ɏ]+$/.test(candidate))
+      .filter((candidate) => {
+        const candidateKey = candidate.toLowerCase();
+        if (seen.has(candidateKey)) return false;
+        seen.add(candidateKey);
+        return true;
+      })
+      .slice(0, MAX_ALTERNATE_TITLES);
+  } catch (error) {
+    console.warn(`[ANIME META] Kitsu title lookup failed for "${primary}": ${error.message}`);
+    return [];
+  }
+
+  titleCache.delete(key);
+  titleCache.set(key, { expiresAt: Date.now() + TITLE_CACHE_TTL_MS, titles });
+  while (titleCache.size > TITLE_CACHE_MAX_ENTRIES) {
+    titleCache.delete(titleCache.keys().next().value);
+  }
+  return titles;
+}
+
+module.exports = {
+  isAnimeMeta,
+  buildEpisodeMap,
+  toAbsoluteEpisode,
+  fromAbsoluteEpisode,
+  fetchAlternateTitles,
+};
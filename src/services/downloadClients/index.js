@@ -0,0 +1,159 @@
+// Download client selection (DOWNLOAD_CLIENT=nzbdav, sabnzbd or nzbget) and the shared queue -> wait -> locate flow.
+// Every client exposes ensureConfigured/addNzb/waitForJob/fetchCompletedHistory/findVideoFile/streamFile;
+// job failures throw errors flagged isNzbdavFailure so the failure video and failover work the same everywhere.
+const cache = require('../../cache');
+const metrics = require('../../utils/metrics');
+const nzbdavService = require('../nzbdav');
+const { createNzbdavClient } = require('./nzbdavClient');
+const { createSabnzbdClient } = require('./sabnzbdClient');
+const { createNzbgetClient } = require('./nzbgetClient');
+
+const DOWNLOAD_CLIENT_FACTORIES = {
+  nzbdav: createNzbdavClient,
+  sabnzbd: createSabnzbdClient,
+  nzbget: createNzbgetClient,
+};
+const DOWNLOAD_CLIENT_TYPES = Object.keys(DOWNLOAD_CLIENT_FACTORIES);
+
+let activeClient = null;
+
+function resolveDownloadClientType() {
+  const requested = (process.env.DOWNLOAD_CLIENT || 'nzbdav').trim().toLowerCase();
+  if (DOWNLOAD_CLIENT_FACTORIES[requested]) return requested;
+  console.warn(`[DOWNLOAD CLIENT] Unknown DOWNLOAD_CLIENT "${requested}"; using nzbdav`);
+  return 'nzbdav';
+}
+
+function reloadConfig() {
+  activeClient = DOWNLOAD_CLIENT_FACTORIES[resolveDownloadClientType()]();
+}
+
+function getDownloadClient() {
+  if (!activeClient) reloadConfig();
+  return activeClient;
+}
+
+function isDownloadClientConfigured() {
+  try {
+    getDownloadClient().ensureConfigured();
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function queueDownloadJob(client, { downloadUrl, category, title, inlineCachedEntry, imdbId, onNzbDownloaded }) {
+  const cachedNzbEntry = inlineCachedEntry || cache.getVerifiedNzbCacheEntry(downloadUrl);
+  if (cachedNzbEntry) {
+    console.log('[CACHE] Using verified NZB payload', { downloadUrl });
+  }
+  const queuedAt = Date.now();
+  const added = await client.addNzb({
+    downloadUrl,
+    cachedEntry: cachedNzbEntry,
+    category,
+    jobLabel: nzbdavService.buildNzbdavJobLabel(title, imdbId),
+  });
+  // Without a cached payload the client fetched the NZB from the indexer itself
+  if (!cachedNzbEntry?.payloadBuffer && onNzbDownloaded) onNzbDownloaded();
+  const job = await client.waitForJob(added.jobId, category);
+  metrics.observeHistogram('nzbdav_queue_ready_seconds', { category }, (Date.now() - queuedAt) / 1000);
+  return { ...job, jobName: job.jobName || title };
+}
+
+function tagFailure(error, { downloadUrl, category, title }) {
+  error.downloadUrl = downloadUrl;
+  error.category = category;
+  error.title = title;
+  return error;
+}
+
+// packCacheKey: shared key for a season pack; the job is queued once and only the episode file pick differs.
+// onNzbDownloaded fires once the NZB was fetched from the indexer (not for reused jobs or cached payloads).
+async function buildDownloadStream({ downloadUrl, category, title, requestedEpisode, existingSlot = null, inlineCachedEntry = null, imdbId = null, packCacheKey = null, onNzbDownloaded = null }) {
+  const client = getDownloadClient();
+  const prefix = `[${client.label}]`;
+  let reuseError = null;
+  const attempts = [];
+  if (existingSlot?.nzoId) {
+    attempts.push('reuse');
+  }
+  attempts.push('queue');
+
+  for (const mode of attempts) {
+    try {
+      let job;
+      if (mode === 'reuse') {
+        const reused = await client.waitForJob(existingSlot.nzoId, existingSlot?.category || category);
+        job = { ...reused, jobName: reused.jobName || existingSlot?.jobName || title };
+        console.log(`${prefix} Reusing completed NZB ${job.jobName} (${job.jobId})`);
+      } else {
+        const queueJob = () => queueDownloadJob(client, { downloadUrl, category, title, inlineCachedEntry, imdbId, onNzbDownloaded });
+        job = packCacheKey
+          ? await cache.getOrCreateNzbdavStream(`pack::${packCacheKey}`, queueJob)
+          : await queueJob();
+        if (packCacheKey) {
+          console.log(`${prefix} Using season pack job ${job.jobName} (${job.jobId})`);
+        }
+      }
+
+      if (!job.jobName) {
+        throw new Error(`${prefix} Unable to determine job name from history`);
+      }
+
+      const bestFile = await client.findVideoFile({
+        category: job.category,
+        jobName: job.jobName,
+        storagePath: job.storagePath,
+        requestedEpisode,
+      });
+
+      if (!bestFile) {
+        const noVideoError = new Error(`${prefix} No playable video files found after mounting NZB`);
+        noVideoError.code = 'NO_VIDEO_FILES';
+        throw noVideoError;
+      }
+
+      console.log(`${prefix} Selected file ${bestFile.viewPath} (${bestFile.size} bytes)`);
+
+      return {
+        nzoId: job.jobId,
+        category: job.category,
+        jobName: job.jobName,
+        viewPath: bestFile.viewPath,
+        absolutePath: bestFile.absolutePath,
+        localPath: bestFile.localPath || null,
+        size: bestFile.size,
+        fileName: bestFile.name
+      };
+    } catch (error) {
+      if (mode === 'reuse') {
+        reuseError = error;
+        console.warn(`${prefix} Reuse attempt failed for NZB ${existingSlot?.nzoId || 'unknown'}: ${error.message}`);
+        continue;
+      }
+      if (error?.isNzbdavFailure) {
+        metrics.incrementCounter('nzbdav_stream_failures_total', { category });
+        tagFailure(error, { downloadUrl, category, title });
+      }
+      throw error;
+    }
+  }
+
+  if (reuseError) {
+    if (reuseError?.isNzbdavFailure) {
+      tagFailure(reuseError, { downloadUrl, category, title });
+    }
+    throw reuseError;
+  }
+
+  throw tagFailure(new Error(`${prefix} Unable to prepare NZB stream`), { downloadUrl, category, title });
+}
+
+module.exports = {
+  DOWNLOAD_CLIENT_TYPES,
+  getDownloadClient,
+  isDownloadClientConfigured,
+  buildDownloadStream,
+  reloadConfig,
+};
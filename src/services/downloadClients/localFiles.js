@@ -0,0 +1,112 @@
+// Local-disk helpers for download clients whose completed jobs are read from a mounted share or download folder
+const fs = require('fs');
+const path = require('path');
+const { normalizeNzbdavPath, isVideoFileName, fileMatchesEpisode, inferMimeType } = require('../../utils/parsers');
+const { safeStat } = require('../../utils/helpers');
+const nzbdavService = require('../nzbdav');
+
+// "/downloads/complete=/mnt/sab,/data=/mnt/data": the client's path on the left, this server's on the right
+function parsePathMappings(value) {
+  if (typeof value !== 'string' || value.trim() === '') return [];
+  return value
+    .split(',')
+    .map((pair) => pair.split('='))
+    .filter((parts) => parts.length === 2 && parts[0].trim() && parts[1].trim())
+    .map(([remote, local]) => ({
+      remote: normalizeNzbdavPath(remote.trim()).replace(/\/+$/, ''),
+      local: local.trim().replace(/[\\/]+$/, ''),
+    }))
+    .sort((a, b) => b.remote.length - a.remote.length);
+}
+
+function mapRemotePath(remotePath, mappings) {
+  if (!remotePath) return null;
+  const normalized = normalizeNzbdavPath(remotePath);
+  const mapping = mappings.find(({ remote }) => normalized === remote || normalized.startsWith(`${remote}/`));
+  if (!mapping) return remotePath;
+  return path.join(mapping.local, normalized.slice(mapping.remote.length));
+}
+
+async function listLocalDirectory(directory) {
+  const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+  return Promise.all(entries.map(async (entry) => {
+    const stats = entry.isFile() ? await safeStat(path.join(directory, entry.name)) : null;
+    return {
+      name: entry.name,
+      isDirectory: entry.isDirectory(),
+      size: stats ? stats.size : null,
+    };
+  }));
+}
+
+// remotePath is the job folder as the client reports it; viewPath stays in the client's terms and
+// localPath is what streamLocalFile reads
+async function findLocalVideoFile({ remotePath, mappings, requestedEpisode, logPrefix }) {
+  const localPath = mapRemotePath(remotePath, mappings);
+  if (!localPath) {
+    throw new Error(`[${logPrefix}] Completed job did not report a storage path`);
+  }
+  const stats = await safeStat(localPath);
+  if (!stats) {
+    throw new Error(`[${logPrefix}] ${localPath} is not readable from this server; check the path mappings`);
+  }
+  if (stats.isFile()) {
+    const name = path.basename(localPath);
+    if (!isVideoFileName(name)) return null;
+    return {
+      name,
+      size: stats.size,
+      matchesEpisode: fileMatchesEpisode(name, requestedEpisode),
+      absolutePath: localPath,
+      viewPath: normalizeNzbdavPath(remotePath).replace(/^\/+/, ''),
+      localPath,
+    };
+  }
+  const bestFile = await nzbdavService.findBestVideoFile({
+    rootPath: localPath,
+    requestedEpisode,
+    listDirectory: listLocalDirectory,
+    logPrefix,
+  });
+  if (!bestFile) return null;
+  const relativePath = path.relative(localPath, bestFile.absolutePath).split(path.sep).join('/');
+  return {
+    ...bestFile,
+    viewPath: path.posix.join(normalizeNzbdavPath(remotePath), relativePath).replace(/^\/+/, ''),
+    localPath: bestFile.absolutePath,
+  };
+}
+
+// fallback runs when the file is gone from disk (e.g. a dropped mount) instead of answering 404
+async function streamLocalFile(req, res, streamData, logPrefix, fallback = null) {
+  const fileName = streamData.fileName || path.basename(streamData.localPath);
+  res.setHeader('Content-Disposition', `inline; filename="${fileName.replace(/[\\/:*?"<>|]+/g, '_')}"`);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Length,Content-Range,Content-Type,Accept-Ranges');
+  const served = await nzbdavService.streamFileResponse(
+    req,
+    res,
+    streamData.localPath,
+    (req.method || 'GET').toUpperCase() === 'HEAD',
+    logPrefix,
+    null,
+    inferMimeType(fileName)
+  );
+  if (served) return;
+  if (fallback) {
+    console.warn(`[${logPrefix}] ${streamData.localPath} is not readable; falling back`);
+    await fallback();
+    return;
+  }
+  if (!res.headersSent) {
+    res.status(404).json({ error: `${fileName} is no longer available on disk` });
+  }
+}
+
+module.exports = {
+  parsePathMappings,
+  mapRemotePath,
+  listLocalDirectory,
+  findLocalVideoFile,
+  streamLocalFile,
+};
@@ -0,0 +1,59 @@
+// NZBDav: SAB-compatible queue API; jobs are mounted virtually and streamed over WebDAV,
+// or read straight from a local mount of the WebDAV share when NZBDAV_PATH_MAPPINGS is set
+const nzbdavService = require('../nzbdav');
+const { normalizeNzbdavPath } = require('../../utils/parsers');
+const { parsePathMappings, findLocalVideoFile, streamLocalFile } = require('./localFiles');
+
+function createNzbdavClient() {
+  // WebDAV paths on the left, e.g. "/content=/mnt/nzbdav/content" for an rclone mount of the share
+  const mappings = parsePathMappings(process.env.NZBDAV_PATH_MAPPINGS);
+
+  const findWebdavVideoFile = ({ category, jobName, requestedEpisode }) => (
+    nzbdavService.findBestVideoFile({ category, jobName, requestedEpisode })
+  );
+
+  const proxyWebdavFile = (req, res, streamData) => (
+    nzbdavService.proxyNzbdavStream(req, res, streamData.viewPath, streamData.fileName || '')
+  );
+
+  return {
+    type: 'nzbdav',
+    label: 'NZBDAV',
+    ensureConfigured: () => nzbdavService.ensureNzbdavConfigured(),
+    addNzb: async (options) => {
+      const { nzoId } = await nzbdavService.addNzbToNzbdav(options);
+      return { jobId: nzoId };
+    },
+    waitForJob: async (jobId, category) => {
+      const slot = await nzbdavService.waitForNzbdavHistorySlot(jobId, category);
+      return nzbdavService.summarizeHistorySlot(slot, { nzoId: jobId, category });
+    },
+    fetchCompletedHistory: (categories) => nzbdavService.fetchCompletedNzbdavHistory(categories),
+    findVideoFile: async (options) => {
+      if (mappings.length === 0) return findWebdavVideoFile(options);
+      const { category, jobName, requestedEpisode } = options;
+      try {
+        // Mounts cache directory listings, so a job that just completed may not be visible yet
+        const localFile = await findLocalVideoFile({
+          remotePath: normalizeNzbdavPath(`/content/${category}/${jobName}`),
+          mappings,
+          requestedEpisode,
+          logPrefix: 'NZBDAV',
+        });
+        if (localFile) return localFile;
+        console.warn(`[NZBDAV] No video file under the local mount for ${jobName}; using WebDAV`);
+      } catch (error) {
+        console.warn(`${error.message}; using WebDAV`);
+      }
+      return findWebdavVideoFile(options);
+    },
+    streamFile: (req, res, streamData) => {
+      if (!streamData.localPath) return proxyWebdavFile(req, res, streamData);
+      return streamLocalFile(req, res, streamData, 'NZBDAV', () => proxyWebdavFile(req, res, streamData));
+    },
+  };
+}
+
+module.exports = {
+  createNzbdavClient,
+};
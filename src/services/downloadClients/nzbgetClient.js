@@ -0,0 +1,145 @@
+// NZBGet over JSON-RPC (append/history); finished jobs are read from disk via NZBGET_PATH_MAPPINGS
+const axios = require('axios');
+const { normalizeReleaseTitle } = require('../../utils/parsers');
+const { sleep } = require('../../utils/helpers');
+const { toPositiveInt } = require('../../utils/config');
+const nzbdavService = require('../nzbdav');
+const { parsePathMappings, findLocalVideoFile, streamLocalFile } = require('./localFiles');
+
+const NZBGET_RPC_TIMEOUT_MS = 30000;
+const NZBGET_POLL_INTERVAL_MS = 2000;
+const MEGABYTE = 1024 * 1024;
+
+// Warnings that still leave playable files: REPAIRABLE (par repair possible, files intact enough) and SCRIPT
+// (only a post-processing script failed). DAMAGED, PASSWORD, SPACE and HEALTH leave broken or unextracted jobs.
+const PLAYABLE_WARNING_DETAILS = new Set(['REPAIRABLE', 'SCRIPT']);
+
+// History status is "<STATE>/<detail>", e.g. SUCCESS/ALL, WARNING/REPAIRABLE, FAILURE/HEALTH, DELETED/DUPE
+function classifyHistoryStatus(status) {
+  const [state, detail] = String(status || '').toUpperCase().split('/');
+  if (state === 'SUCCESS') return 'completed';
+  if (state === 'WARNING') return PLAYABLE_WARNING_DETAILS.has(detail) ? 'completed' : 'failed';
+  if (state === 'FAILURE' || state === 'DELETED') return 'failed';
+  return 'pending';
+}
+
+function createNzbgetClient() {
+  const url = (process.env.NZBGET_URL || '').trim().replace(/\/+$/, '');
+  const username = (process.env.NZBGET_USER || '').trim();
+  const password = (process.env.NZBGET_PASS || '').trim();
+  const mappings = parsePathMappings(process.env.NZBGET_PATH_MAPPINGS);
+  const timeoutMs = toPositiveInt(process.env.DOWNLOAD_CLIENT_WAIT_SECONDS, 900) * 1000;
+
+  function ensureConfigured() {
+    if (!url) throw new Error('NZBGET_URL is not configured');
+  }
+
+  async function rpc(method, params = []) {
+    ensureConfigured();
+    const response = await axios.post(`${url}/jsonrpc`, { method, params }, {
+      timeout: NZBGET_RPC_TIMEOUT_MS,
+      auth: username ? { username, password } : undefined,
+      validateStatus: (status) => status < 500,
+    });
+    if (response.status === 401) {
+      throw new Error('[NZBGET] Authentication failed: check NZBGET_USER/NZBGET_PASS');
+    }
+    if (response.data?.error) {
+      throw new Error(`[NZBGET] ${method} failed: ${response.data.error.message || response.data.error}`);
+    }
+    return response.data?.result;
+  }
+
+  async function addNzb({ downloadUrl, cachedEntry = null, category, jobLabel }) {
+    if (!downloadUrl && !cachedEntry?.payloadBuffer) {
+      throw new Error('Missing NZB source');
+    }
+    const content = cachedEntry?.payloadBuffer ? cachedEntry.payloadBuffer.toString('base64') : downloadUrl;
+    console.log(`[NZBGET] Queueing NZB via append for category=${category} (${jobLabel || 'untitled'})`);
+    // NZBFilename, Content, Category, Priority, AddToTop, AddPaused, DupeKey, DupeScore, DupeMode, PPParameters
+    const nzbId = await rpc('append', [`${jobLabel || 'untitled'}.nzb`, content, category || '', 0, true, false, '', 0, 'FORCE', []]);
+    if (!Number.isFinite(Number(nzbId)) || Number(nzbId) <= 0) {
+      throw new Error('[NZBGET] append was rejected');
+    }
+    console.log(`[NZBGET] NZB queued with id ${nzbId}`);
+    return { jobId: String(nzbId) };
+  }
+
+  async function waitForJob(jobId, category) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      const history = await rpc('history', [false]);
+      const item = (Array.isArray(history) ? history : []).find((entry) => String(entry?.NZBID) === String(jobId));
+      const state = item ? classifyHistoryStatus(item.Status) : 'pending';
+      if (state === 'completed') {
+        console.log(`[NZBGET] NZB ${jobId} completed in ${item.Category || category}`);
+        return {
+          jobId: String(jobId),
+          category: item.Category || category,
+          jobName: item.Name,
+          storagePath: item.FinalDir || item.DestDir || null,
+        };
+      }
+      if (state === 'failed') {
+        const failureError = new Error(`[NZBGET] NZB failed: ${item.Status}`);
+        failureError.isNzbdavFailure = true;
+        failureError.failureMessage = item.Status;
+        failureError.nzoId = String(jobId);
+        failureError.category = category;
+        throw failureError;
+      }
+      await sleep(NZBGET_POLL_INTERVAL_MS);
+    }
+    throw new Error('[NZBGET] Timeout while waiting for NZB to finish downloading');
+  }
+
+  async function fetchCompletedHistory(categories = []) {
+    const results = new Map();
+    const wanted = new Set((categories || []).filter(Boolean).map((category) => String(category).toLowerCase()));
+    let history = [];
+    try {
+      history = await rpc('history', [false]);
+    } catch (error) {
+      console.warn(`[NZBGET] Failed to fetch history: ${error.message}`);
+      return results;
+    }
+    (Array.isArray(history) ? history : []).forEach((item) => {
+      if (item?.Kind && item.Kind !== 'NZB') return;
+      if (classifyHistoryStatus(item?.Status) !== 'completed') return;
+      if (wanted.size > 0 && !wanted.has(String(item.Category || '').toLowerCase())) return;
+      const normalized = normalizeReleaseTitle(nzbdavService.stripJobImdbTag(item.Name));
+      if (!normalized || results.has(normalized)) return;
+      results.set(normalized, {
+        nzoId: String(item.NZBID),
+        jobName: item.Name,
+        category: item.Category || null,
+        size: Number.isFinite(item.FileSizeMB) ? item.FileSizeMB * MEGABYTE : null,
+        imdbId: nzbdavService.extractImdbIdFromJobName(item.Name),
+        completedAt: Number(item.HistoryTime) * 1000 || null,
+        storagePath: item.FinalDir || item.DestDir || null,
+        slot: item,
+      });
+    });
+    return results;
+  }
+
+  return {
+    type: 'nzbget',
+    label: 'NZBGET',
+    ensureConfigured,
+    addNzb,
+    waitForJob,
+    fetchCompletedHistory,
+    findVideoFile: ({ storagePath, requestedEpisode }) => findLocalVideoFile({
+      remotePath: storagePath,
+      mappings,
+      requestedEpisode,
+      logPrefix: 'NZBGET',
+    }),
+    streamFile: (req, res, streamData) => streamLocalFile(req, res, streamData, 'NZBGET'),
+  };
+}
+
+module.exports = {
+  createNzbgetClient,
+};
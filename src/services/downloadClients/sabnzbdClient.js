@@ -0,0 +1,44 @@
+// SABnzbd: same SAB API as NZBDav for queue and history; finished jobs are read from disk via SABNZBD_PATH_MAPPINGS
+const nzbdavService = require('../nzbdav');
+const { toPositiveInt } = require('../../utils/config');
+const { parsePathMappings, findLocalVideoFile, streamLocalFile } = require('./localFiles');
+
+function createSabnzbdClient() {
+  const api = {
+    url: (process.env.SABNZBD_URL || '').trim().replace(/\/+$/, ''),
+    apiKey: (process.env.SABNZBD_API_KEY || '').trim(),
+    label: 'SABNZBD',
+  };
+  const mappings = parsePathMappings(process.env.SABNZBD_PATH_MAPPINGS);
+  // SABnzbd downloads the whole job before it shows up as completed
+  const timeoutMs = toPositiveInt(process.env.DOWNLOAD_CLIENT_WAIT_SECONDS, 900) * 1000;
+
+  return {
+    type: 'sabnzbd',
+    label: api.label,
+    ensureConfigured: () => {
+      if (!api.url) throw new Error('SABNZBD_URL is not configured');
+      if (!api.apiKey) throw new Error('SABNZBD_API_KEY is not configured');
+    },
+    addNzb: async (options) => {
+      const { nzoId } = await nzbdavService.addNzbToNzbdav(options, api);
+      return { jobId: nzoId };
+    },
+    waitForJob: async (jobId, category) => {
+      const slot = await nzbdavService.waitForNzbdavHistorySlot(jobId, category, { api, timeoutMs });
+      return nzbdavService.summarizeHistorySlot(slot, { nzoId: jobId, category });
+    },
+    fetchCompletedHistory: (categories) => nzbdavService.fetchCompletedNzbdavHistory(categories, api),
+    findVideoFile: ({ storagePath, requestedEpisode }) => findLocalVideoFile({
+      remotePath: storagePath,
+      mappings,
+      requestedEpisode,
+      logPrefix: api.label,
+    }),
+    streamFile: (req, res, streamData) => streamLocalFile(req, res, streamData, api.label),
+  };
+}
+
+module.exports = {
+  createSabnzbdClient,
+};
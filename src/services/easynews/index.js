@@ -1,5 +1,6 @@
 const axios = require('axios');
 const { stripTrailingSlashes, toBoolean } = require('../../utils/config');
+const { parseAirDate } = require('../../utils/parsers');
 
 const EASYNEWS_BASE_URL = 'https://members.easynews.com';
 const DEFAULT_TIMEOUT_MS = 45000;
@@ -200,6 +201,8 @@ function extractReleaseMarkers(text, qualityHint) {
   if (yearMatch) {
     info.year = Number(yearMatch[0]);
   }
+  const airDate = parseAirDate(text);
+  if (airDate) info.airDate = airDate;
   const quality = qualityHint || extractQuality(text);
   if (quality) info.quality = quality;
   return info;
@@ -365,6 +368,7 @@ function filterAndMap(jsonData, options) {
       if (queryMeta.year && titleMeta.year && queryMeta.year !== titleMeta.year) return;
       if (queryMeta.season && titleMeta.season && queryMeta.season !== titleMeta.season) return;
       if (queryMeta.episode && titleMeta.episode && queryMeta.episode !== titleMeta.episode) return;
+      if (queryMeta.airDate && titleMeta.airDate && queryMeta.airDate !== titleMeta.airDate) return;
     }
 
     if (tokenSet.size > 0) {
@@ -429,11 +433,12 @@ async function fetchSearchResults(query, authOverride = null) {
   return response.data || {};
 }
 
-function buildQueryMeta({ rawQuery, year, season, episode }) {
+function buildQueryMeta({ rawQuery, year, season, episode, airDate }) {
   const markers = extractReleaseMarkers(rawQuery || '');
   if (year) markers.year = year;
   if (typeof season === 'number') markers.season = season;
   if (typeof episode === 'number') markers.episode = episode;
+  if (airDate) markers.airDate = airDate;
   return markers;
 }
 
@@ -477,6 +482,7 @@ async function searchEasynews(options = {}) {
     year,
     season,
     episode,
+    airDate = null,
     strictMode = false,
     specialTextOnly = false,
   } = options;
@@ -490,7 +496,7 @@ async function searchEasynews(options = {}) {
   const strict = strictMode && !specialTextOnly && !EASYNEWS_SAFE_TEXT_MODE;
   const strictPhrase = strict ? sanitizePhrase(query) : '';
   const queryTokens = strict ? tokenize(query) : [];
-  const queryMeta = strict ? buildQueryMeta({ rawQuery: query, year, season, episode }) : null;
+  const queryMeta = strict ? buildQueryMeta({ rawQuery: query, year, season, episode, airDate }) : null;
   const minBytes = EASYNEWS_MIN_SIZE_BYTES;
   const data = await fetchSearchResults(query);
   const mapped = filterAndMap(data, {
@@ -0,0 +1,145 @@
+// "Recently streamed" Stremio catalogs built from completed NZBDav history
+const axios = require('axios');
+const parseTorrentTitle = require('parse-torrent-title');
+const { toBoolean, toPositiveInt } = require('../utils/config');
+const nzbdavService = require('./nzbdav');
+const downloadClients = require('./downloadClients');
+
+const CINEMETA_META_URL = 'https://v3-cinemeta.strem.io/meta';
+const CINEMETA_TIMEOUT_MS = 10000;
+const HISTORY_CATALOG_IDS = {
+  movie: 'nzbdav-history-movies',
+  series: 'nzbdav-history-series',
+};
+const CATALOG_PAGE_SIZE = 100;
+const HISTORY_CACHE_TTL_MS = 60 * 1000;
+const META_CACHE_TTL_MS = 6 * 60 * 60 * 1000;
+const META_CACHE_MAX_ENTRIES = 1000;
+
+const historyCache = new Map(); // type -> { expiresAt, promise }
+const metaCache = new Map(); // type:imdbId -> { expiresAt, meta }
+
+function getHistoryCatalogSettings() {
+  return {
+    enabled: toBoolean(process.env.NZBDAV_HISTORY_CATALOG_ENABLED, false),
+    name: (process.env.NZBDAV_HISTORY_CATALOG_NAME || '').trim() || 'Recently Streamed',
+    limit: toPositiveInt(process.env.NZBDAV_HISTORY_CATALOG_LIMIT, 100),
+  };
+}
+
+function getHistoryCatalogDefinitions() {
+  const { name } = getHistoryCatalogSettings();
+  return Object.entries(HISTORY_CATALOG_IDS).map(([type, id]) => ({
+    type,
+    id,
+    name,
+    extra: [{ name: 'skip', isRequired: false }],
+  }));
+}
+
+function isHistoryCatalog(type, catalogId) {
+  return Boolean(HISTORY_CATALOG_IDS[type]) && HISTORY_CATALOG_IDS[type] === catalogId;
+}
+
+// Newest first, one entry per title (a series shows up once however many episodes were watched)
+async function loadHistoryEntries(type) {
+  const category = nzbdavService.getNzbdavCategory(type);
+  const history = await downloadClients.getDownloadClient().fetchCompletedHistory([category]);
+  const byImdbId = new Map();
+  let untagged = 0;
+  Array.from(history.values())
+    .map((entry, order) => ({ entry, order }))
+    .sort((a, b) => ((b.entry.completedAt || 0) - (a.entry.completedAt || 0)) || (a.order - b.order))
+    .forEach(({ entry }) => {
+      if (!entry.imdbId) {
+        untagged += 1;
+        return;
+      }
+      if (!byImdbId.has(entry.imdbId)) byImdbId.set(entry.imdbId, entry);
+    });
+  if (untagged > 0) {
+    console.log(`[HISTORY CATALOG] Skipped ${untagged} ${type} history jobs without an IMDb tag`);
+  }
+  return Array.from(byImdbId.values());
+}
+
+function getHistoryEntries(type) {
+  const cached = historyCache.get(type);
+  if (cached && cached.expiresAt > Date.now()) return cached.promise;
+  const promise = loadHistoryEntries(type).catch((error) => {
+    historyCache.delete(type);
+    throw error;
+  });
+  historyCache.set(type, { expiresAt: Date.now() + HISTORY_CACHE_TTL_MS, promise });
+  return promise;
+}
+
+async function fetchCinemetaMeta(type, imdbId) {
+  const key = `${type}:${imdbId}`;
+  const cached = metaCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.meta;
+  try {
+    const response = await axios.get(`${CINEMETA_META_URL}/${type}/${imdbId}.json`, { timeout: CINEMETA_TIMEOUT_MS });
+    const meta = response.data?.meta || null;
+    if (meta) {
+      metaCache.delete(key);
+      metaCache.set(key, { expiresAt: Date.now() + META_CACHE_TTL_MS, meta });
+      while (metaCache.size > META_CACHE_MAX_ENTRIES) {
+        metaCache.delete(metaCache.keys().next().value);
+      }
+    }
+    return meta;
+  } catch (error) {
+    console.warn(`[HISTORY CATALOG] Cinemeta lookup failed for ${type}/${imdbId}: ${error.message}`);
+    return null;
+  }
+}
+
+function buildFallbackName(jobName) {
+  const stripped = nzbdavService.stripJobImdbTag(jobName) || '';
+  const parsed = (() => {
+    try {
+      return parseTorrentTitle.parse(stripped) || {};
+    } catch (_) {
+      return {};
+    }
+  })();
+  if (!parsed.title) return stripped;
+  return parsed.year ? `${parsed.title} (${parsed.year})` : parsed.title;
+}
+
+function toMetaPreview(type, entry, meta) {
+  if (!meta) {
+    return { id: entry.imdbId, type, name: buildFallbackName(entry.jobName) };
+  }
+  return {
+    id: entry.imdbId,
+    type,
+    name: meta.name || buildFallbackName(entry.jobName),
+    poster: meta.poster,
+    background: meta.background,
+    logo: meta.logo,
+    description: meta.description,
+    releaseInfo: meta.releaseInfo,
+    imdbRating: meta.imdbRating,
+    genres: meta.genres,
+  };
+}
+
+async function buildHistoryCatalog(type, { skip = 0 } = {}) {
+  const { limit } = getHistoryCatalogSettings();
+  const entries = (await getHistoryEntries(type)).slice(0, limit);
+  const start = Number.isFinite(skip) && skip > 0 ? Math.floor(skip) : 0;
+  const page = entries.slice(start, start + CATALOG_PAGE_SIZE);
+  const metas = await Promise.all(page.map(async (entry) => (
+    toMetaPreview(type, entry, await fetchCinemetaMeta(type, entry.imdbId))
+  )));
+  return { metas };
+}
+
+module.exports = {
+  getHistoryCatalogSettings,
+  getHistoryCatalogDefinitions,
+  isHistoryCatalog,
+  buildHistoryCatalog,
+};
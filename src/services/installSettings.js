@@ -0,0 +1,116 @@
+// Per-install preferences chosen on the public configure page, carried as a signed manifest URL segment.
+// The signing key is generated once per server and kept in CONFIG_DIR, so it is never empty, is not derived
+// from ADDON_SHARED_SECRET, and only segments issued by this server's configure endpoint are accepted.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CONFIG_DIR } = require('../../config/runtimeEnv');
+const { normalizeSortMode, toBoolean, toFiniteNumber } = require('../utils/config');
+
+// Keys mirror the stream query parameters read by extractTriageOverrides
+const INSTALL_SETTING_KEYS = ['sortMode', 'preferredLanguages', 'maxSizeGb', 'triageEnabled', 'triageDisabled', 'dedupe'];
+// "<base64url JSON>.<base64url HMAC-SHA256>"
+const SEGMENT_PATTERN = /^([A-Za-z0-9_-]+)\.([A-Za-z0-9_-]{43})$/;
+const MAX_LANGUAGES_LENGTH = 200;
+const SIGNING_KEY_FILE = path.join(CONFIG_DIR, 'install-settings.key');
+
+let signingKey = null;
+
+function buildSettingsError(message) {
+  const error = new Error(message);
+  error.code = 'INSTALL_SETTINGS_INVALID';
+  return error;
+}
+
+function loadSigningKey() {
+  if (signingKey) return signingKey;
+  try {
+    const stored = fs.readFileSync(SIGNING_KEY_FILE, 'utf-8').trim();
+    if (stored.length >= 32) {
+      signingKey = stored;
+      return signingKey;
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  if (!fs.existsSync(CONFIG_DIR)) {
+    fs.mkdirSync(CONFIG_DIR, { recursive: true });
+  }
+  const generated = crypto.randomBytes(32).toString('hex');
+  fs.writeFileSync(SIGNING_KEY_FILE, `${generated}\n`, { encoding: 'utf-8', mode: 0o600 });
+  signingKey = generated;
+  console.log('[CONFIGURE] Generated install settings signing key', { file: SIGNING_KEY_FILE });
+  return signingKey;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', loadSigningKey()).update(`install-settings:${payload}`).digest('base64url');
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+// Drops blank values and stores the rest as query-style strings; throws on invalid input
+function normalizeInstallSettings(settings = {}) {
+  const normalized = {};
+  if (!settings || typeof settings !== 'object') return normalized;
+  if (!isBlank(settings.sortMode)) {
+    const sortMode = normalizeSortMode(String(settings.sortMode), null);
+    if (!sortMode) throw buildSettingsError(`Unknown sort mode "${settings.sortMode}"`);
+    normalized.sortMode = sortMode;
+  }
+  if (!isBlank(settings.preferredLanguages)) {
+    const languages = String(settings.preferredLanguages).trim();
+    if (languages.length > MAX_LANGUAGES_LENGTH) throw buildSettingsError('Preferred languages list is too long');
+    normalized.preferredLanguages = languages;
+  }
+  if (!isBlank(settings.maxSizeGb)) {
+    const sizeGb = toFiniteNumber(settings.maxSizeGb, null);
+    if (!Number.isFinite(sizeGb) || sizeGb <= 0) throw buildSettingsError('Max size must be a positive number of GB');
+    normalized.maxSizeGb = String(sizeGb);
+  }
+  if (toBoolean(settings.triageEnabled, false)) {
+    normalized.triageEnabled = 'true';
+  } else if (toBoolean(settings.triageDisabled, false)) {
+    normalized.triageDisabled = 'true';
+  }
+  if (!isBlank(settings.dedupe)) {
+    normalized.dedupe = toBoolean(settings.dedupe, true) ? 'true' : 'false';
+  }
+  return normalized;
+}
+
+function encodeInstallSettings(settings) {
+  const normalized = normalizeInstallSettings(settings);
+  const payload = Buffer.from(JSON.stringify(normalized), 'utf8').toString('base64url');
+  return { segment: `${payload}.${sign(payload)}`, settings: normalized };
+}
+
+function isInstallSettingsSegment(segment) {
+  return typeof segment === 'string' && SEGMENT_PATTERN.test(segment);
+}
+
+// Returns the settings, or null when the segment is malformed, its signature does not match or it holds invalid settings
+function decodeInstallSettings(segment) {
+  const match = typeof segment === 'string' ? segment.match(SEGMENT_PATTERN) : null;
+  if (!match) return null;
+  const [, payload, signature] = match;
+  const expected = Buffer.from(sign(payload));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) return null;
+  try {
+    const parsed = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return normalizeInstallSettings(parsed);
+  } catch (_) {
+    return null;
+  }
+}
+
+module.exports = {
+  INSTALL_SETTING_KEYS,
+  normalizeInstallSettings,
+  encodeInstallSettings,
+  isInstallSettingsSegment,
+  decodeInstallSettings,
+};
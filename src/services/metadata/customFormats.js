@@ -0,0 +1,157 @@
+// Rules-based release scoring ("custom formats") used by the custom_score sort mode
+const { parseReleaseMetadata } = require('./releaseParser');
+const { getPublishMetadataFromResult } = require('../../utils/publishInfo');
+
+const BYTES_PER_GB = 1024 * 1024 * 1024;
+const PATTERN_CONDITION_TYPES = new Set(['title', 'group', 'codec', 'hdr', 'audio', 'source', 'edition', 'indexer']);
+const RANGE_CONDITION_TYPES = new Set(['size', 'age']);
+
+let cachedRaw = null;
+let cachedFormats = [];
+
+function buildFormatError(message) {
+  const error = new Error(message);
+  error.code = 'CUSTOM_FORMAT_INVALID';
+  return error;
+}
+
+function compileCondition(condition, formatName, index) {
+  const label = `Format "${formatName}" condition ${index + 1}`;
+  if (!condition || typeof condition !== 'object') {
+    throw buildFormatError(`${label} must be an object`);
+  }
+  const type = String(condition.type || '').trim().toLowerCase();
+  const negate = condition.negate === true;
+  if (PATTERN_CONDITION_TYPES.has(type)) {
+    const source = typeof condition.pattern === 'string' ? condition.pattern : '';
+    if (!source.trim()) throw buildFormatError(`${label} requires a "pattern"`);
+    let regex;
+    try {
+      regex = new RegExp(source, 'i');
+    } catch (error) {
+      throw buildFormatError(`${label} has an invalid pattern: ${error.message}`);
+    }
+    return { type, negate, pattern: source, regex };
+  }
+  if (RANGE_CONDITION_TYPES.has(type)) {
+    const readBound = (value) => {
+      if (value === undefined || value === null || value === '') return null;
+      const numeric = Number(value);
+      if (!Number.isFinite(numeric) || numeric < 0) {
+        throw buildFormatError(`${label} bounds must be non-negative numbers`);
+      }
+      return numeric;
+    };
+    const min = readBound(condition.min);
+    const max = readBound(condition.max);
+    if (min === null && max === null) throw buildFormatError(`${label} requires "min" and/or "max"`);
+    return { type, negate, min, max };
+  }
+  throw buildFormatError(`${label} has unknown type "${condition.type}"`);
+}
+
+// definitions: JSON string or array of { name, score, conditions: [{ type, pattern | min/max, negate }] }
+function parseCustomFormats(definitions) {
+  let list = definitions;
+  if (typeof list === 'string') {
+    if (!list.trim()) return [];
+    try {
+      list = JSON.parse(list);
+    } catch (error) {
+      throw buildFormatError(`Custom formats are not valid JSON: ${error.message}`);
+    }
+  }
+  if (list === null || list === undefined) return [];
+  if (!Array.isArray(list)) throw buildFormatError('Custom formats must be a JSON array');
+  return list.map((format, index) => {
+    if (!format || typeof format !== 'object') {
+      throw buildFormatError(`Format ${index + 1} must be an object`);
+    }
+    const name = String(format.name || '').trim() || `Format ${index + 1}`;
+    const score = Number(format.score);
+    if (!Number.isFinite(score)) throw buildFormatError(`Format "${name}" requires a numeric "score"`);
+    if (!Array.isArray(format.conditions) || format.conditions.length === 0) {
+      throw buildFormatError(`Format "${name}" requires at least one condition`);
+    }
+    return {
+      name,
+      score,
+      conditions: format.conditions.map((condition, conditionIndex) => compileCondition(condition, name, conditionIndex)),
+    };
+  });
+}
+
+function getCustomFormats() {
+  const raw = process.env.NZB_CUSTOM_FORMATS || '';
+  if (raw === cachedRaw) return cachedFormats;
+  cachedRaw = raw;
+  try {
+    cachedFormats = parseCustomFormats(raw);
+  } catch (error) {
+    console.warn(`[CUSTOM FORMATS] Ignoring NZB_CUSTOM_FORMATS: ${error.message}`);
+    cachedFormats = [];
+  }
+  return cachedFormats;
+}
+
+// Annotated results already carry the parsed release fields; raw results are parsed on demand
+function extractFormatAttributes(result) {
+  const title = result?.title || '';
+  const release = Array.isArray(result?.hdr) ? result : parseReleaseMetadata(title);
+  const codec = [release.videoCodec, release.bitDepth ? `${release.bitDepth}bit` : null].filter(Boolean);
+  const hdr = release.hdr.map((label) => (label === 'DV' && release.dvProfile ? `DV P${release.dvProfile}` : label));
+  const audio = [release.audioCodec, release.atmos ? 'Atmos' : null, release.audioChannels].filter(Boolean);
+  const { ageDays } = getPublishMetadataFromResult(result || {});
+  return {
+    title,
+    group: release.releaseGroup || '',
+    codec: codec.join(' '),
+    hdr: hdr.join(' '),
+    audio: audio.join(' '),
+    source: release.source || '',
+    edition: release.edition || '',
+    indexer: [result?.indexer, result?.indexerId].filter(Boolean).join(' '),
+    size: Number.isFinite(result?.size) && result.size > 0 ? result.size / BYTES_PER_GB : null,
+    age: Number.isFinite(ageDays) ? ageDays : null,
+  };
+}
+
+function conditionMatches(condition, attributes) {
+  const value = attributes[condition.type];
+  const matched = condition.regex
+    ? Boolean(value) && condition.regex.test(value)
+    : value !== null
+      && (condition.min === null || value >= condition.min)
+      && (condition.max === null || value <= condition.max);
+  return condition.negate ? !matched : matched;
+}
+
+// A format applies when every one of its conditions matches; the result score is the sum of applied formats
+function scoreResult(result, formats = getCustomFormats()) {
+  if (!Array.isArray(formats) || formats.length === 0) return { score: 0, matches: [] };
+  const attributes = extractFormatAttributes(result);
+  const matches = formats
+    .filter((format) => format.conditions.every((condition) => conditionMatches(condition, attributes)))
+    .map((format) => ({ name: format.name, score: format.score }));
+  return {
+    score: matches.reduce((total, match) => total + match.score, 0),
+    matches,
+  };
+}
+
+function applyCustomFormatScores(results, formats = getCustomFormats()) {
+  if (!Array.isArray(results)) return results;
+  return results.map((result) => {
+    if (!result || typeof result !== 'object') return result;
+    const { score, matches } = scoreResult(result, formats);
+    return { ...result, customScore: score, customFormatMatches: matches };
+  });
+}
+
+module.exports = {
+  parseCustomFormats,
+  getCustomFormats,
+  extractFormatAttributes,
+  scoreResult,
+  applyCustomFormatScores,
+};
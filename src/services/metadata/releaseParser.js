@@ -1,4 +1,5 @@
 const parseTorrentTitle = require('parse-torrent-title');
+const { parseEpisodeCoverage, parseAbsoluteEpisode } = require('../../utils/parsers');
 
 const LANGUAGE_FILTERS = [
   'English',
@@ -141,11 +142,96 @@ const RESOLUTION_SYNONYM_PATTERNS = [
   { label: '2160p', regex: /\b(4k|uhd)\b/i },
 ];
 
+const VIDEO_CODEC_PATTERNS = [
+  { label: 'AV1', regex: /\bav1\b/i },
+  { label: 'HEVC', regex: /\b(x265|h[\s.]?265|hevc)\b/i },
+  { label: 'AVC', regex: /\b(x264|h[\s.]?264|avc)\b/i },
+  { label: 'VC-1', regex: /\bvc[\s.-]?1\b/i },
+  { label: 'VP9', regex: /\bvp9\b/i },
+  { label: 'MPEG-2', regex: /\bmpeg[\s.-]?2\b/i },
+  { label: 'XviD', regex: /\b(xvid|divx)\b/i },
+];
+
+// Checked in order; the generic HDR label is only used when no specific flavor matched
+const HDR_PATTERNS = [
+  { label: 'DV', regex: /\b(dolby[\s.]?vision|dovi|dv)\b/i },
+  { label: 'HDR10+', regex: /\bhdr10(\+|plus)/i },
+  { label: 'HDR10', regex: /\bhdr10(?![+\w])/i },
+  { label: 'HLG', regex: /\bhlg\b/i },
+];
+const GENERIC_HDR_PATTERN = /\bhdr\b/i;
+const DV_PROFILE_PATTERN = /\b(?:dolby[\s.]?vision|dovi|dv)[\s.-]?(?:p|profile[\s.-]?)([4-9])\b/i;
+
+const AUDIO_CODEC_PATTERNS = [
+  { label: 'TrueHD', regex: /\btrue[\s.-]?hd\b/i },
+  { label: 'DTS:X', regex: /\bdts[\s.:-]?x\b/i },
+  { label: 'DTS-HD MA', regex: /\bdts[\s.-]?hd[\s.-]?ma\b/i },
+  { label: 'DTS-HD', regex: /\bdts[\s.-]?hd\b/i },
+  { label: 'DTS', regex: /\bdts\b/i },
+  { label: 'DD+', regex: /\b(ddp|dd\+|e[\s.-]?ac[\s.-]?3)(?![a-z])/i },
+  { label: 'DD', regex: /\b(dd|ac[\s.-]?3|dolby[\s.]?digital)(?![a-z+])/i },
+  { label: 'FLAC', regex: /\bflac\b/i },
+  { label: 'LPCM', regex: /\bl?pcm\b/i },
+  { label: 'Opus', regex: /\bopus\b/i },
+  { label: 'AAC', regex: /\baac(?![a-z])/i },
+  { label: 'MP3', regex: /\bmp3\b/i },
+];
+const AUDIO_CHANNELS_PATTERN = /(?:^|[^\d.])([1-9])[\s.]([0-2])(?![\d.]*p\b)(?!\d)/;
+
+const SOURCE_PATTERNS = [
+  { label: 'REMUX', regex: /\bremux\b/i },
+  { label: 'WEB-DL', regex: /\b(web[\s.-]?dl|webdl)\b|\bweb\b(?![\s.-]?rip)/i },
+  { label: 'WEBRip', regex: /\bweb[\s.-]?rip\b/i },
+  { label: 'BluRay', regex: /\b(blu[\s.-]?ray|bd[\s.-]?rip|br[\s.-]?rip|bdmv|uhd[\s.-]?bd)\b/i },
+  { label: 'HDTV', regex: /\b(hdtv|pdtv|dsr)\b/i },
+  { label: 'DVD', regex: /\b(dvd[\s.-]?rip|dvd[\s.-]?r|dvd[59]?)\b/i },
+  { label: 'CAM', regex: /\b(cam|hdcam|telesync|hdts|ts)\b(?![\s.-]?\d)/i },
+];
+
+const EDITION_PATTERNS = [
+  { label: "Director's Cut", regex: /\bdirector'?s[\s.]?cut\b/i },
+  { label: 'Extended', regex: /\bextended\b/i },
+  { label: 'Unrated', regex: /\bunrated\b/i },
+  { label: 'Uncut', regex: /\buncut\b/i },
+  { label: 'IMAX', regex: /\bimax\b/i },
+  { label: 'Theatrical', regex: /\btheatrical\b/i },
+  { label: 'Criterion', regex: /\bcriterion\b/i },
+  { label: 'Remastered', regex: /\bremaster(ed)?\b/i },
+  { label: 'Special Edition', regex: /\bspecial[\s.]edition\b/i },
+];
+
+// Trailing "-TOKEN" pieces that are part of a tag rather than a release group name
+const GROUP_FALSE_POSITIVES = new Set([
+  'dl', 'rip', 'hd', 'ma', 'x', 'web', 'ray', 'cut', 'hdr',
+  'tc', 'hdtc', 'telecine', 'scr', 'screener', 'dvdscr', 'r5', 'wp', 'workprint', 'hdrip', 'multi', 'uhd', '4k', '8k',
+]);
+// A trailing source, codec or resolution tag ("...x264-CAM", "...H264-TS") is not a group name
+const GROUP_TAG_PATTERNS = [/^\d{3,4}[pi]$/i];
+
 const QUALITY_SCORE_MAP = RESOLUTION_PREFERENCES.reduce((acc, label, index) => {
   acc[label] = RESOLUTION_PREFERENCES.length - index;
   return acc;
 }, {});
 
+// Tie-breaker between releases of the same resolution; unknown sources sit between DVD and CAM
+const SOURCE_SCORE_MAP = {
+  REMUX: 6,
+  BluRay: 5,
+  'WEB-DL': 4,
+  WEBRip: 3,
+  HDTV: 2,
+  DVD: 1,
+  CAM: -1,
+};
+
+function getResolutionScore(resolution) {
+  return QUALITY_SCORE_MAP[resolution] || 0;
+}
+
+function getSourceScore(source) {
+  return SOURCE_SCORE_MAP[source] || 0;
+}
+
 function buildLanguagePattern(token) {
   if (token instanceof RegExp) return token;
   const normalized = token.trim().toLowerCase();
@@ -211,25 +297,84 @@ function normalizeResolutionLabel(label) {
   return null;
 }
 
+function matchFirstLabel(patterns, title) {
+  const entry = patterns.find(({ regex }) => regex.test(title));
+  return entry ? entry.label : null;
+}
+
+function detectHdrFormats(title) {
+  const formats = HDR_PATTERNS.filter(({ regex }) => regex.test(title)).map(({ label }) => label);
+  if (!formats.some((label) => label !== 'DV') && GENERIC_HDR_PATTERN.test(title)) {
+    formats.push('HDR');
+  }
+  return formats;
+}
+
+function detectBitDepth(title, parsed) {
+  const match = title.match(/\b(8|10|12)[\s.-]?bits?\b/i);
+  if (match) return Number(match[1]);
+  if (/\bhi10p?\b/i.test(title)) return 10;
+  return Number.isFinite(parsed?.bitdepth) ? parsed.bitdepth : null;
+}
+
+function detectAudioChannels(title, parsed) {
+  if (parsed?.channels) return parsed.channels;
+  const match = title.match(AUDIO_CHANNELS_PATTERN);
+  return match ? `${match[1]}.${match[2]}` : null;
+}
+
+function isReleaseTagToken(token) {
+  if (GROUP_FALSE_POSITIVES.has(token.toLowerCase())) return true;
+  return [GROUP_TAG_PATTERNS, SOURCE_PATTERNS, VIDEO_CODEC_PATTERNS, AUDIO_CODEC_PATTERNS, HDR_PATTERNS]
+    .some((patterns) => patterns.some((entry) => (entry.regex || entry).test(token)));
+}
+
+function detectReleaseGroup(title) {
+  const stripped = title.replace(/\.(mkv|mp4|avi|m4v|ts|nzb)$/i, '').trim();
+  const prefix = stripped.match(/^\[([^\]]+)\]/);
+  if (prefix) return prefix[1].trim() || null;
+  const suffix = stripped.match(/-\s*([A-Za-z0-9][A-Za-z0-9_]*)\s*(?:\[[^\]]*\]|\([^)]*\))?$/);
+  if (suffix && !isReleaseTagToken(suffix[1])) return suffix[1];
+  return null;
+}
+
 function parseReleaseMetadata(title) {
   const rawTitle = typeof title === 'string' ? title : '';
   const parsed = (() => {
     try {
-      return parseTorrentTitle(rawTitle) || {};
+      return parseTorrentTitle.parse(rawTitle) || {};
     } catch (error) {
       return {};
     }
   })();
   const resolution = detectResolution(rawTitle, parsed);
   const languages = detectLanguages(rawTitle);
-  const qualityLabel = parsed.quality || parsed.source || parsed.codec || null;
-  const qualityScore = QUALITY_SCORE_MAP[resolution] || 0;
+  const source = matchFirstLabel(SOURCE_PATTERNS, rawTitle);
+  const qualityLabel = source || parsed.quality || null;
+  const qualityScore = getResolutionScore(resolution);
+  const hdr = detectHdrFormats(rawTitle);
+  const dvProfileMatch = hdr.includes('DV') ? rawTitle.match(DV_PROFILE_PATTERN) : null;
+  const audioCodec = matchFirstLabel(AUDIO_CODEC_PATTERNS, rawTitle);
 
   return {
     resolution,
     languages,
     qualityLabel,
     qualityScore,
+    source,
+    videoCodec: matchFirstLabel(VIDEO_CODEC_PATTERNS, rawTitle),
+    bitDepth: detectBitDepth(rawTitle, parsed),
+    hdr,
+    dvProfile: dvProfileMatch ? Number(dvProfileMatch[1]) : null,
+    audioCodec,
+    audioChannels: audioCodec ? detectAudioChannels(rawTitle, parsed) : (parsed.channels || null),
+    atmos: /\batmos\b/i.test(rawTitle),
+    edition: matchFirstLabel(EDITION_PATTERNS, rawTitle),
+    releaseGroup: detectReleaseGroup(rawTitle),
+    proper: /\bproper\b/i.test(rawTitle),
+    repack: /\b(repack|rerip)\b/i.test(rawTitle),
+    episodeCoverage: parseEpisodeCoverage(rawTitle),
+    absoluteEpisode: parseAbsoluteEpisode(rawTitle),
   };
 }
 
@@ -237,4 +382,6 @@ module.exports = {
   LANGUAGE_FILTERS,
   LANGUAGE_SYNONYMS,
   parseReleaseMetadata,
+  getResolutionScore,
+  getSourceScore,
 };
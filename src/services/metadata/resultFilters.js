@@ -0,0 +1,152 @@
+// Include/exclude rules (keywords, regexes, release groups, indexers) applied to annotated results
+const { parseCommaList } = require('../../utils/config');
+const { normalizeIndexerToken, nzbMatchesIndexer } = require('../../utils/parsers');
+
+// Rule keys double as per-request query parameters; env holds the global value
+const FILTER_RULES = [
+  { key: 'excludeKeywords', env: 'NZB_FILTER_EXCLUDE_KEYWORDS' },
+  { key: 'excludeRegex', env: 'NZB_FILTER_EXCLUDE_REGEX' },
+  { key: 'excludeGroups', env: 'NZB_FILTER_EXCLUDE_GROUPS' },
+  { key: 'excludeIndexers', env: 'NZB_FILTER_EXCLUDE_INDEXERS' },
+  { key: 'includeKeywords', env: 'NZB_FILTER_INCLUDE_KEYWORDS' },
+  { key: 'includeRegex', env: 'NZB_FILTER_INCLUDE_REGEX' },
+  { key: 'includeGroups', env: 'NZB_FILTER_INCLUDE_GROUPS' },
+  { key: 'includeIndexers', env: 'NZB_FILTER_INCLUDE_INDEXERS' },
+];
+const FILTER_ENV_KEYS = FILTER_RULES.map((rule) => rule.env);
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "hardcoded subs" matches "Hardcoded.Subs", "hardcoded-subs" and "HARDCODED SUBS" as a whole word
+function buildKeywordPattern(keyword) {
+  const parts = keyword.trim().split(/[\s._-]+/).filter(Boolean);
+  if (parts.length === 0) return null;
+  const body = parts.map(escapeRegex).join('[\\s._-]+');
+  return new RegExp(`(?<![a-z0-9])${body}(?![a-z0-9])`, 'i');
+}
+
+function compileRegex(source, label) {
+  if (typeof source !== 'string' || !source.trim()) return null;
+  try {
+    return new RegExp(source.trim(), 'i');
+  } catch (error) {
+    console.warn(`[FILTERS] Ignoring invalid ${label} regex: ${error.message}`);
+    return null;
+  }
+}
+
+function readList(value) {
+  if (Array.isArray(value)) return value.flatMap((entry) => parseCommaList(String(entry)));
+  return typeof value === 'string' ? parseCommaList(value) : [];
+}
+
+function readRegexSource(value) {
+  if (Array.isArray(value)) return value.length > 0 ? String(value[value.length - 1]) : null;
+  return typeof value === 'string' && value.trim() ? value : null;
+}
+
+function readRawRules(source, pickKey) {
+  const raw = {};
+  FILTER_RULES.forEach((rule) => {
+    const value = source[pickKey(rule)];
+    raw[rule.key] = rule.key.endsWith('Regex') ? readRegexSource(value) : readList(value);
+  });
+  return raw;
+}
+
+function getGlobalFilterRules() {
+  return readRawRules(process.env, (rule) => rule.env);
+}
+
+// Query parameters use the rule keys directly, e.g. ?excludeKeywords=cam,telesync&excludeGroups=YIFY
+function parseFilterOverrides(query) {
+  if (!query || typeof query !== 'object') return {};
+  return readRawRules(query, (rule) => rule.key);
+}
+
+// Exclusions from both sources apply together; a per-request include list replaces the global one
+function buildResultFilters(overrides = {}) {
+  const globalRules = getGlobalFilterRules();
+  const merged = {};
+  FILTER_RULES.forEach(({ key }) => {
+    const globalValue = globalRules[key];
+    const overrideValue = overrides[key];
+    if (key.endsWith('Regex')) {
+      merged[key] = key.startsWith('exclude')
+        ? [globalValue, overrideValue].filter(Boolean)
+        : [overrideValue || globalValue].filter(Boolean);
+      return;
+    }
+    const hasOverride = Array.isArray(overrideValue) && overrideValue.length > 0;
+    merged[key] = key.startsWith('exclude')
+      ? [...globalValue, ...(hasOverride ? overrideValue : [])]
+      : (hasOverride ? overrideValue : globalValue);
+  });
+
+  const toTokenSet = (list) => new Set(list.map(normalizeIndexerToken).filter(Boolean));
+  return {
+    excludeKeywords: merged.excludeKeywords.map(buildKeywordPattern).filter(Boolean),
+    excludeRegex: merged.excludeRegex.map((source) => compileRegex(source, 'exclude')).filter(Boolean),
+    excludeGroups: toTokenSet(merged.excludeGroups),
+    excludeIndexers: toTokenSet(merged.excludeIndexers),
+    includeKeywords: merged.includeKeywords.map(buildKeywordPattern).filter(Boolean),
+    includeRegex: merged.includeRegex.map((source) => compileRegex(source, 'include')).filter(Boolean),
+    includeGroups: toTokenSet(merged.includeGroups),
+    includeIndexers: toTokenSet(merged.includeIndexers),
+  };
+}
+
+function hasActiveFilters(filters) {
+  if (!filters) return false;
+  return FILTER_RULES.some(({ key }) => {
+    const value = filters[key];
+    return value instanceof Set ? value.size > 0 : Array.isArray(value) && value.length > 0;
+  });
+}
+
+// Returns the reason a result is rejected, or null when it passes every rule
+function evaluateResult(result, filters) {
+  const title = result?.title || '';
+  const group = normalizeIndexerToken(result?.releaseGroup);
+  if (filters.excludeKeywords.some((pattern) => pattern.test(title))) return 'exclude-keyword';
+  if (filters.excludeRegex.some((regex) => regex.test(title))) return 'exclude-regex';
+  if (group && filters.excludeGroups.has(group)) return 'exclude-group';
+  if (filters.excludeIndexers.size > 0 && nzbMatchesIndexer(result, filters.excludeIndexers)) return 'exclude-indexer';
+  if (filters.includeKeywords.length > 0 && !filters.includeKeywords.some((pattern) => pattern.test(title))) {
+    return 'include-keyword';
+  }
+  if (filters.includeRegex.length > 0 && !filters.includeRegex.every((regex) => regex.test(title))) return 'include-regex';
+  if (filters.includeGroups.size > 0 && !(group && filters.includeGroups.has(group))) return 'include-group';
+  if (filters.includeIndexers.size > 0 && !nzbMatchesIndexer(result, filters.includeIndexers)) return 'include-indexer';
+  return null;
+}
+
+function applyResultFilters(results, filters) {
+  const outcome = { kept: [], dropped: [], counts: {} };
+  if (!Array.isArray(results)) return outcome;
+  if (!hasActiveFilters(filters)) {
+    outcome.kept = results.slice();
+    return outcome;
+  }
+  results.forEach((result) => {
+    const reason = evaluateResult(result, filters);
+    if (!reason) {
+      outcome.kept.push(result);
+      return;
+    }
+    outcome.dropped.push({ result, reason });
+    outcome.counts[reason] = (outcome.counts[reason] || 0) + 1;
+  });
+  return outcome;
+}
+
+module.exports = {
+  FILTER_ENV_KEYS,
+  parseFilterOverrides,
+  buildResultFilters,
+  hasActiveFilters,
+  evaluateResult,
+  applyResultFilters,
+};
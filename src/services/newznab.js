@@ -1,6 +1,15 @@
 const axios = require('axios');
 const { parseStringPromise: parseXmlString } = require('xml2js');
 const { stripTrailingSlashes } = require('../utils/config');
+const {
+  CIRCUIT_STATES,
+  acquireCircuitPermit,
+  recordCircuitSuccess,
+  recordCircuitFailure,
+  getCircuitSnapshots: getCircuitStateSnapshots,
+  resetCircuits,
+} = require('./newznabCircuit');
+const newznabQuota = require('./newznabQuota');
 
 const MAX_NEWZNAB_INDEXERS = 20;
 const NEWZNAB_FIELD_SUFFIXES = ['ENDPOINT', 'API_KEY', 'API_PATH', 'NAME', 'INDEXER_ENABLED', 'PAID', 'PAGINATE'];
@@ -251,6 +260,40 @@ function extractErrorFromBody(body) {
   return null;
 }
 
+// <newznab:apilimits apicurrent="12" apimax="100" grabcurrent="3" grabmax="25"/>
+// Attribute casing differs between indexer software, so match case-insensitively.
+function extractApiLimitsFromBody(body) {
+  if (!body || typeof body !== 'string') return null;
+  const tagMatch = body.match(/<(?:[\w-]+:)?apilimits\b([^>]*)>/i);
+  if (!tagMatch) return null;
+  const attributes = {};
+  const attrPattern = /([\w-]+)\s*=\s*["']([^"']*)["']/g;
+  let match;
+  while ((match = attrPattern.exec(tagMatch[1])) !== null) {
+    attributes[match[1].toLowerCase()] = match[2];
+  }
+  const readCount = (key) => {
+    const value = Number.parseInt(attributes[key], 10);
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  };
+  const limits = {
+    apiCurrent: readCount('apicurrent'),
+    apiMax: readCount('apimax'),
+    grabCurrent: readCount('grabcurrent'),
+    grabMax: readCount('grabmax'),
+  };
+  return Object.values(limits).some((value) => value !== null) ? limits : null;
+}
+
+// Attaches HTTP status / Newznab error code so the circuit breaker can spot API limits
+function buildNewznabError(message, { status = null, body = null } = {}) {
+  const error = new Error(message);
+  if (status) error.status = status;
+  const codeMatch = typeof body === 'string' ? body.match(/<error[^>]*\bcode="(\d+)"/i) : null;
+  if (codeMatch) error.newznabCode = Number(codeMatch[1]);
+  return error;
+}
+
 function buildIndexerConfig(source, idx, { includeEmpty = false } = {}) {
   const key = String(idx).padStart(2, '0');
   const endpoint = toTrimmedString(source[`NEWZNAB_ENDPOINT_${key}`]);
@@ -494,7 +537,9 @@ async function fetchIndexerResults(config, plan, options) {
   
   // Decide how many pages to fetch
   // If config.isPaginated is true, fetch 5 pages. Otherwise, fetch 1.
-  const maxPages = config.isPaginated ? 5 : 1;
+  // Indexers close to their daily API quota only get the first page.
+  const apiQuotaLow = newznabQuota.getQuotaStatus(config).api.low;
+  const maxPages = config.isPaginated && !apiQuotaLow ? 5 : 1;
   const requestUrl = config.baseUrl || `${config.endpoint}${config.apiPath}`;
   const logPrefix = options.label || '[NEWZNAB]';
   const allItems = [];
@@ -518,6 +563,7 @@ async function fetchIndexerResults(config, plan, options) {
     }
 
     try {
+      newznabQuota.recordApiHit(config);
       const response = await axios.get(requestUrl, {
         params: pageParams,
         timeout: options.timeoutMs || DEFAULT_REQUEST_TIMEOUT_MS,
@@ -531,16 +577,17 @@ async function fetchIndexerResults(config, plan, options) {
         break;
       }
       if (response.status >= 400) {
-        if (page === 0) throw new Error(`HTTP ${response.status}`);
+        if (page === 0) throw buildNewznabError(`HTTP ${response.status}`, { status: response.status });
         break; 
       }
 
       const body = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+      newznabQuota.recordReportedLimits(config, extractApiLimitsFromBody(body));
       const parsed = await parseXmlString(body, XML_PARSE_OPTIONS);
       
       const explicitError = extractErrorFromParsed(parsed) || extractErrorFromBody(body);
       if (explicitError) {
-        if (page === 0) throw new Error(explicitError);
+        if (page === 0) throw buildNewznabError(explicitError, { body });
         break;
       }
 
@@ -585,23 +632,74 @@ async function searchNewznabIndexers(plan, configs, options = {}) {
     return { results: [], errors: ['No enabled Newznab indexers configured'], endpoints: [] };
   }
 
-  const tasks = eligible.map((config) =>
-    fetchIndexerResults(config, plan, settings)
-  );
+  const durations = [];
+  // Quota is checked first so a skipped indexer never claims the half-open trial slot
+  const quotaStatuses = eligible.map((config) => newznabQuota.getQuotaStatus(config));
+  const permits = eligible.map((config, idx) => (quotaStatuses[idx].api.low ? null : acquireCircuitPermit(config)));
+  const tasks = eligible.map((config, idx) => {
+    if (!permits[idx] || !permits[idx].allowed) return null;
+    const startedAt = Date.now();
+    return fetchIndexerResults(config, plan, settings)
+      .then((value) => {
+        recordCircuitSuccess(config);
+        return value;
+      })
+      .catch((error) => {
+        recordCircuitFailure(config, error);
+        throw error;
+      })
+      .finally(() => {
+        durations[idx] = Date.now() - startedAt;
+      });
+  });
 
-  const settled = await Promise.allSettled(tasks);
+  const settled = await Promise.allSettled(tasks.filter(Boolean));
   const aggregated = [];
   const errors = [];
   const endpoints = [];
 
-  settled.forEach((result, idx) => {
-    const config = eligible[idx];
+  let settledIndex = 0;
+  eligible.forEach((config, idx) => {
+    if (!permits[idx]) {
+      const { api } = quotaStatuses[idx];
+      const message = `api quota nearly exhausted (${api.used}/${api.max} used)`;
+      errors.push(`${config.displayName}: ${message}`);
+      endpoints.push({
+        id: config.id,
+        name: config.displayName,
+        count: 0,
+        error: message,
+        skipped: true,
+        quota: 'api',
+      });
+      return;
+    }
+    if (!tasks[idx]) {
+      const { circuit } = permits[idx];
+      const remainingSeconds = Math.max(0, Math.ceil(((circuit.openUntil || Date.now()) - Date.now()) / 1000));
+      const message = circuit.state === CIRCUIT_STATES.OPEN
+        ? `circuit open (${remainingSeconds}s remaining)`
+        : 'circuit half-open (trial request in flight)';
+      errors.push(`${config.displayName}: ${message}`);
+      endpoints.push({
+        id: config.id,
+        name: config.displayName,
+        count: 0,
+        error: message,
+        skipped: true,
+        circuit: circuit.state,
+      });
+      return;
+    }
+    const result = settled[settledIndex];
+    settledIndex += 1;
     if (result.status === 'fulfilled') {
       aggregated.push(...result.value.items);
       endpoints.push({
         id: config.id,
         name: config.displayName,
         count: result.value.items.length,
+        durationMs: durations[idx],
       });
     } else {
       const message = result.reason?.message || result.reason || 'Unknown Newznab error';
@@ -611,6 +709,7 @@ async function searchNewznabIndexers(plan, configs, options = {}) {
         name: config.displayName,
         count: 0,
         error: message,
+        durationMs: durations[idx],
       });
     }
   });
@@ -618,6 +717,37 @@ async function searchNewznabIndexers(plan, configs, options = {}) {
   return { results: aggregated, errors, endpoints };
 }
 
+function findConfigByIndexerId(configs, indexerId) {
+  const token = toTrimmedString(indexerId).toLowerCase();
+  if (!token) return null;
+  return (configs || []).find((config) => config && [config.dedupeKey, config.slug, config.id]
+    .some((value) => value && String(value).toLowerCase() === token)) || null;
+}
+
+// Tokens (dedupeKey) of indexers whose remaining grab budget is inside the reserve,
+// so triage leaves those NZBs for actual playback.
+function getGrabLimitedIndexerTokens(configs) {
+  return filterUsableConfigs(configs, { requireEnabled: true, requireApiKey: true })
+    .filter((config) => newznabQuota.getQuotaStatus(config).grab.low)
+    .map((config) => config.dedupeKey)
+    .filter(Boolean);
+}
+
+function recordNzbGrab(configs, indexerId) {
+  const config = findConfigByIndexerId(configs, indexerId);
+  if (!config) return false;
+  newznabQuota.recordGrab(config);
+  return true;
+}
+
+function getCircuitSnapshots(configs = []) {
+  const withEndpoint = configs.filter((config) => config && config.endpoint);
+  return getCircuitStateSnapshots(withEndpoint).map((snapshot, idx) => ({
+    ...snapshot,
+    quota: newznabQuota.getQuotaSnapshot(withEndpoint[idx]),
+  }));
+}
+
 async function validateNewznabSearch(config, options = {}) {
   const plan = {
     type: 'search',
@@ -711,4 +841,8 @@ module.exports = {
   validateNewznabSearch,
   getAvailableNewznabPresets,
   maskApiKey,
+  getCircuitSnapshots,
+  resetCircuits,
+  getGrabLimitedIndexerTokens,
+  recordNzbGrab,
 };
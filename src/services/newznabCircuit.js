@@ -0,0 +1,182 @@
+// Per-indexer circuit breaker for direct Newznab searches
+const { toBoolean, toPositiveInt } = require('../utils/config');
+
+const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open',
+};
+
+// Newznab 429/500 mean "request limit reached", 501 "download limit reached"
+const API_LIMIT_ERROR_CODES = new Set([429, 500, 501]);
+const API_LIMIT_PATTERN = /request limit|api limit|download limit|too many requests|rate limit/i;
+
+const circuits = new Map();
+
+function getCircuitSettings() {
+  return {
+    enabled: toBoolean(process.env.NEWZNAB_CIRCUIT_ENABLED, true),
+    failureThreshold: toPositiveInt(process.env.NEWZNAB_CIRCUIT_FAILURE_THRESHOLD, 3),
+    cooldownMs: toPositiveInt(process.env.NEWZNAB_CIRCUIT_COOLDOWN_SECONDS, 300) * 1000,
+    maxCooldownMs: toPositiveInt(process.env.NEWZNAB_CIRCUIT_MAX_COOLDOWN_SECONDS, 3600) * 1000,
+    limitCooldownMs: toPositiveInt(process.env.NEWZNAB_CIRCUIT_LIMIT_COOLDOWN_SECONDS, 3600) * 1000,
+  };
+}
+
+// Changing the endpoint or API key starts the indexer with a fresh circuit.
+function buildCircuitKey(config) {
+  return [config.id, config.endpoint, config.apiKey || ''].join('|');
+}
+
+function getCircuit(config) {
+  const key = buildCircuitKey(config);
+  let circuit = circuits.get(key);
+  if (!circuit) {
+    circuit = {
+      id: config.id,
+      endpoint: config.endpoint,
+      displayName: config.displayName,
+      state: CIRCUIT_STATES.CLOSED,
+      consecutiveFailures: 0,
+      openCount: 0,
+      openUntil: null,
+      reason: null,
+      lastError: null,
+      lastFailureAt: null,
+      lastSuccessAt: null,
+      trialInFlight: false,
+    };
+    circuits.set(key, circuit);
+  }
+  circuit.displayName = config.displayName;
+  return circuit;
+}
+
+function isApiLimitError(error) {
+  if (!error) return false;
+  if (error.status === 429) return true;
+  if (API_LIMIT_ERROR_CODES.has(Number(error.newznabCode))) return true;
+  return API_LIMIT_PATTERN.test(error.message || '');
+}
+
+function openCircuit(circuit, durationMs, reason) {
+  circuit.state = CIRCUIT_STATES.OPEN;
+  circuit.openUntil = Date.now() + durationMs;
+  circuit.openCount += 1;
+  circuit.reason = reason;
+  circuit.trialInFlight = false;
+}
+
+// Returns { allowed, circuit }. An open circuit whose cooldown elapsed lets a single
+// trial request through (half-open); everything else is skipped until it resolves.
+function acquireCircuitPermit(config) {
+  const settings = getCircuitSettings();
+  const circuit = getCircuit(config);
+  if (!settings.enabled) return { allowed: true, circuit };
+
+  if (circuit.state === CIRCUIT_STATES.OPEN) {
+    if (circuit.openUntil > Date.now()) return { allowed: false, circuit };
+    circuit.state = CIRCUIT_STATES.HALF_OPEN;
+    circuit.trialInFlight = false;
+  }
+  if (circuit.state === CIRCUIT_STATES.HALF_OPEN) {
+    if (circuit.trialInFlight) return { allowed: false, circuit };
+    circuit.trialInFlight = true;
+  }
+  return { allowed: true, circuit };
+}
+
+function recordCircuitSuccess(config) {
+  const circuit = getCircuit(config);
+  if (circuit.state !== CIRCUIT_STATES.CLOSED) {
+    console.log(`[NEWZNAB] Circuit closed for ${circuit.displayName} after successful trial request`);
+  }
+  circuit.state = CIRCUIT_STATES.CLOSED;
+  circuit.consecutiveFailures = 0;
+  circuit.openCount = 0;
+  circuit.openUntil = null;
+  circuit.reason = null;
+  circuit.trialInFlight = false;
+  circuit.lastSuccessAt = Date.now();
+}
+
+function recordCircuitFailure(config, error) {
+  const settings = getCircuitSettings();
+  const circuit = getCircuit(config);
+  circuit.consecutiveFailures += 1;
+  circuit.lastError = error?.message || String(error || 'Unknown Newznab error');
+  circuit.lastFailureAt = Date.now();
+  if (!settings.enabled) return;
+
+  if (isApiLimitError(error)) {
+    openCircuit(circuit, settings.limitCooldownMs, 'api-limit');
+  } else if (circuit.state === CIRCUIT_STATES.HALF_OPEN) {
+    // Failed trial: back off exponentially from the base cooldown
+    const backoffMs = settings.cooldownMs * (2 ** Math.min(circuit.openCount, 10));
+    openCircuit(circuit, Math.min(backoffMs, settings.maxCooldownMs), 'trial-failed');
+  } else if (circuit.consecutiveFailures >= settings.failureThreshold) {
+    openCircuit(circuit, settings.cooldownMs, 'failure-threshold');
+  } else {
+    return;
+  }
+  const retrySeconds = Math.ceil((circuit.openUntil - Date.now()) / 1000);
+  console.warn(`[NEWZNAB] Circuit opened for ${circuit.displayName} (${circuit.reason}); retrying in ${retrySeconds}s`, circuit.lastError);
+}
+
+function describeCircuit(circuit) {
+  const now = Date.now();
+  const effectiveState = circuit.state === CIRCUIT_STATES.OPEN && circuit.openUntil <= now
+    ? CIRCUIT_STATES.HALF_OPEN
+    : circuit.state;
+  return {
+    id: circuit.id,
+    endpoint: circuit.endpoint,
+    displayName: circuit.displayName,
+    state: effectiveState,
+    consecutiveFailures: circuit.consecutiveFailures,
+    reason: circuit.reason,
+    lastError: circuit.lastError,
+    lastFailureAt: circuit.lastFailureAt,
+    lastSuccessAt: circuit.lastSuccessAt,
+    openUntil: circuit.openUntil,
+    retryInMs: effectiveState === CIRCUIT_STATES.OPEN ? circuit.openUntil - now : 0,
+  };
+}
+
+function getCircuitSnapshots(configs = []) {
+  return configs
+    .filter((config) => config && config.endpoint)
+    .map((config) => {
+      const circuit = circuits.get(buildCircuitKey(config));
+      if (circuit) return describeCircuit(circuit);
+      return {
+        id: config.id,
+        endpoint: config.endpoint,
+        displayName: config.displayName,
+        state: CIRCUIT_STATES.CLOSED,
+        consecutiveFailures: 0,
+        reason: null,
+        lastError: null,
+        lastFailureAt: null,
+        lastSuccessAt: null,
+        openUntil: null,
+        retryInMs: 0,
+      };
+    });
+}
+
+function resetCircuits(reason = 'manual') {
+  if (circuits.size > 0) {
+    console.log('[NEWZNAB] Reset indexer circuits', { reason, entries: circuits.size });
+  }
+  circuits.clear();
+}
+
+module.exports = {
+  CIRCUIT_STATES,
+  acquireCircuitPermit,
+  recordCircuitSuccess,
+  recordCircuitFailure,
+  getCircuitSnapshots,
+  resetCircuits,
+};
@@ -0,0 +1,136 @@
+// Per-indexer API hit and NZB grab quota tracking for direct Newznab searches
+const { toBoolean, toPositiveInt, toFiniteNumber } = require('../utils/config');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const quotas = new Map();
+
+function getQuotaSettings() {
+  const readPercent = (value, fallback) => Math.min(100, Math.max(0, toFiniteNumber(value, fallback)));
+  return {
+    enabled: toBoolean(process.env.NEWZNAB_QUOTA_ENABLED, true),
+    windowMs: toPositiveInt(process.env.NEWZNAB_QUOTA_WINDOW_HOURS, 24) * HOUR_MS,
+    apiReservePercent: readPercent(process.env.NEWZNAB_QUOTA_API_RESERVE_PERCENT, 5),
+    grabReservePercent: readPercent(process.env.NEWZNAB_QUOTA_GRAB_RESERVE_PERCENT, 20),
+  };
+}
+
+function buildQuotaKey(config) {
+  return [config.id, config.endpoint, config.apiKey || ''].join('|');
+}
+
+function createCounter() {
+  return { reportedCurrent: null, max: null, sinceReport: 0, local: 0 };
+}
+
+function getQuota(config) {
+  const key = buildQuotaKey(config);
+  const now = Date.now();
+  let quota = quotas.get(key);
+  if (!quota || now - quota.windowStartedAt >= getQuotaSettings().windowMs) {
+    // Indexers reset their counters daily; start a fresh window rather than
+    // trusting stale numbers reported before the reset.
+    quota = {
+      id: config.id,
+      endpoint: config.endpoint,
+      windowStartedAt: now,
+      reportedAt: null,
+      api: createCounter(),
+      grab: createCounter(),
+    };
+    quotas.set(key, quota);
+  }
+  quota.displayName = config.displayName;
+  return quota;
+}
+
+function incrementCounter(counter) {
+  counter.local += 1;
+  counter.sinceReport += 1;
+}
+
+function applyReported(counter, current, max) {
+  if (Number.isFinite(current)) {
+    counter.reportedCurrent = current;
+    counter.sinceReport = 0;
+  }
+  if (Number.isFinite(max) && max > 0) counter.max = max;
+}
+
+function recordApiHit(config) {
+  incrementCounter(getQuota(config).api);
+}
+
+function recordGrab(config) {
+  incrementCounter(getQuota(config).grab);
+}
+
+// limits: { apiCurrent, apiMax, grabCurrent, grabMax } as parsed from <newznab:apilimits>.
+// The reported values already include the request that carried them.
+function recordReportedLimits(config, limits) {
+  if (!limits) return;
+  const quota = getQuota(config);
+  applyReported(quota.api, limits.apiCurrent, limits.apiMax);
+  applyReported(quota.grab, limits.grabCurrent, limits.grabMax);
+  quota.reportedAt = Date.now();
+}
+
+function describeCounter(counter, reservePercent) {
+  const used = counter.reportedCurrent !== null
+    ? counter.reportedCurrent + counter.sinceReport
+    : counter.local;
+  const max = counter.max;
+  const remaining = max ? Math.max(0, max - used) : null;
+  const reserve = max ? Math.ceil((max * reservePercent) / 100) : 0;
+  return {
+    used,
+    max,
+    remaining,
+    low: remaining !== null && remaining <= reserve,
+  };
+}
+
+function describeQuota(quota, settings = getQuotaSettings()) {
+  return {
+    id: quota.id,
+    endpoint: quota.endpoint,
+    displayName: quota.displayName,
+    windowStartedAt: quota.windowStartedAt,
+    reportedAt: quota.reportedAt,
+    api: describeCounter(quota.api, settings.apiReservePercent),
+    grab: describeCounter(quota.grab, settings.grabReservePercent),
+  };
+}
+
+function getQuotaStatus(config) {
+  const settings = getQuotaSettings();
+  const status = describeQuota(getQuota(config), settings);
+  if (!settings.enabled) {
+    status.api.low = false;
+    status.grab.low = false;
+  }
+  return status;
+}
+
+function getQuotaSnapshot(config) {
+  const settings = getQuotaSettings();
+  const quota = quotas.get(buildQuotaKey(config));
+  if (!quota || Date.now() - quota.windowStartedAt >= settings.windowMs) return null;
+  return describeQuota(quota, settings);
+}
+
+function resetQuotas(reason = 'manual') {
+  if (quotas.size > 0) {
+    console.log('[NEWZNAB] Reset indexer quota counters', { reason, entries: quotas.size });
+  }
+  quotas.clear();
+}
+
+module.exports = {
+  recordApiHit,
+  recordGrab,
+  recordReportedLimits,
+  getQuotaStatus,
+  getQuotaSnapshot,
+  resetQuotas,
+};
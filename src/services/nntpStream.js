@@ -0,0 +1,368 @@
+// Direct NNTP streaming - serves NZB contents over HTTP without NZBDav
+const axios = require('axios');
+const { once } = require('events');
+const { parseStringPromise } = require('xml2js');
+const cache = require('../cache');
+const {
+  getSharedNntpPool,
+  fetchSegmentBodyAcrossProviders,
+  extractFiles,
+  inspectArchiveBuffer,
+} = require('./triage');
+const { decodeYencArticle, describeYencMismatch, parseYencHeaderInfo } = require('../utils/yenc');
+const { isVideoFileName, fileMatchesEpisode, inferMimeType } = require('../utils/parsers');
+
+const NZB_DOWNLOAD_TIMEOUT_MS = 30000;
+const NNTP_STREAM_PREFETCH_SEGMENTS = (() => {
+  const parsed = Number(process.env.NNTP_STREAM_PREFETCH_SEGMENTS);
+  return Number.isFinite(parsed) && parsed > 0 ? Math.floor(parsed) : 6;
+})();
+const NNTP_STREAM_SEGMENT_CACHE_SIZE = (() => {
+  const parsed = Number(process.env.NNTP_STREAM_SEGMENT_CACHE_SIZE);
+  return Number.isFinite(parsed) && parsed >= 0 ? Math.floor(parsed) : 32;
+})();
+// Segment plans are cheap to rebuild, so they only live long enough to cover seeks and player retries
+const NNTP_STREAM_PLAN_TTL_MS = (() => {
+  const parsed = Number(process.env.NNTP_STREAM_PLAN_TTL_MINUTES);
+  return (Number.isFinite(parsed) && parsed > 0 ? parsed : 30) * 60 * 1000;
+})();
+
+// Decoded segments keyed by message id (insertion order doubles as LRU order)
+const segmentCache = new Map();
+
+function ensureNntpStreamConfigured(providers) {
+  if (!Array.isArray(providers) || providers.length === 0) {
+    throw new Error('Direct streaming requires an NNTP provider (set NZB_TRIAGE_NNTP_HOST)');
+  }
+}
+
+function buildUnsupportedError(message, details = {}) {
+  const error = new Error(message);
+  error.code = 'NNTP_STREAM_UNSUPPORTED';
+  error.failureMessage = message;
+  Object.assign(error, details);
+  return error;
+}
+
+async function loadNzbPayload(downloadUrl, inlineCachedEntry, onNzbDownloaded) {
+  const cachedEntry = inlineCachedEntry || cache.getVerifiedNzbCacheEntry(downloadUrl);
+  if (cachedEntry?.payloadBuffer) {
+    console.log('[CACHE] Using verified NZB payload', { downloadUrl });
+    return cachedEntry.payloadBuffer.toString('utf8');
+  }
+  const response = await axios.get(downloadUrl, {
+    responseType: 'text',
+    timeout: NZB_DOWNLOAD_TIMEOUT_MS,
+    headers: {
+      Accept: 'application/x-nzb,text/xml;q=0.9,*/*;q=0.8',
+      'User-Agent': 'UsenetStreamer-Direct',
+    },
+    transitional: { silentJSONParsing: true, forcedJSONParsing: false },
+  });
+  if (typeof response.data !== 'string' || response.data.length === 0) {
+    throw new Error('Empty NZB payload');
+  }
+  if (onNzbDownloaded) onNzbDownloaded();
+  return response.data;
+}
+
+function sortSegments(segments) {
+  return segments.filter((segment) => segment?.id).sort((a, b) => a.number - b.number);
+}
+
+function postedFileBytes(file) {
+  return file.segments.reduce((total, segment) => total + (segment.bytes || 0), 0);
+}
+
+function pickVideoFile(files, requestedEpisode) {
+  let bestMatch = null;
+  let bestEpisodeMatch = null;
+  files.forEach((file) => {
+    if (!file.filename || !isVideoFileName(file.filename)) return;
+    if (file.segments.length === 0) return;
+    const size = postedFileBytes(file);
+    if (fileMatchesEpisode(file.filename, requestedEpisode)) {
+      if (!bestEpisodeMatch || size > bestEpisodeMatch.size) bestEpisodeMatch = { file, size };
+    }
+    if (!bestMatch || size > bestMatch.size) bestMatch = { file, size };
+  });
+  return bestEpisodeMatch || bestMatch;
+}
+
+function rarVolumeOrder(filename) {
+  const partMatch = filename.match(/\.part(\d+)\.rar$/i);
+  if (partMatch) return Number(partMatch[1]);
+  if (/\.rar$/i.test(filename)) return -1;
+  const oldStyleMatch = filename.match(/\.r(\d{2,3})$/i);
+  return oldStyleMatch ? Number(oldStyleMatch[1]) : null;
+}
+
+function rarSetKey(filename) {
+  return filename.toLowerCase()
+    .replace(/\.part\d+\.rar$/i, '')
+    .replace(/\.(rar|r\d{2,3})$/i, '');
+}
+
+// Groups RAR volumes by set name and returns the largest set in volume order.
+function pickRarVolumes(files) {
+  const sets = new Map();
+  files.forEach((file) => {
+    if (!file.filename || file.segments.length === 0) return;
+    const order = rarVolumeOrder(file.filename);
+    if (order === null) return;
+    const key = rarSetKey(file.filename);
+    if (!sets.has(key)) sets.set(key, { bytes: 0, volumes: [] });
+    const set = sets.get(key);
+    set.bytes += postedFileBytes(file);
+    set.volumes.push({ file, order });
+  });
+  let best = null;
+  sets.forEach((set) => {
+    if (!best || set.bytes > best.bytes) best = set;
+  });
+  if (!best) return null;
+  return {
+    bytes: best.bytes,
+    files: best.volumes.sort((a, b) => a.order - b.order).map((volume) => volume.file),
+  };
+}
+
+async function fetchDecodedSegment(pool, segmentId) {
+  const cached = segmentCache.get(segmentId);
+  if (cached) {
+    segmentCache.delete(segmentId);
+    segmentCache.set(segmentId, cached);
+    return cached;
+  }
+  const promise = fetchSegmentBodyAcrossProviders(pool, segmentId).then((bodyBuffer) => {
+    const article = decodeYencArticle(bodyBuffer);
+    const mismatch = describeYencMismatch(article);
+    if (mismatch) {
+      // Still served: a damaged segment glitches playback briefly, a thrown error ends it
+      console.warn(`[NNTP STREAM] Segment ${segmentId} failed yEnc verification`, mismatch);
+    }
+    return { yencInfo: parseYencHeaderInfo(bodyBuffer), data: article.data };
+  });
+  if (NNTP_STREAM_SEGMENT_CACHE_SIZE > 0) {
+    segmentCache.set(segmentId, promise);
+    promise.catch(() => segmentCache.delete(segmentId));
+    while (segmentCache.size > NNTP_STREAM_SEGMENT_CACHE_SIZE) {
+      segmentCache.delete(segmentCache.keys().next().value);
+    }
+  }
+  return promise;
+}
+
+// Reads the first article of a posted file to learn its decoded size and yEnc part size.
+async function describePostedFile(pool, file) {
+  const segments = sortSegments(file.segments);
+  const first = await fetchDecodedSegment(pool, segments[0].id);
+  const yencInfo = first.yencInfo || {};
+  const partSize = yencInfo.partBegin && yencInfo.partEnd
+    ? yencInfo.partEnd - yencInfo.partBegin + 1
+    : first.data.length;
+  const size = Number.isFinite(yencInfo.size) && yencInfo.size > 0 ? yencInfo.size : partSize * segments.length;
+  return {
+    posted: { filename: file.filename, segments, partSize, size },
+    head: first.data,
+  };
+}
+
+async function buildRarExtents(pool, volumes) {
+  const described = [];
+  for (let i = 0; i < volumes.length; i += NNTP_STREAM_PREFETCH_SEGMENTS) {
+    const batch = volumes.slice(i, i + NNTP_STREAM_PREFETCH_SEGMENTS);
+    described.push(...await Promise.all(batch.map((volume) => describePostedFile(pool, volume))));
+  }
+
+  const extents = [];
+  let innerName = null;
+  for (const { posted, head } of described) {
+    const inspection = inspectArchiveBuffer(head);
+    if (inspection.status !== 'rar-stored') {
+      if (extents.length > 0) break;
+      throw buildUnsupportedError(`Archive cannot be streamed directly (${inspection.status})`, {
+        archiveStatus: inspection.status,
+      });
+    }
+    const { name, dataOffset, packedSize } = inspection.details;
+    if (innerName === null) {
+      if (!isVideoFileName(name)) {
+        const noVideoError = new Error(`[NNTP STREAM] Archive does not contain a playable video (${name})`);
+        noVideoError.code = 'NO_VIDEO_FILES';
+        throw noVideoError;
+      }
+      innerName = name;
+    } else if (name !== innerName) {
+      break;
+    }
+    extents.push({ ...posted, offset: dataOffset, length: packedSize });
+  }
+  return { fileName: innerName, extents };
+}
+
+async function buildNntpStream({ downloadUrl, title, requestedEpisode, inlineCachedEntry = null, poolOptions, onNzbDownloaded = null }) {
+  const pool = await getSharedNntpPool(poolOptions);
+  if (!pool) {
+    throw new Error('[NNTP STREAM] Unable to connect to NNTP provider');
+  }
+
+  const nzbString = await loadNzbPayload(downloadUrl, inlineCachedEntry, onNzbDownloaded);
+  const parsed = await parseStringPromise(nzbString, { explicitArray: false, trim: true });
+  const files = extractFiles(parsed);
+
+  let fileName = null;
+  let extents = [];
+  const video = pickVideoFile(files, requestedEpisode);
+  const rarSet = pickRarVolumes(files);
+  // A loose sample next to a RAR set should not win over the archived release
+  if (video && (!rarSet || video.size >= rarSet.bytes)) {
+    const { posted } = await describePostedFile(pool, video.file);
+    fileName = video.file.filename;
+    extents = [{ ...posted, offset: 0, length: posted.size }];
+  } else if (rarSet) {
+    ({ fileName, extents } = await buildRarExtents(pool, rarSet.files));
+  } else {
+    const noVideoError = new Error('[NNTP STREAM] No playable video files or RAR volumes found in NZB');
+    noVideoError.code = 'NO_VIDEO_FILES';
+    throw noVideoError;
+  }
+
+  const size = extents.reduce((total, extent) => total + extent.length, 0);
+  console.log(`[NNTP STREAM] Prepared ${fileName} (${size} bytes across ${extents.length} file(s)) for ${title || downloadUrl}`);
+  return { fileName, size, extents, poolOptions };
+}
+
+// Splits [start, end] of the logical stream into per-article slices.
+function planSegmentReads(streamData, start, end) {
+  const reads = [];
+  let logicalBase = 0;
+  for (const extent of streamData.extents) {
+    const extentStart = logicalBase;
+    const extentEnd = logicalBase + extent.length - 1;
+    logicalBase += extent.length;
+    if (extentEnd < start || extentStart > end) continue;
+
+    let position = extent.offset + Math.max(start, extentStart) - extentStart;
+    const stop = extent.offset + Math.min(end, extentEnd) - extentStart;
+    while (position <= stop) {
+      const index = Math.floor(position / extent.partSize);
+      const segment = extent.segments[index];
+      if (!segment) {
+        throw buildUnsupportedError(`Missing segment ${index + 1} in ${extent.filename}`);
+      }
+      const partStart = index * extent.partSize;
+      const sliceEnd = Math.min(stop, partStart + extent.partSize - 1);
+      reads.push({
+        segmentId: segment.id,
+        from: position - partStart,
+        to: sliceEnd - partStart + 1,
+      });
+      position = sliceEnd + 1;
+    }
+  }
+  return reads;
+}
+
+async function* readStreamRange(pool, streamData, start, end) {
+  const reads = planSegmentReads(streamData, start, end);
+  const inflight = [];
+  let nextRead = 0;
+  for (let i = 0; i < reads.length; i += 1) {
+    while (nextRead < reads.length && inflight.length < NNTP_STREAM_PREFETCH_SEGMENTS) {
+      const pending = fetchDecodedSegment(pool, reads[nextRead].segmentId);
+      pending.catch(() => {});
+      inflight.push(pending);
+      nextRead += 1;
+    }
+    const { data } = await inflight.shift();
+    const { from, to, segmentId } = reads[i];
+    if (data.length < to) {
+      const error = new Error(`Decoded article ${segmentId} shorter than expected`);
+      error.code = 'DECODE_ERROR';
+      throw error;
+    }
+    yield data.subarray(from, to);
+  }
+}
+
+async function streamNntpResponse(req, res, streamData) {
+  const totalSize = streamData.size;
+  const fileName = (streamData.fileName || 'stream').replace(/[\\/:*?"<>|]+/g, '_');
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Content-Type', inferMimeType(fileName));
+  res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Length,Content-Range,Content-Type,Accept-Ranges');
+
+  let start = 0;
+  let end = totalSize - 1;
+  let statusCode = 200;
+  const rangeHeader = req.headers.range;
+  if (rangeHeader && /^bytes=\d*-\d*$/.test(rangeHeader)) {
+    const [rangeStart, rangeEnd] = rangeHeader.split('=')[1].split('-');
+    // "bytes=-" names no range at all
+    if (!rangeStart && !rangeEnd) {
+      res.status(416).setHeader('Content-Range', `bytes */${totalSize}`);
+      res.end();
+      return;
+    }
+    if (rangeStart) {
+      start = Number.parseInt(rangeStart, 10);
+      if (rangeEnd) end = Math.min(Number.parseInt(rangeEnd, 10), totalSize - 1);
+    } else if (rangeEnd) {
+      // Suffix range: last N bytes
+      start = Math.max(0, totalSize - Number.parseInt(rangeEnd, 10));
+    }
+    if (start >= totalSize || end < start) {
+      res.status(416).setHeader('Content-Range', `bytes */${totalSize}`);
+      res.end();
+      return;
+    }
+    statusCode = 206;
+  }
+
+  res.status(statusCode);
+  res.setHeader('Content-Length', String(end - start + 1));
+  if (statusCode === 206) {
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${totalSize}`);
+  }
+  console.log(`[NNTP STREAM] Serving bytes ${start}-${end}/${totalSize} of ${streamData.fileName}`);
+
+  const pool = await getSharedNntpPool(streamData.poolOptions);
+  if (!pool) {
+    throw new Error('[NNTP STREAM] NNTP pool unavailable');
+  }
+  let clientClosed = false;
+  res.on('close', () => {
+    clientClosed = true;
+  });
+
+  try {
+    for await (const chunk of readStreamRange(pool, streamData, start, end)) {
+      if (clientClosed || res.destroyed) {
+        console.warn('[NNTP STREAM] Stream closed early by client');
+        return;
+      }
+      if (!res.write(chunk)) {
+        await Promise.race([once(res, 'drain'), once(res, 'close')]);
+      }
+    }
+  } catch (error) {
+    // Nothing written yet: let the caller answer with an error status or the failure video
+    if (!res.headersSent) throw error;
+    // Content-Length is already promised; dropping the socket makes the player retry the range
+    // instead of accepting a truncated body as the end of the file
+    console.warn(`[NNTP STREAM] Aborting ${streamData.fileName} mid-stream: ${error.message}`);
+    res.destroy(error);
+    return;
+  }
+  res.end();
+}
+
+module.exports = {
+  NNTP_STREAM_PLAN_TTL_MS,
+  ensureNntpStreamConfigured,
+  buildNntpStream,
+  streamNntpResponse,
+};
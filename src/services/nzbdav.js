@@ -96,14 +96,56 @@ function getNzbdavCategory(type) {
   return baseCategory;
 }
 
-function buildNzbdavApiParams(mode, extra = {}) {
+// Jobs queued for a known IMDb title carry a Plex-style "{imdb-tt1234567}" tag so
+// completed history can be mapped back to Cinemeta (see historyCatalog).
+const JOB_IMDB_TAG_PATTERN = /\s*\{imdb-(tt\d{5,})\}\s*$/i;
+const BARE_IMDB_ID_PATTERN = /\b(tt\d{7,})\b/i;
+
+function buildNzbdavJobLabel(title, imdbId) {
+  const base = (title || '').toString().trim();
+  if (!base || !imdbId || !/^tt\d+$/i.test(imdbId)) return base || undefined;
+  if (extractImdbIdFromJobName(base)) return base;
+  return `${base} {imdb-${imdbId.toLowerCase()}}`;
+}
+
+function extractImdbIdFromJobName(jobName) {
+  if (!jobName) return null;
+  const value = jobName.toString();
+  const match = value.match(JOB_IMDB_TAG_PATTERN) || value.match(BARE_IMDB_ID_PATTERN);
+  return match ? match[1].toLowerCase() : null;
+}
+
+function stripJobImdbTag(jobName) {
+  if (!jobName) return jobName;
+  return jobName.toString().replace(JOB_IMDB_TAG_PATTERN, '');
+}
+
+// SAB-compatible API connection; SABnzbd reuses the queue/history calls below with its own connection
+function getNzbdavApi() {
+  return { url: NZBDAV_URL, apiKey: NZBDAV_API_KEY, label: 'NZBDAV' };
+}
+
+function ensureApiConfigured(api) {
+  if (!api.url) {
+    throw new Error(`${api.label}_URL is not configured`);
+  }
+  if (!api.apiKey) {
+    throw new Error(`${api.label}_API_KEY is not configured`);
+  }
+}
+
+function buildNzbdavApiParams(mode, extra = {}, apiKey = NZBDAV_API_KEY) {
   return {
     mode,
-    apikey: NZBDAV_API_KEY,
+    apikey: apiKey,
     ...extra
   };
 }
 
+function buildApiHeaders(api) {
+  return api.apiKey ? { 'x-api-key': api.apiKey } : {};
+}
+
 function extractNzbdavQueueId(payload) {
   return payload?.nzo_id
     || payload?.nzoId
@@ -113,11 +155,11 @@ function extractNzbdavQueueId(payload) {
     || null;
 }
 
-async function addNzbToNzbdav({ downloadUrl, cachedEntry = null, category, jobLabel }) {
-  ensureNzbdavConfigured();
+async function addNzbToNzbdav({ downloadUrl, cachedEntry = null, category, jobLabel }, api = getNzbdavApi()) {
+  ensureApiConfigured(api);
 
   if (!category) {
-    throw new Error('Missing NZBDav category');
+    throw new Error(`Missing ${api.label} category`);
   }
   if (!downloadUrl && !cachedEntry) {
     throw new Error('Missing NZB source');
@@ -126,7 +168,7 @@ async function addNzbToNzbdav({ downloadUrl, cachedEntry = null, category, jobLa
   const jobLabelDisplay = jobLabel || 'untitled';
   if (cachedEntry?.payloadBuffer) {
     try {
-      console.log(`[NZBDAV] Queueing cached NZB payload via addfile (${jobLabelDisplay})`);
+      console.log(`[${api.label}] Queueing cached NZB payload via addfile (${jobLabelDisplay})`);
       const form = new FormData();
       const uploadName = cache.buildVerifiedNzbFileName(cachedEntry, jobLabel);
       form.append('nzbfile', cachedEntry.payloadBuffer, {
@@ -136,18 +178,16 @@ async function addNzbToNzbdav({ downloadUrl, cachedEntry = null, category, jobLa
 
       const headers = {
         ...form.getHeaders(),
+        ...buildApiHeaders(api),
       };
-      if (NZBDAV_API_KEY) {
-        headers['x-api-key'] = NZBDAV_API_KEY;
-      }
 
       const params = buildNzbdavApiParams('addfile', {
         cat: category,
         nzbname: jobLabel || undefined,
         output: 'json'
-      });
+      }, api.apiKey);
 
-      const response = await axios.post(`${NZBDAV_URL}/api`, form, {
+      const response = await axios.post(`${api.url}/api`, form, {
         params,
         timeout: NZBDAV_API_TIMEOUT_MS,
         headers,
@@ -166,13 +206,13 @@ async function addNzbToNzbdav({ downloadUrl, cachedEntry = null, category, jobLa
         throw new Error('addfile succeeded but no nzo_id returned');
       }
 
-      console.log(`[NZBDAV] NZB queued with id ${nzoId} (uploaded payload)`);
+      console.log(`[${api.label}] NZB queued with id ${nzoId} (uploaded payload)`);
       return { nzoId };
     } catch (error) {
       if (!downloadUrl) {
-        throw new Error(`[NZBDAV] Failed to upload cached NZB: ${error.message}`);
+        throw new Error(`[${api.label}] Failed to upload cached NZB: ${error.message}`);
       }
-      console.warn(`[NZBDAV] addfile failed, falling back to addurl: ${error.message}`);
+      console.warn(`[${api.label}] addfile failed, falling back to addurl: ${error.message}`);
     }
   }
 
@@ -180,21 +220,18 @@ async function addNzbToNzbdav({ downloadUrl, cachedEntry = null, category, jobLa
     throw new Error('Unable to queue NZB: no download URL available');
   }
 
-  console.log(`[NZBDAV] Queueing NZB via addurl for category=${category} (${jobLabelDisplay})`);
+  console.log(`[${api.label}] Queueing NZB via addurl for category=${category} (${jobLabelDisplay})`);
 
   const params = buildNzbdavApiParams('addurl', {
     name: downloadUrl,
     cat: category,
     nzbname: jobLabel || undefined,
     output: 'json'
-  });
+  }, api.apiKey);
 
-  const headers = {};
-  if (NZBDAV_API_KEY) {
-    headers['x-api-key'] = NZBDAV_API_KEY;
-  }
+  const headers = buildApiHeaders(api);
 
-  const response = await axios.get(`${NZBDAV_URL}/api`, {
+  const response = await axios.get(`${api.url}/api`, {
     params,
     timeout: NZBDAV_API_TIMEOUT_MS,
     headers,
@@ -203,36 +240,34 @@ async function addNzbToNzbdav({ downloadUrl, cachedEntry = null, category, jobLa
 
   if (!response.data?.status) {
     const errorMessage = response.data?.error || `addurl returned status ${response.status}`;
-    throw new Error(`[NZBDAV] Failed to queue NZB: ${errorMessage}`);
+    throw new Error(`[${api.label}] Failed to queue NZB: ${errorMessage}`);
   }
 
   const nzoId = extractNzbdavQueueId(response.data);
 
   if (!nzoId) {
-    throw new Error('[NZBDAV] addurl succeeded but no nzo_id returned');
+    throw new Error(`[${api.label}] addurl succeeded but no nzo_id returned`);
   }
 
-  console.log(`[NZBDAV] NZB queued with id ${nzoId}`);
+  console.log(`[${api.label}] NZB queued with id ${nzoId}`);
   return { nzoId };
 }
 
-async function waitForNzbdavHistorySlot(nzoId, category) {
-  ensureNzbdavConfigured();
-  const deadline = Date.now() + NZBDAV_POLL_TIMEOUT_MS;
+// failed slots throw an error flagged isNzbdavFailure, the marker every download client uses for job failures
+async function waitForNzbdavHistorySlot(nzoId, category, { api = getNzbdavApi(), timeoutMs = NZBDAV_POLL_TIMEOUT_MS } = {}) {
+  ensureApiConfigured(api);
+  const deadline = Date.now() + timeoutMs;
 
   while (Date.now() < deadline) {
     const params = buildNzbdavApiParams('history', {
       start: '0',
       limit: '50',
       category
-    });
+    }, api.apiKey);
 
-    const headers = {};
-    if (NZBDAV_API_KEY) {
-      headers['x-api-key'] = NZBDAV_API_KEY;
-    }
+    const headers = buildApiHeaders(api);
 
-    const response = await axios.get(`${NZBDAV_URL}/api`, {
+    const response = await axios.get(`${api.url}/api`, {
       params,
       timeout: NZBDAV_HISTORY_TIMEOUT_MS,
       headers,
@@ -241,7 +276,7 @@ async function waitForNzbdavHistorySlot(nzoId, category) {
 
     if (!response.data?.status) {
       const errorMessage = response.data?.error || `history returned status ${response.status}`;
-      throw new Error(`[NZBDAV] Failed to query history: ${errorMessage}`);
+      throw new Error(`[${api.label}] Failed to query history: ${errorMessage}`);
     }
 
     const history = response.data?.history || response.data?.History;
@@ -254,12 +289,12 @@ async function waitForNzbdavHistorySlot(nzoId, category) {
     if (slot) {
       const status = (slot.status || slot.Status || '').toString().toLowerCase();
       if (status === 'completed') {
-        console.log(`[NZBDAV] NZB ${nzoId} completed in ${category}`);
+        console.log(`[${api.label}] NZB ${nzoId} completed in ${category}`);
         return slot;
       }
       if (status === 'failed') {
-        const failMessage = slot.fail_message || slot.failMessage || slot.FailMessage || 'Unknown NZBDav error';
-        const failureError = new Error(`[NZBDAV] NZB failed: ${failMessage}`);
+        const failMessage = slot.fail_message || slot.failMessage || slot.FailMessage || `Unknown ${api.label} error`;
+        const failureError = new Error(`[${api.label}] NZB failed: ${failMessage}`);
         failureError.isNzbdavFailure = true;
         failureError.failureMessage = failMessage;
         failureError.nzoId = nzoId;
@@ -271,11 +306,11 @@ async function waitForNzbdavHistorySlot(nzoId, category) {
     await sleep(NZBDAV_POLL_INTERVAL_MS);
   }
 
-  throw new Error('[NZBDAV] Timeout while waiting for NZB to become streamable');
+  throw new Error(`[${api.label}] Timeout while waiting for NZB to become streamable`);
 }
 
-async function fetchCompletedNzbdavHistory(categories = []) {
-  ensureNzbdavConfigured();
+async function fetchCompletedNzbdavHistory(categories = [], api = getNzbdavApi()) {
+  ensureApiConfigured(api);
   const categoryList = Array.isArray(categories) && categories.length > 0
     ? Array.from(new Set(categories.filter((value) => value !== undefined && value !== null && String(value).trim() !== '')))
     : [null];
@@ -288,14 +323,11 @@ async function fetchCompletedNzbdavHistory(categories = []) {
         start: '0',
         limit: String(NZBDAV_HISTORY_FETCH_LIMIT),
         category: category || undefined
-      });
+      }, api.apiKey);
 
-      const headers = {};
-      if (NZBDAV_API_KEY) {
-        headers['x-api-key'] = NZBDAV_API_KEY;
-      }
+      const headers = buildApiHeaders(api);
 
-      const response = await axios.get(`${NZBDAV_URL}/api`, {
+      const response = await axios.get(`${api.url}/api`, {
         params,
         timeout: NZBDAV_HISTORY_TIMEOUT_MS,
         headers,
@@ -322,7 +354,7 @@ async function fetchCompletedNzbdavHistory(categories = []) {
           continue;
         }
 
-        const normalized = normalizeReleaseTitle(jobName);
+        const normalized = normalizeReleaseTitle(stripJobImdbTag(jobName));
         if (!normalized) {
           continue;
         }
@@ -333,22 +365,26 @@ async function fetchCompletedNzbdavHistory(categories = []) {
             jobName,
             category: slot?.category || slot?.Category || category || null,
             size: slot?.size || slot?.Size || null,
+            imdbId: extractImdbIdFromJobName(jobName),
+            completedAt: Number(slot?.completed || slot?.Completed) * 1000 || null,
+            storagePath: slot?.storage || slot?.Storage || null,
             slot
           });
         }
       }
     } catch (error) {
-      console.warn(`[NZBDAV] Failed to fetch history for category ${category || 'all'}: ${error.message}`);
+      console.warn(`[${api.label}] Failed to fetch history for category ${category || 'all'}: ${error.message}`);
     }
   }
 
   return results;
 }
 
-function buildNzbdavCacheKey(downloadUrl, category, requestedEpisode = null) {
+// seasonPack keys drop the episode so every episode request of a season shares one pack mount
+function buildNzbdavCacheKey(downloadUrl, category, requestedEpisode = null, { seasonPack = false } = {}) {
   const keyParts = [downloadUrl, category];
   if (requestedEpisode && Number.isFinite(requestedEpisode.season) && Number.isFinite(requestedEpisode.episode)) {
-    keyParts.push(`${requestedEpisode.season}x${requestedEpisode.episode}`);
+    keyParts.push(seasonPack ? `${requestedEpisode.season}xpack` : `${requestedEpisode.season}x${requestedEpisode.episode}`);
   }
   return keyParts.join('|');
 }
@@ -397,9 +433,10 @@ async function listWebdavDirectory(directory) {
   }
 }
 
-async function findBestVideoFile({ category, jobName, requestedEpisode }) {
-  const rootPath = normalizeNzbdavPath(`/content/${category}/${jobName}`);
-  const queue = [{ path: rootPath, depth: 0 }];
+// listDirectory and rootPath let local-disk download clients reuse the same walk and file pick
+async function findBestVideoFile({ category, jobName, requestedEpisode, rootPath = null, listDirectory = listWebdavDirectory, logPrefix = 'NZBDAV' }) {
+  const startPath = rootPath ? normalizeNzbdavPath(rootPath) : normalizeNzbdavPath(`/content/${category}/${jobName}`);
+  const queue = [{ path: startPath, depth: 0 }];
   const visited = new Set();
   let bestMatch = null;
   let bestEpisodeMatch = null;
@@ -416,9 +453,9 @@ async function findBestVideoFile({ category, jobName, requestedEpisode }) {
 
     let entries;
     try {
-      entries = await listWebdavDirectory(currentPath);
+      entries = await listDirectory(currentPath);
     } catch (error) {
-      console.error(`[NZBDAV] Failed to list ${currentPath}:`, error.message);
+      console.error(`[${logPrefix}] Failed to list ${currentPath}:`, error.message);
       continue;
     }
 
@@ -461,103 +498,17 @@ async function findBestVideoFile({ category, jobName, requestedEpisode }) {
   return bestEpisodeMatch || bestMatch;
 }
 
-async function buildNzbdavStream({ downloadUrl, category, title, requestedEpisode, existingSlot = null, inlineCachedEntry = null }) {
-  let reuseError = null;
-  const attempts = [];
-  if (existingSlot?.nzoId) {
-    attempts.push('reuse');
-  }
-  attempts.push('queue');
-
-  for (const mode of attempts) {
-    try {
-      let slot = null;
-      let nzoId = null;
-      let slotCategory = category;
-      let slotJobName = title;
-
-      if (mode === 'reuse') {
-        const reuseCategory = existingSlot?.category || category;
-        slot = await waitForNzbdavHistorySlot(existingSlot.nzoId, reuseCategory);
-        nzoId = existingSlot.nzoId;
-        slotCategory = slot?.category || slot?.Category || reuseCategory;
-        slotJobName = slot?.job_name || slot?.JobName || slot?.name || slot?.Name || existingSlot?.jobName || title;
-        console.log(`[NZBDAV] Reusing completed NZB ${slotJobName} (${nzoId})`);
-      } else {
-        const cachedNzbEntry = inlineCachedEntry || cache.getVerifiedNzbCacheEntry(downloadUrl);
-        if (cachedNzbEntry) {
-          console.log('[CACHE] Using verified NZB payload', { downloadUrl });
-        }
-        const added = await addNzbToNzbdav({
-          downloadUrl,
-          cachedEntry: cachedNzbEntry,
-          category,
-          jobLabel: title,
-        });
-        nzoId = added.nzoId;
-        slot = await waitForNzbdavHistorySlot(nzoId, category);
-        slotCategory = slot?.category || slot?.Category || category;
-        slotJobName = slot?.job_name || slot?.JobName || slot?.name || slot?.Name || title;
-      }
-
-      if (!slotJobName) {
-        throw new Error('[NZBDAV] Unable to determine job name from history');
-      }
-
-      const bestFile = await findBestVideoFile({
-        category: slotCategory,
-        jobName: slotJobName,
-        requestedEpisode
-      });
-
-      if (!bestFile) {
-        const noVideoError = new Error('[NZBDAV] No playable video files found after mounting NZB');
-        noVideoError.code = 'NO_VIDEO_FILES';
-        throw noVideoError;
-      }
-
-      console.log(`[NZBDAV] Selected file ${bestFile.viewPath} (${bestFile.size} bytes)`);
-
-      return {
-        nzoId,
-        category: slotCategory,
-        jobName: slotJobName,
-        viewPath: bestFile.viewPath,
-        size: bestFile.size,
-        fileName: bestFile.name
-      };
-    } catch (error) {
-      if (mode === 'reuse') {
-        reuseError = error;
-        console.warn(`[NZBDAV] Reuse attempt failed for NZB ${existingSlot?.nzoId || 'unknown'}: ${error.message}`);
-        continue;
-      }
-      if (error?.isNzbdavFailure) {
-        error.downloadUrl = downloadUrl;
-        error.category = category;
-        error.title = title;
-      }
-      throw error;
-    }
-  }
-
-  if (reuseError) {
-    if (reuseError?.isNzbdavFailure) {
-      reuseError.downloadUrl = downloadUrl;
-      reuseError.category = category;
-      reuseError.title = title;
-    }
-    throw reuseError;
-  }
-
-  const fallbackError = new Error('[NZBDAV] Unable to prepare NZB stream');
-  fallbackError.downloadUrl = downloadUrl;
-  fallbackError.category = category;
-  fallbackError.title = title;
-  throw fallbackError;
+// Normalizes a SAB-style history slot into the job summary download clients return from waitForJob
+function summarizeHistorySlot(slot, { nzoId, category, jobName = null } = {}) {
+  return {
+    jobId: nzoId,
+    category: slot?.category || slot?.Category || category,
+    jobName: slot?.job_name || slot?.JobName || slot?.name || slot?.Name || jobName,
+    storagePath: slot?.storage || slot?.Storage || null,
+  };
 }
 
-async function streamFileResponse(req, res, absolutePath, emulateHead, logPrefix, existingStats = null) {
+async function streamFileResponse(req, res, absolutePath, emulateHead, logPrefix, existingStats = null, contentType = 'application/octet-stream') {
   const stats = existingStats || (await safeStat(absolutePath));
   if (!stats || !stats.isFile()) {
     return false;
@@ -566,7 +517,7 @@ async function streamFileResponse(req, res, absolutePath, emulateHead, logPrefix
   const totalSize = stats.size;
   res.setHeader('Accept-Ranges', 'bytes');
   res.setHeader('Last-Modified', stats.mtime.toUTCString());
-  res.setHeader('Content-Type', 'application/octet-stream');
+  res.setHeader('Content-Type', contentType);
 
   if (emulateHead) {
     res.setHeader('Content-Length', totalSize);
@@ -884,15 +835,19 @@ async function proxyNzbdavStream(req, res, viewPath, fileNameHint = '') {
 module.exports = {
   ensureNzbdavConfigured,
   getNzbdavCategory,
+  getNzbdavApi,
   buildNzbdavApiParams,
   extractNzbdavQueueId,
   addNzbToNzbdav,
   waitForNzbdavHistorySlot,
   fetchCompletedNzbdavHistory,
+  buildNzbdavJobLabel,
+  extractImdbIdFromJobName,
+  stripJobImdbTag,
   buildNzbdavCacheKey,
   listWebdavDirectory,
   findBestVideoFile,
-  buildNzbdavStream,
+  summarizeHistorySlot,
   streamFileResponse,
   streamFailureVideo,
   streamVideoTypeFailure,
@@ -0,0 +1,175 @@
+// Named user profiles - each with its own addon token and preference overrides
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CONFIG_DIR } = require('../../config/runtimeEnv');
+
+const PROFILES_FILE = path.join(CONFIG_DIR, 'profiles.json');
+const PROFILES_FILE_VERSION = 1;
+
+// Preferences a profile may override; blank or missing values inherit the global setting
+const PROFILE_SETTING_KEYS = [
+  'NZB_SORT_MODE',
+  'NZB_PREFERRED_LANGUAGE',
+  'NZB_MAX_RESULT_SIZE_GB',
+  'NZB_ALLOWED_RESOLUTIONS',
+  'NZB_RESOLUTION_LIMIT_PER_QUALITY',
+  'NZB_DEDUP_ENABLED',
+  'NZB_HIDE_BLOCKED_RESULTS',
+  'NZB_TRIAGE_ENABLED',
+];
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+let profiles = null;
+
+function buildProfileError(message, code = 'PROFILE_INVALID') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function loadProfiles() {
+  if (profiles) return profiles;
+  profiles = [];
+  let parsed = null;
+  try {
+    parsed = JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`[PROFILES] Ignoring unreadable profiles file: ${error.message}`);
+    }
+    return profiles;
+  }
+  if (!parsed || parsed.version !== PROFILES_FILE_VERSION || !Array.isArray(parsed.profiles)) {
+    console.warn('[PROFILES] Profiles file format not recognized; starting without profiles');
+    return profiles;
+  }
+  profiles = parsed.profiles.filter((profile) => profile && profile.id && profile.token);
+  return profiles;
+}
+
+// Callers pass the next list and only adopt it here once it is on disk, so a failed write changes nothing
+function writeProfiles(nextProfiles) {
+  if (!fs.existsSync(CONFIG_DIR)) {
+    fs.mkdirSync(CONFIG_DIR, { recursive: true });
+  }
+  const payload = { version: PROFILES_FILE_VERSION, profiles: nextProfiles };
+  const tempFile = `${PROFILES_FILE}.tmp`;
+  fs.writeFileSync(tempFile, `${JSON.stringify(payload, null, 2)}\n`, 'utf-8');
+  fs.renameSync(tempFile, PROFILES_FILE);
+  profiles = nextProfiles;
+}
+
+function generateToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'profile';
+}
+
+function normalizeSettings(settings = {}) {
+  const normalized = {};
+  if (!settings || typeof settings !== 'object') return normalized;
+  PROFILE_SETTING_KEYS.forEach((key) => {
+    if (!Object.prototype.hasOwnProperty.call(settings, key)) return;
+    const value = settings[key];
+    if (value === null || value === undefined) return;
+    const text = typeof value === 'boolean' ? (value ? 'true' : 'false') : String(value).trim();
+    if (text !== '') normalized[key] = text;
+  });
+  return normalized;
+}
+
+function validateToken(token, { reservedTokens = [], ignoreId = null } = {}) {
+  if (!TOKEN_PATTERN.test(token)) {
+    throw buildProfileError('Token must be 8-128 characters (letters, digits, "-" or "_")');
+  }
+  if (reservedTokens.filter(Boolean).includes(token)) {
+    throw buildProfileError('Token is already used by the addon shared secret');
+  }
+  if (loadProfiles().some((profile) => profile.token === token && profile.id !== ignoreId)) {
+    throw buildProfileError('Token is already used by another profile');
+  }
+}
+
+function listProfiles() {
+  return loadProfiles().map((profile) => ({ ...profile, settings: { ...profile.settings } }));
+}
+
+function getProfile(id) {
+  return loadProfiles().find((profile) => profile.id === id) || null;
+}
+
+function findProfileByToken(token) {
+  if (!token) return null;
+  return loadProfiles().find((profile) => profile.token === token) || null;
+}
+
+// options.reservedTokens: tokens no profile may reuse (the shared secret)
+function createProfile({ name, token, settings } = {}, options = {}) {
+  const displayName = (name || '').toString().trim();
+  if (!displayName) throw buildProfileError('Profile name is required');
+  const baseId = slugify(displayName);
+  let id = baseId;
+  for (let suffix = 2; getProfile(id); suffix += 1) {
+    id = `${baseId}-${suffix}`;
+  }
+  const profileToken = (token || '').toString().trim() || generateToken();
+  validateToken(profileToken, options);
+  const now = Date.now();
+  const profile = {
+    id,
+    name: displayName,
+    token: profileToken,
+    settings: normalizeSettings(settings),
+    createdAt: now,
+    updatedAt: now,
+  };
+  writeProfiles([...loadProfiles(), profile]);
+  console.log(`[PROFILES] Created profile ${profile.name} (${profile.id})`);
+  return { ...profile };
+}
+
+function updateProfile(id, { name, token, settings, rotateToken = false } = {}, options = {}) {
+  const current = getProfile(id);
+  if (!current) throw buildProfileError(`Unknown profile ${id}`, 'PROFILE_NOT_FOUND');
+  const profile = { ...current, settings: { ...current.settings } };
+  if (name !== undefined) {
+    const displayName = String(name).trim();
+    if (!displayName) throw buildProfileError('Profile name is required');
+    profile.name = displayName;
+  }
+  if (rotateToken) {
+    profile.token = generateToken();
+  } else if (token !== undefined && String(token).trim() !== current.token) {
+    const nextToken = String(token).trim();
+    validateToken(nextToken, { ...options, ignoreId: id });
+    profile.token = nextToken;
+  }
+  if (settings !== undefined) {
+    profile.settings = normalizeSettings(settings);
+  }
+  profile.updatedAt = Date.now();
+  writeProfiles(loadProfiles().map((entry) => (entry.id === id ? profile : entry)));
+  return { ...profile, settings: { ...profile.settings } };
+}
+
+function deleteProfile(id) {
+  const list = loadProfiles();
+  const removed = list.find((profile) => profile.id === id);
+  if (!removed) return false;
+  writeProfiles(list.filter((profile) => profile !== removed));
+  console.log(`[PROFILES] Deleted profile ${removed.name} (${removed.id})`);
+  return true;
+}
+
+module.exports = {
+  PROFILE_SETTING_KEYS,
+  listProfiles,
+  getProfile,
+  findProfileByToken,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+};
@@ -3,6 +3,14 @@ const fs = require('fs/promises');
 const path = require('path');
 const NNTPModule = require('nntp/lib/nntp');
 const NNTP = typeof NNTPModule === 'function' ? NNTPModule : NNTPModule?.NNTP;
+const {
+  decodeYencArticle,
+  describeYencMismatch,
+  assembleYencParts,
+  parseYencHeaderInfo,
+} = require('../../utils/yenc');
+const { pickPar2IndexFile, parsePar2Packets, assessPar2Repairability, isPar2File } = require('./par2');
+const { isVideoFileName } = require('../../utils/parsers');
 function timingLog(event, details) {
   const payload = details ? { ...details, ts: new Date().toISOString() } : { ts: new Date().toISOString() };
   // console.log(`[NZB TRIAGE][TIMING] ${event}`, payload);
@@ -11,6 +19,23 @@ function timingLog(event, details) {
 const ARCHIVE_EXTENSIONS = new Set(['.rar', '.r00', '.r01', '.r02', '.7z']);
 const RAR4_SIGNATURE = Buffer.from([0x52, 0x61, 0x72, 0x21, 0x1A, 0x07, 0x00]);
 const RAR5_SIGNATURE = Buffer.from([0x52, 0x61, 0x72, 0x21, 0x1A, 0x07, 0x01, 0x00]);
+const SEVENZIP_SIGNATURE = Buffer.from([0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C]);
+const SEVENZIP_SIGNATURE_HEADER_SIZE = 32;
+const SEVENZIP_MAX_HEADER_HOPS = 2;
+const SEVENZIP_MAX_HEADER_SEGMENTS = 4;
+const SEVENZIP_CODER_NAMES = new Map([
+  ['00', 'copy'],
+  ['03', 'delta'],
+  ['21', 'lzma2'],
+  ['030101', 'lzma'],
+  ['03030103', 'bcj'],
+  ['0303011b', 'bcj2'],
+  ['030401', 'ppmd'],
+  ['040108', 'deflate'],
+  ['040109', 'deflate64'],
+  ['040202', 'bzip2'],
+  ['06f10701', 'aes256'],
+]);
 
 const TRIAGE_ACTIVITY_TTL_MS = 5 * 60 * 1000; // 5 mins window for keep-alives
 let lastTriageActivityTs = 0;
@@ -26,6 +51,14 @@ const DEFAULT_OPTIONS = {
   maxParallelNzbs: Number.POSITIVE_INFINITY,
   statSampleCount: 1,
   archiveSampleCount: 1,
+  par2ProbeSampleCount: 8,
+  // Deep mode STATs every segment of the main archive/video set instead of sampling
+  deepScan: false,
+  deepScanConnections: null, // defaults to the provider's pool size
+  // Absolute cut-off (ms epoch) handed down by the runner so a deep scan reports partial coverage instead of timing out
+  deadlineTs: null,
+  // Only download clients that run par2 repair (SABnzbd/NZBGet) can play a repairable release
+  acceptRepairable: false,
 };
 
 let sharedNntpPoolRecord = null;
@@ -122,11 +155,12 @@ function clearInFlightPoolBuild(promise) {
 async function preWarmNntpPool(options = {}) {
   const config = { ...DEFAULT_OPTIONS, ...options };
   if (!config.reuseNntpPool) return;
-  if (!config.nntpConfig || !NNTP) return;
+  const providerConfigs = resolveProviderConfigs(config);
+  if (providerConfigs.length === 0 || !NNTP) return;
 
   const desiredConnections = config.nntpMaxConnections ?? 1;
   const keepAliveMs = Number.isFinite(config.nntpKeepAliveMs) ? config.nntpKeepAliveMs : 0;
-  const poolKey = buildPoolKey(config.nntpConfig, desiredConnections, keepAliveMs);
+  const poolKey = buildPoolKey(providerConfigs, desiredConnections, keepAliveMs);
 
   // If there's already a build in progress, await it instead of starting a second one
   const existingBuild = getInFlightPoolBuild();
@@ -149,7 +183,7 @@ async function preWarmNntpPool(options = {}) {
 
   const buildPromise = (async () => {
     try {
-      const freshPool = await createNntpPool(config.nntpConfig, desiredConnections, { keepAliveMs });
+      const freshPool = await createProviderPool(providerConfigs, desiredConnections, { keepAliveMs });
       if (sharedNntpPoolRecord?.pool) {
         try {
           await closePool(sharedNntpPoolRecord.pool, 'prewarm-replaced');
@@ -173,6 +207,14 @@ async function preWarmNntpPool(options = {}) {
   clearInFlightPoolBuild(buildPromise);
 }
 
+// Returns the shared provider pool, building it when needed. Direct streaming
+// borrows it so playback reuses the connections triage keeps warm.
+async function getSharedNntpPool(options = {}) {
+  markTriageActivity();
+  await preWarmNntpPool({ ...options, reuseNntpPool: true });
+  return sharedNntpPoolRecord?.pool || null;
+}
+
 async function triageNzbs(nzbStrings, options = {}) {
   const config = { ...DEFAULT_OPTIONS, ...options };
   const sharedPoolStale = config.reuseNntpPool && isSharedPoolStale();
@@ -203,10 +245,11 @@ async function triageNzbs(nzbStrings, options = {}) {
   let nntpError = null;
   let nntpPool = null;
   let shouldClosePool = false;
-  if (config.nntpConfig && NNTP) {
+  const providerConfigs = resolveProviderConfigs(config);
+  if (providerConfigs.length > 0 && NNTP) {
     const desiredConnections = config.nntpMaxConnections ?? 1;
     const keepAliveMs = Number.isFinite(config.nntpKeepAliveMs) ? config.nntpKeepAliveMs : 0;
-    const poolKey = buildPoolKey(config.nntpConfig, desiredConnections, keepAliveMs);
+    const poolKey = buildPoolKey(providerConfigs, desiredConnections, keepAliveMs);
     const canReuseSharedPool = config.reuseNntpPool
       && !sharedPoolStale
       && sharedNntpPoolRecord?.key === poolKey
@@ -228,7 +271,7 @@ async function triageNzbs(nzbStrings, options = {}) {
           let buildPromise = getInFlightPoolBuild();
           if (!buildPromise) {
             buildPromise = (async () => {
-              const freshPool = await createNntpPool(config.nntpConfig, desiredConnections, { keepAliveMs });
+              const freshPool = await createProviderPool(providerConfigs, desiredConnections, { keepAliveMs });
               const creationReason = sharedPoolStale
                 ? 'stale-refresh'
                 : (hadSharedPool ? 'refresh' : 'bootstrap');
@@ -241,7 +284,7 @@ async function triageNzbs(nzbStrings, options = {}) {
           nntpPool = await buildPromise;
           clearInFlightPoolBuild(buildPromise);
         } else {
-          const freshPool = await createNntpPool(config.nntpConfig, desiredConnections, { keepAliveMs });
+          const freshPool = await createProviderPool(providerConfigs, desiredConnections, { keepAliveMs });
           nntpPool = freshPool;
           shouldClosePool = true;
           recordPoolCreate(freshPool, { reason: 'one-shot' });
@@ -260,7 +303,7 @@ async function triageNzbs(nzbStrings, options = {}) {
         nntpError = err;
       }
     }
-  } else if (config.nntpConfig && !NNTP) {
+  } else if (providerConfigs.length > 0 && !NNTP) {
     nntpError = new Error('nntp module unavailable');
   }
 
@@ -272,6 +315,7 @@ async function triageNzbs(nzbStrings, options = {}) {
       config,
       nntpPool,
       nntpError,
+      deadlineTs: Math.min(start + healthTimeoutMs, config.deadlineTs ?? Number.POSITIVE_INFINITY),
     }),
     healthTimeoutMs,
   );
@@ -309,23 +353,24 @@ async function analyzeSingleNzb(raw, ctx) {
     if (!segmentId || checkedSegments.has(segmentId)) return;
     checkedSegments.add(segmentId);
     try {
-      await statSegment(ctx.nntpPool, segmentId);
+      const { provider } = await statSegmentAcrossProviders(ctx.nntpPool, segmentId);
       archiveFindings.push({
         source: 'nntp-stat',
         filename: archive.filename,
         subject: archive.subject,
         status: 'segment-ok',
+        provider,
         details: { segmentId },
       });
     } catch (err) {
-      if (err?.code === 'STAT_MISSING' || err?.code === 430) {
+      if (isMissingArticleError(err)) {
         blockers.add('missing-articles');
         archiveFindings.push({
           source: 'nntp-stat',
           filename: archive.filename,
           subject: archive.subject,
           status: 'segment-missing',
-          details: { segmentId },
+          details: { segmentId, providersTried: err.providersTried ?? [] },
         });
       } else {
         warnings.add('nntp-stat-error');
@@ -334,6 +379,7 @@ async function analyzeSingleNzb(raw, ctx) {
           filename: archive.filename,
           subject: archive.subject,
           status: 'segment-error',
+          provider: err?.provider ?? null,
           details: { segmentId, message: err?.message },
         });
       }
@@ -353,23 +399,24 @@ async function analyzeSingleNzb(raw, ctx) {
       const sampledSegments = pickRandomElements(uniqueSegments, statSampleCount);
       await Promise.all(sampledSegments.map(async ({ segmentId, file }) => {
         try {
-          await statSegment(ctx.nntpPool, segmentId);
+          const { provider } = await statSegmentAcrossProviders(ctx.nntpPool, segmentId);
           archiveFindings.push({
             source: 'nntp-stat',
             filename: file.filename,
             subject: file.subject,
             status: 'segment-ok',
+            provider,
             details: { segmentId },
           });
         } catch (err) {
-          if (err?.code === 'STAT_MISSING' || err?.code === 430) {
+          if (isMissingArticleError(err)) {
             blockers.add('missing-articles');
             archiveFindings.push({
               source: 'nntp-stat',
               filename: file.filename,
               subject: file.subject,
               status: 'segment-missing',
-              details: { segmentId },
+              details: { segmentId, providersTried: err.providersTried ?? [] },
             });
           } else {
             warnings.add('nntp-stat-error');
@@ -378,6 +425,7 @@ async function analyzeSingleNzb(raw, ctx) {
               filename: file.filename,
               subject: file.subject,
               status: 'segment-error',
+              provider: err?.provider ?? null,
               details: { segmentId, message: err?.message },
             });
           }
@@ -385,12 +433,15 @@ async function analyzeSingleNzb(raw, ctx) {
       }));
     }
 
+    const deepScan = await applyDeepScan(files, ctx, { blockers, warnings, archiveFindings });
+    await applyPar2Assessment(files, ctx, { blockers, warnings, archiveFindings, deepScan });
     const decision = blockers.size === 0 ? 'accept' : 'reject';
     return buildDecision(decision, blockers, warnings, {
       fileCount: files.length,
       nzbTitle: extractTitle(parsed),
       nzbIndex: ctx.nzbIndex,
       archiveFindings,
+      deepScan,
     });
   }
 
@@ -424,6 +475,7 @@ async function analyzeSingleNzb(raw, ctx) {
         filename: archiveWithSegments.filename,
         subject: archiveWithSegments.subject,
         status: nntpResult.status,
+        provider: nntpResult.provider ?? null,
         details: nntpResult.details ?? null,
       });
       if (nntpResult.segmentId) {
@@ -434,6 +486,7 @@ async function analyzeSingleNzb(raw, ctx) {
             filename: archiveWithSegments.filename,
             subject: archiveWithSegments.subject,
             status: 'segment-ok',
+            provider: nntpResult.provider ?? null,
             details: { segmentId: nntpResult.segmentId },
           });
         }
@@ -476,6 +529,8 @@ async function analyzeSingleNzb(raw, ctx) {
         }));
   }
   if (!storedArchiveFound && blockers.size === 0) warnings.add('rar-m0-unverified');
+  const deepScan = await applyDeepScan(files, ctx, { blockers, warnings, archiveFindings });
+  await applyPar2Assessment(files, ctx, { blockers, warnings, archiveFindings, deepScan });
 
   const decision = blockers.size === 0 ? 'accept' : 'reject';
   return buildDecision(decision, blockers, warnings, {
@@ -483,10 +538,11 @@ async function analyzeSingleNzb(raw, ctx) {
     nzbTitle: extractTitle(parsed),
     nzbIndex: ctx.nzbIndex,
     archiveFindings,
+    deepScan,
   });
 }
 
-async function analyzeWithConcurrency({ nzbStrings, parallelLimit, config, nntpPool, nntpError }) {
+async function analyzeWithConcurrency({ nzbStrings, parallelLimit, config, nntpPool, nntpError, deadlineTs }) {
   const total = nzbStrings.length;
   if (total === 0) return [];
   const results = new Array(total);
@@ -498,7 +554,7 @@ async function analyzeWithConcurrency({ nzbStrings, parallelLimit, config, nntpP
       if (index >= total) break;
       nextIndex += 1;
       const nzbString = nzbStrings[index];
-      const context = { config, nntpPool, nntpError, nzbIndex: index };
+      const context = { config, nntpPool, nntpError, nzbIndex: index, deadlineTs };
       try {
         const decision = await analyzeSingleNzb(nzbString, context);
         results[index] = { index, decision };
@@ -558,9 +614,14 @@ function isArchiveFile(file) {
   const ext = file.extension ?? getExtension(file.filename);
   if (!ext) return false;
   if (ARCHIVE_EXTENSIONS.has(ext)) return true;
+  if (isSevenZipVolumeName(file.filename)) return true;
   return /^\.r\d{2}$/i.test(ext);
 }
 
+function isSevenZipVolumeName(filename) {
+  return Boolean(filename) && /\.7z\.\d{3}$/i.test(filename);
+}
+
 function getExtension(filename) {
   if (!filename) return undefined;
   const lastDot = filename.lastIndexOf('.');
@@ -586,6 +647,7 @@ function canonicalArchiveKey(name) {
   let key = name.toLowerCase();
   key = key.replace(/\.part\d+\.rar$/i, '.rar');
   key = key.replace(/\.r\d{2}$/i, '.rar');
+  key = key.replace(/\.7z\.\d{3}$/i, '.7z');
   return key;
 }
 
@@ -633,18 +695,49 @@ async function analyzeArchiveFile(filePath) {
     const buffer = Buffer.alloc(256 * 1024);
     const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
     const slice = buffer.slice(0, bytesRead);
-    return inspectArchiveBuffer(slice);
+    const result = inspectArchiveBuffer(slice);
+    if (!result.sevenZipHeader) return result;
+    const { size } = await handle.stat();
+    return resolveSevenZipHeader(result, {
+      volumeSize: size,
+      multiVolume: isSevenZipVolumeName(path.basename(filePath)),
+      readRange: async (start, length) => {
+        const target = Buffer.alloc(length);
+        const { bytesRead: rangeBytes } = await handle.read(target, 0, length, start);
+        return rangeBytes === length ? target : null;
+      },
+    });
   } finally {
     await handle.close();
   }
 }
 
+// Statuses another provider may not share: the article is missing there, or its copy is corrupt
+const PROVIDER_RETRY_STATUSES = new Set(['stat-missing', 'body-missing', 'segment-crc-mismatch']);
+
+// Tries each provider in priority order; a missing (430 on STAT or BODY) or corrupt article
+// falls through to the next provider, so a CRC mismatch only blocks when every copy is bad.
 async function inspectArchiveViaNntp(file, ctx) {
+  const providers = getProviderChain(ctx.nntpPool);
+  const providersTried = [];
+  let result = null;
+  for (const provider of providers) {
+    if (provider.name) providersTried.push(provider.name);
+    result = await inspectArchiveWithProvider(file, ctx, provider.pool);
+    if (!PROVIDER_RETRY_STATUSES.has(result.status)) {
+      return { ...result, provider: provider.name };
+    }
+  }
+  if (!result) return { status: 'archive-no-segments' };
+  return { ...result, details: { ...(result.details || {}), providersTried } };
+}
+
+async function inspectArchiveWithProvider(file, ctx, pool) {
   const segments = file.segments ?? [];
   if (segments.length === 0) return { status: 'archive-no-segments' };
   const segmentId = segments[0]?.id;
   if (!segmentId) return { status: 'archive-no-segments' };
-  return runWithClient(ctx.nntpPool, async (client) => {
+  const result = await runWithClient(pool, async (client) => {
     let statStart = null;
     if (currentMetrics) {
       currentMetrics.statCalls += 1;
@@ -674,12 +767,19 @@ async function inspectArchiveViaNntp(file, ctx) {
 
     try {
       const bodyBuffer = await fetchSegmentBodyWithClient(client, segmentId);
-      const decoded = decodeYencBuffer(bodyBuffer, ctx.config.maxDecodedBytes);
-      const archiveResult = inspectArchiveBuffer(decoded);
+      const article = decodeYencArticle(bodyBuffer);
       if (currentMetrics) {
         currentMetrics.bodySuccesses += 1;
         currentMetrics.bodyDurationMs += Date.now() - bodyStart;
       }
+      const mismatch = describeYencMismatch(article);
+      if (mismatch) {
+        return { status: 'segment-crc-mismatch', details: { segmentId, ...mismatch }, segmentId };
+      }
+      const archiveResult = inspectArchiveBuffer(article.data.subarray(0, ctx.config.maxDecodedBytes));
+      if (archiveResult.sevenZipHeader) {
+        return { ...archiveResult, segmentId, yencInfo: parseYencHeaderInfo(bodyBuffer) };
+      }
       return { ...archiveResult, segmentId };
     } catch (err) {
       if (currentMetrics && bodyStart !== null) currentMetrics.bodyDurationMs += Date.now() - bodyStart;
@@ -693,6 +793,257 @@ async function inspectArchiveViaNntp(file, ctx) {
       return { status: 'body-error', details: { segmentId, message: err.message }, segmentId };
     }
   });
+
+  if (!result.sevenZipHeader) return result;
+  const { yencInfo, ...sevenZipResult } = result;
+  const resolved = await resolveSevenZipHeader(sevenZipResult, {
+    volumeSize: yencInfo?.size ?? null,
+    multiVolume: isSevenZipVolumeName(file.filename),
+    readRange: (start, length) => readSegmentRange(pool, segments, yencInfo, start, length),
+  });
+  return { ...resolved, segmentId };
+}
+
+// Reads [start, start + length) of a posted file by mapping the offset onto
+// yEnc parts, using the part size advertised by the first segment. Parts are
+// placed by their own =ypart offsets and rejected when their CRC does not match.
+async function readSegmentRange(pool, segments, yencInfo, start, length) {
+  if (!yencInfo?.partBegin || !yencInfo?.partEnd) return null;
+  const partSize = yencInfo.partEnd - yencInfo.partBegin + 1;
+  if (partSize <= 0) return null;
+  const firstIndex = Math.floor(start / partSize);
+  const lastIndex = Math.floor((start + length - 1) / partSize);
+  if (lastIndex - firstIndex + 1 > SEVENZIP_MAX_HEADER_SEGMENTS) return null;
+
+  const orderedSegments = segments.slice().sort((a, b) => a.number - b.number);
+  const articles = [];
+  for (let index = firstIndex; index <= lastIndex; index += 1) {
+    const segment = orderedSegments[index];
+    if (!segment?.id) return null;
+    const article = decodeYencArticle(await fetchSegmentBody(pool, segment.id));
+    const mismatch = describeYencMismatch(article);
+    if (mismatch) {
+      const error = new Error(`yEnc part ${segment.id} failed verification (${mismatch.reason})`);
+      error.code = 'CRC_MISMATCH';
+      error.mismatch = { segmentId: segment.id, ...mismatch };
+      throw error;
+    }
+    articles.push(article);
+  }
+  const { data, complete } = assembleYencParts(articles, { offset: start, length });
+  return complete ? data : null;
+}
+
+// Leaves time after a deep scan for the decision to be built and returned
+const DEEP_SCAN_RESERVE_MS = 1500;
+
+// The largest archive set (all volumes) or, for plain posts, the largest video file
+function pickMainFileSet(files) {
+  const sets = new Map();
+  files.filter((file) => file.segments.length > 0 && isArchiveFile(file)).forEach((file) => {
+    const key = canonicalArchiveKey(file.filename ?? file.subject ?? '');
+    if (!key) return;
+    if (!sets.has(key)) sets.set(key, { bytes: 0, files: [] });
+    const set = sets.get(key);
+    set.bytes += file.segments.reduce((sum, segment) => sum + (segment.bytes || 0), 0);
+    set.files.push(file);
+  });
+  let best = null;
+  sets.forEach((set) => {
+    if (!best || set.bytes > best.bytes) best = set;
+  });
+  if (best) return best.files;
+
+  const postedBytes = (file) => file.segments.reduce((sum, segment) => sum + (segment.bytes || 0), 0);
+  const videos = files
+    .filter((file) => file.segments.length > 0 && isVideoFileName(file.filename || ''))
+    .sort((a, b) => postedBytes(b) - postedBytes(a));
+  if (videos.length > 0) return [videos[0]];
+  return files.filter((file) => file.segments.length > 0 && !isPar2File(file));
+}
+
+// Spreads the STATs over several pool connections. The nntp client sends one command per
+// socket at a time, so each worker keeps exactly one STAT in flight and its timeout starts when
+// the command is written rather than while it waits in the client's queue. Stops handing out
+// work at the deadline.
+async function statSegmentsAcrossConnections(pool, segmentIds, { connections, deadlineTs }) {
+  const missing = [];
+  const failed = [];
+  let checked = 0;
+  let cursor = 0;
+
+  const scanConnection = () => runWithClient(pool, async (client) => {
+    while (cursor < segmentIds.length && Date.now() < deadlineTs) {
+      const segmentId = segmentIds[cursor];
+      cursor += 1;
+      if (currentMetrics) currentMetrics.statCalls += 1;
+      try {
+        await statSegmentWithClient(client, segmentId);
+        checked += 1;
+        if (currentMetrics) currentMetrics.statSuccesses += 1;
+      } catch (err) {
+        if (isMissingArticleError(err)) {
+          checked += 1;
+          missing.push(segmentId);
+          if (currentMetrics) currentMetrics.statMissing += 1;
+        } else {
+          failed.push(segmentId);
+          if (currentMetrics) currentMetrics.statErrors += 1;
+          // Hand the broken connection back for replacement; the other workers carry on
+          if (err?.dropClient) throw err;
+        }
+      }
+    }
+  });
+
+  const workerCount = Math.max(1, Math.min(connections ?? pool.size ?? 1, segmentIds.length));
+  await Promise.allSettled(Array.from({ length: workerCount }, scanConnection));
+  // unresolved: STAT errors plus anything never sent before the deadline
+  return { checked, missing, failed, unresolved: [...failed, ...segmentIds.slice(cursor)] };
+}
+
+// STATs every segment of the main set; articles missing on the primary provider are retried on the backups
+async function runDeepScan(files, ctx) {
+  const startedAt = Date.now();
+  const mainFiles = pickMainFileSet(files);
+  const segmentIds = collectUniqueSegments(mainFiles).map(({ segmentId }) => segmentId);
+  const deadlineTs = (ctx.deadlineTs ?? Number.POSITIVE_INFINITY) - DEEP_SCAN_RESERVE_MS;
+  const connections = Number(ctx.config?.deepScanConnections);
+  const options = {
+    connections: Number.isFinite(connections) && connections > 0 ? Math.floor(connections) : null,
+    deadlineTs,
+  };
+
+  const [primary, ...backups] = getProviderChain(ctx.nntpPool);
+  const result = await statSegmentsAcrossConnections(primary.pool, segmentIds, options);
+  let { missing } = result;
+  for (const provider of backups) {
+    if (missing.length === 0 || Date.now() >= deadlineTs) break;
+    const retry = await statSegmentsAcrossConnections(provider.pool, missing, options);
+    // Anything the backup could not answer stays missing
+    missing = [...retry.missing, ...retry.unresolved];
+  }
+
+  const totalSegments = segmentIds.length;
+  const checkedSegments = result.checked;
+  const availableSegments = checkedSegments - missing.length;
+  return {
+    files: mainFiles.map((file) => file.filename).filter(Boolean),
+    totalSegments,
+    checkedSegments,
+    missingSegments: missing.length,
+    errorSegments: result.failed.length,
+    coveragePercent: totalSegments > 0 ? Math.round((checkedSegments / totalSegments) * 1000) / 10 : 0,
+    completionPercent: checkedSegments > 0 ? Math.round((availableSegments / checkedSegments) * 1000) / 10 : null,
+    elapsedMs: Date.now() - startedAt,
+  };
+}
+
+async function applyDeepScan(files, ctx, { blockers, warnings, archiveFindings }) {
+  if (!ctx.config?.deepScan || !ctx.nntpPool) return null;
+  const deepScan = await runDeepScan(files, ctx);
+  let status = 'segments-complete';
+  if (deepScan.missingSegments > 0) {
+    status = 'segments-missing';
+    blockers.add('missing-articles');
+  } else if (deepScan.checkedSegments < deepScan.totalSegments) {
+    status = 'deep-scan-partial';
+    warnings.add('deep-scan-partial');
+  }
+  archiveFindings.push({
+    source: 'nntp-deep',
+    filename: deepScan.files[0] ?? null,
+    status,
+    details: {
+      totalSegments: deepScan.totalSegments,
+      checkedSegments: deepScan.checkedSegments,
+      missingSegments: deepScan.missingSegments,
+      completionPercent: deepScan.completionPercent,
+      coveragePercent: deepScan.coveragePercent,
+    },
+  });
+  return deepScan;
+}
+
+const PAR2_MAX_INDEX_SEGMENTS = 4;
+
+// Sampled segment outcomes so far, keyed by segment id (true = missing)
+function collectSampledSegments(archiveFindings) {
+  const sampled = new Map();
+  archiveFindings.forEach((finding) => {
+    const segmentId = finding?.details?.segmentId;
+    if (!segmentId) return;
+    if (finding.status === 'segment-ok') sampled.set(segmentId, sampled.get(segmentId) || false);
+    else if (['segment-missing', 'stat-missing', 'body-missing'].includes(finding.status)) sampled.set(segmentId, true);
+  });
+  return sampled;
+}
+
+async function readPar2Index(pool, indexFile) {
+  const segments = indexFile.segments
+    .slice()
+    .sort((a, b) => a.number - b.number)
+    .slice(0, PAR2_MAX_INDEX_SEGMENTS);
+  const articles = [];
+  for (const segment of segments) {
+    if (!segment?.id) continue;
+    try {
+      articles.push(decodeYencArticle(await fetchSegmentBodyAcrossProviders(pool, segment.id)));
+    } catch (err) {
+      // A missing or undecodable index article only costs the packets it held
+      if (!isMissingBodyError(err) && err?.code !== 'DECODE_ERROR') throw err;
+    }
+  }
+  if (articles.length === 0) return null;
+  const length = articles.reduce((max, article) => Math.max(max, (article.begin || 1) - 1 + article.data.length), 0);
+  const { data } = assembleYencParts(articles.map((article) => ({ ...article, begin: article.begin || 1 })), { offset: 0, length });
+  return parsePar2Packets(data);
+}
+
+// Runs once sampling has found missing articles: STATs a few more data segments to estimate the
+// miss rate, then reads the PAR2 index to judge whether the posted recovery blocks can cover it.
+async function applyPar2Assessment(files, ctx, { blockers, warnings, archiveFindings, deepScan = null }) {
+  if (!ctx.nntpPool || !blockers.has('missing-articles')) return;
+  const indexFile = pickPar2IndexFile(files);
+  if (!indexFile) return;
+
+  const sampled = collectSampledSegments(archiveFindings);
+  // A deep scan already counted the main set, so there is nothing left to probe
+  const probeCount = deepScan ? 0 : Math.max(0, Math.floor(ctx.config?.par2ProbeSampleCount ?? 0));
+  const probeCandidates = collectUniqueSegments(files.filter((file) => !isPar2File(file)))
+    .filter(({ segmentId }) => !sampled.has(segmentId));
+  await Promise.all(pickRandomElements(probeCandidates, probeCount).map(async ({ segmentId }) => {
+    try {
+      await statSegmentAcrossProviders(ctx.nntpPool, segmentId);
+      sampled.set(segmentId, false);
+    } catch (err) {
+      if (isMissingArticleError(err)) sampled.set(segmentId, true);
+    }
+  }));
+
+  let par2Info = null;
+  try {
+    par2Info = await readPar2Index(ctx.nntpPool, indexFile);
+  } catch (err) {
+    par2Info = null;
+  }
+  const assessment = assessPar2Repairability({
+    par2Info,
+    files,
+    sampledSegments: deepScan ? deepScan.checkedSegments : sampled.size,
+    missingSegments: deepScan ? deepScan.missingSegments : Array.from(sampled.values()).filter(Boolean).length,
+  });
+  archiveFindings.push({
+    source: 'par2',
+    filename: indexFile.filename,
+    subject: indexFile.subject,
+    status: assessment.status,
+    details: assessment.details,
+  });
+  handleArchiveStatus(assessment.status, blockers, warnings);
+  if (assessment.status === 'repairable' && ctx.config?.acceptRepairable) {
+    blockers.delete('missing-articles');
+  }
 }
 
 function handleArchiveStatus(status, blockers, warnings) {
@@ -704,10 +1055,18 @@ function handleArchiveStatus(status, blockers, warnings) {
     case 'rar-compressed':
     case 'rar-encrypted':
     case 'rar-solid':
-    case 'rar5-unsupported':
+    case 'sevenzip-compressed':
+    case 'sevenzip-encrypted':
     case 'sevenzip-unsupported':
+    case 'segment-crc-mismatch':
       blockers.add(status);
       break;
+    case 'repairable':
+      warnings.add('par2-repairable');
+      break;
+    case 'unrepairable':
+      blockers.add('par2-unrepairable');
+      break;
     case 'stat-missing':
     case 'body-missing':
       blockers.add('missing-articles');
@@ -716,11 +1075,17 @@ function handleArchiveStatus(status, blockers, warnings) {
     case 'archive-no-segments':
     case 'rar-insufficient-data':
     case 'rar-header-not-found':
+    case 'rar-corrupt-header':
+    case 'sevenzip-multivolume':
+    case 'sevenzip-header-compressed':
+    case 'sevenzip-insufficient-data':
+    case 'sevenzip-corrupt-header':
     case 'io-error':
     case 'stat-error':
     case 'body-error':
     case 'decode-error':
     case 'missing-filename':
+    case 'par2-unreadable':
       warnings.add(status);
       break;
     default:
@@ -738,7 +1103,7 @@ function inspectArchiveBuffer(buffer) {
     return inspectRar5(buffer);
   }
 
-  if (buffer.length >= 6 && buffer[0] === 0x37 && buffer[1] === 0x7A) {
+  if (buffer.length >= SEVENZIP_SIGNATURE.length && buffer.subarray(0, SEVENZIP_SIGNATURE.length).equals(SEVENZIP_SIGNATURE)) {
     return inspectSevenZip(buffer);
   }
 
@@ -759,7 +1124,7 @@ function inspectRar4(buffer) {
     if (headerType === 0x74) {
       let pos = offset + 7;
       if (pos + 11 > buffer.length) return { status: 'rar-insufficient-data' };
-      pos += 4; // pack size
+      let packedSize = buffer.readUInt32LE(pos); pos += 4;
       pos += 4; // unpacked size
       pos += 1; // host OS
       pos += 4; // file CRC
@@ -770,7 +1135,11 @@ function inspectRar4(buffer) {
       if (pos + 2 > buffer.length) return { status: 'rar-insufficient-data' };
       const nameSize = buffer.readUInt16LE(pos); pos += 2;
       pos += 4; // attributes
-      if (headerFlags & 0x0100) pos += 4; // high pack size
+      if (headerFlags & 0x0100) {
+        if (pos + 4 > buffer.length) return { status: 'rar-insufficient-data' };
+        packedSize += buffer.readUInt32LE(pos) * 0x100000000;
+        pos += 4;
+      }
       if (headerFlags & 0x0200) pos += 4; // high unpack size
       if (pos + nameSize > buffer.length) return { status: 'rar-insufficient-data' };
       const name = buffer.slice(pos, pos + nameSize).toString('utf8').replace(/\0/g, '');
@@ -781,7 +1150,10 @@ function inspectRar4(buffer) {
       if (solid) return { status: 'rar-solid', details: { name } };
       if (methodByte !== 0x30) return { status: 'rar-compressed', details: { name, method: methodByte } };
 
-      return { status: 'rar-stored', details: { name, method: methodByte } };
+      return {
+        status: 'rar-stored',
+        details: { name, method: methodByte, dataOffset: offset + headerSize, packedSize },
+      };
     }
 
     offset += headerSize;
@@ -790,18 +1162,344 @@ function inspectRar4(buffer) {
   return { status: 'rar-header-not-found' };
 }
 
+function readRar5Vint(buffer, offset) {
+  let value = 0;
+  let multiplier = 1;
+  for (let i = 0; i < 10; i += 1) {
+    const pos = offset + i;
+    if (pos >= buffer.length) return null;
+    const byte = buffer[pos];
+    value += (byte & 0x7F) * multiplier;
+    if ((byte & 0x80) === 0) return { value, length: i + 1 };
+    multiplier *= 128;
+  }
+  return null;
+}
+
+function rar5ExtraAreaHasEncryption(buffer, start, end) {
+  let pos = start;
+  while (pos < end) {
+    const recordSize = readRar5Vint(buffer, pos);
+    if (!recordSize || recordSize.value === 0) return false;
+    const recordStart = pos + recordSize.length;
+    const recordType = readRar5Vint(buffer, recordStart);
+    if (!recordType) return false;
+    if (recordType.value === 0x01) return true; // file encryption record
+    pos = recordStart + recordSize.value;
+  }
+  return false;
+}
+
 function inspectRar5(buffer) {
-  return { status: 'rar-stored', details: { note: 'rar5-header-assumed-stored' } };
+  let offset = RAR5_SIGNATURE.length;
+  let archiveSolid = false;
+
+  while (offset + 4 < buffer.length) {
+    const headerSizeField = readRar5Vint(buffer, offset + 4); // skip header CRC32
+    if (!headerSizeField) return { status: 'rar-insufficient-data' };
+    const headerSize = headerSizeField.value;
+    if (headerSize < 2) return { status: 'rar-corrupt-header' };
+    const headerStart = offset + 4 + headerSizeField.length;
+    const headerEnd = headerStart + headerSize;
+    if (headerEnd > buffer.length) return { status: 'rar-insufficient-data' };
+
+    let pos = headerStart;
+    const headerType = readRar5Vint(buffer, pos);
+    if (!headerType) return { status: 'rar-corrupt-header' };
+    pos += headerType.length;
+    const headerFlags = readRar5Vint(buffer, pos);
+    if (!headerFlags) return { status: 'rar-corrupt-header' };
+    pos += headerFlags.length;
+
+    let extraSize = 0;
+    let dataSize = 0;
+    if (headerFlags.value & 0x0001) {
+      const field = readRar5Vint(buffer, pos);
+      if (!field) return { status: 'rar-corrupt-header' };
+      extraSize = field.value;
+      pos += field.length;
+    }
+    if (headerFlags.value & 0x0002) {
+      const field = readRar5Vint(buffer, pos);
+      if (!field) return { status: 'rar-corrupt-header' };
+      dataSize = field.value;
+      pos += field.length;
+    }
+    if (extraSize > headerEnd - pos) return { status: 'rar-corrupt-header' };
+
+    if (headerType.value === 0x04) {
+      // Archive encryption header: every following header is encrypted
+      return { status: 'rar-encrypted', details: { headersEncrypted: true } };
+    }
+
+    if (headerType.value === 0x01) {
+      const archiveFlags = readRar5Vint(buffer, pos);
+      if (!archiveFlags) return { status: 'rar-corrupt-header' };
+      archiveSolid = Boolean(archiveFlags.value & 0x0004);
+    }
+
+    if (headerType.value === 0x02) {
+      const fileFlags = readRar5Vint(buffer, pos);
+      if (!fileFlags) return { status: 'rar-corrupt-header' };
+      pos += fileFlags.length;
+      const unpackedSize = readRar5Vint(buffer, pos);
+      if (!unpackedSize) return { status: 'rar-corrupt-header' };
+      pos += unpackedSize.length;
+      const attributes = readRar5Vint(buffer, pos);
+      if (!attributes) return { status: 'rar-corrupt-header' };
+      pos += attributes.length;
+      if (fileFlags.value & 0x0002) pos += 4; // mtime
+      if (fileFlags.value & 0x0004) pos += 4; // data CRC32
+      const compressionInfo = readRar5Vint(buffer, pos);
+      if (!compressionInfo) return { status: 'rar-corrupt-header' };
+      pos += compressionInfo.length;
+      const hostOs = readRar5Vint(buffer, pos);
+      if (!hostOs) return { status: 'rar-corrupt-header' };
+      pos += hostOs.length;
+      const nameLength = readRar5Vint(buffer, pos);
+      if (!nameLength) return { status: 'rar-corrupt-header' };
+      pos += nameLength.length;
+      if (pos + nameLength.value > headerEnd) return { status: 'rar-corrupt-header' };
+      const name = buffer.slice(pos, pos + nameLength.value).toString('utf8').replace(/\0/g, '');
+
+      const isDirectory = Boolean(fileFlags.value & 0x0001);
+      if (!isDirectory) {
+        const method = (compressionInfo.value >> 7) & 0x07;
+        const solid = archiveSolid || Boolean(compressionInfo.value & 0x0040);
+        const encrypted = extraSize > 0 && rar5ExtraAreaHasEncryption(buffer, headerEnd - extraSize, headerEnd);
+
+        if (encrypted) return { status: 'rar-encrypted', details: { name } };
+        if (solid) return { status: 'rar-solid', details: { name } };
+        if (method !== 0) return { status: 'rar-compressed', details: { name, method } };
+
+        return { status: 'rar-stored', details: { name, method, dataOffset: headerEnd, packedSize: dataSize } };
+      }
+    }
+
+    if (headerType.value === 0x05) break; // end of archive
+
+    offset = headerEnd + dataSize;
+  }
+
+  return { status: 'rar-header-not-found' };
 }
 
 function inspectSevenZip(buffer) {
-  if (buffer.length < 32) return { status: 'sevenzip-insufficient-data' };
-  const firstByte = buffer[6];
-  if (firstByte === 0x00) return { status: 'sevenzip-stored' };
-  return {
-    status: 'sevenzip-unsupported',
-    details: { methodByte: firstByte },
+  if (buffer.length < SEVENZIP_SIGNATURE_HEADER_SIZE) return { status: 'sevenzip-insufficient-data' };
+  const nextHeaderOffset = Number(buffer.readBigUInt64LE(12));
+  const nextHeaderSize = Number(buffer.readBigUInt64LE(20));
+  if (!Number.isSafeInteger(nextHeaderOffset) || !Number.isSafeInteger(nextHeaderSize) || nextHeaderSize === 0) {
+    return { status: 'sevenzip-corrupt-header' };
+  }
+  const location = {
+    headerStart: SEVENZIP_SIGNATURE_HEADER_SIZE + nextHeaderOffset,
+    headerSize: nextHeaderSize,
+    payloadSignature: detectVideoPayloadSignature(buffer.subarray(SEVENZIP_SIGNATURE_HEADER_SIZE)),
   };
+  if (location.headerStart + location.headerSize <= buffer.length) {
+    return inspectSevenZipHeader(buffer.subarray(location.headerStart, location.headerStart + location.headerSize), location);
+  }
+  return { status: 'sevenzip-insufficient-data', details: { ...location }, sevenZipHeader: location };
+}
+
+// Follows the next-header pointer (and a stored encoded header, if any) using
+// the supplied range reader. The reader returns null when the bytes are unavailable.
+async function resolveSevenZipHeader(initialResult, { volumeSize, multiVolume, readRange }) {
+  let result = initialResult;
+  for (let hop = 0; hop < SEVENZIP_MAX_HEADER_HOPS && result.sevenZipHeader; hop += 1) {
+    const location = result.sevenZipHeader;
+    if ((Number.isFinite(volumeSize) && location.headerStart + location.headerSize > volumeSize) || multiVolume) {
+      return {
+        status: 'sevenzip-multivolume',
+        details: { ...location, volumeSize: volumeSize ?? null },
+      };
+    }
+    let headerBuffer = null;
+    try {
+      headerBuffer = await readRange(location.headerStart, location.headerSize);
+    } catch (err) {
+      if (err?.code === 'BODY_MISSING') return { status: 'body-missing', details: { ...location } };
+      if (err?.code === 'DECODE_ERROR') return { status: 'decode-error', details: { ...location, message: err.message } };
+      if (err?.code === 'CRC_MISMATCH') return { status: 'segment-crc-mismatch', details: { ...location, ...err.mismatch } };
+      return { status: 'body-error', details: { ...location, message: err?.message } };
+    }
+    if (!headerBuffer) {
+      return { status: 'sevenzip-insufficient-data', details: { ...location } };
+    }
+    result = inspectSevenZipHeader(headerBuffer, location);
+  }
+  const { sevenZipHeader, ...finalResult } = result;
+  return finalResult;
+}
+
+function inspectSevenZipHeader(headerBuffer, location) {
+  let parsed;
+  try {
+    parsed = parseSevenZipHeader(headerBuffer);
+  } catch (err) {
+    return { status: 'sevenzip-corrupt-header', details: { message: err.message } };
+  }
+
+  if (parsed.encodedHeader) {
+    const headerCoders = parsed.folders.flatMap((folder) => folder.coders);
+    if (headerCoders.includes('aes256')) {
+      return { status: 'sevenzip-encrypted', details: { headersEncrypted: true, coders: headerCoders } };
+    }
+    if (headerCoders.length > 0 && headerCoders.every((coder) => coder === 'copy')) {
+      const packedHeader = {
+        headerStart: SEVENZIP_SIGNATURE_HEADER_SIZE + parsed.packPos,
+        headerSize: parsed.packSizes[0] ?? 0,
+        payloadSignature: location?.payloadSignature ?? null,
+      };
+      if (!packedHeader.headerSize) return { status: 'sevenzip-corrupt-header' };
+      return { status: 'sevenzip-insufficient-data', details: { ...packedHeader }, sevenZipHeader: packedHeader };
+    }
+    // The real header is compressed (usually LZMA). Stored archives still place the
+    // first file verbatim right after the signature header, so fall back to that.
+    if (location?.payloadSignature) {
+      return {
+        status: 'sevenzip-stored',
+        details: { headerCoders, payloadSignature: location.payloadSignature },
+      };
+    }
+    return { status: 'sevenzip-header-compressed', details: { headerCoders } };
+  }
+
+  if (parsed.folders.length === 0) {
+    return { status: 'sevenzip-unsupported', details: { reason: 'no-folders' } };
+  }
+  const coders = Array.from(new Set(parsed.folders.flatMap((folder) => folder.coders)));
+  const details = { folders: parsed.folders.length, coders };
+  if (coders.includes('aes256')) return { status: 'sevenzip-encrypted', details };
+  if (coders.some((coder) => coder !== 'copy')) return { status: 'sevenzip-compressed', details };
+  return { status: 'sevenzip-stored', details };
+}
+
+function parseSevenZipHeader(buffer) {
+  let pos = 0;
+  const readByte = () => {
+    if (pos >= buffer.length) throw new Error('7z header truncated');
+    const value = buffer[pos];
+    pos += 1;
+    return value;
+  };
+  const readNumber = () => {
+    const first = readByte();
+    let mask = 0x80;
+    let value = 0;
+    for (let i = 0; i < 8; i += 1) {
+      if ((first & mask) === 0) {
+        return value + (first & (mask - 1)) * (2 ** (8 * i));
+      }
+      value += readByte() * (2 ** (8 * i));
+      mask >>= 1;
+    }
+    return value;
+  };
+  const skip = (count) => {
+    if (pos + count > buffer.length) throw new Error('7z header truncated');
+    pos += count;
+  };
+  const skipDigests = (count) => {
+    let defined = count;
+    if (!readByte()) { // not all defined: bit vector follows
+      defined = 0;
+      let bits = 0;
+      for (let i = 0; i < count; i += 1) {
+        if (i % 8 === 0) bits = readByte();
+        if (bits & (0x80 >> (i % 8))) defined += 1;
+      }
+    }
+    skip(defined * 4);
+  };
+
+  const readFolder = () => {
+    const coderCount = readNumber();
+    const coders = [];
+    let totalIn = 0;
+    let totalOut = 0;
+    for (let i = 0; i < coderCount; i += 1) {
+      const flags = readByte();
+      const idSize = flags & 0x0F;
+      skip(idSize);
+      const coderId = buffer.subarray(pos - idSize, pos).toString('hex');
+      coders.push(SEVENZIP_CODER_NAMES.get(coderId) || `0x${coderId}`);
+      if (flags & 0x10) {
+        totalIn += readNumber();
+        totalOut += readNumber();
+      } else {
+        totalIn += 1;
+        totalOut += 1;
+      }
+      if (flags & 0x20) skip(readNumber());
+    }
+    const bindPairs = totalOut - 1;
+    for (let i = 0; i < bindPairs; i += 1) {
+      readNumber();
+      readNumber();
+    }
+    const packedStreams = totalIn - bindPairs;
+    if (packedStreams > 1) {
+      for (let i = 0; i < packedStreams; i += 1) readNumber();
+    }
+    return { coders, totalOut };
+  };
+
+  const readStreamsInfo = () => {
+    const info = { packPos: 0, packSizes: [], folders: [] };
+    let id = readByte();
+    if (id === 0x06) { // kPackInfo
+      info.packPos = readNumber();
+      const packCount = readNumber();
+      id = readByte();
+      if (id === 0x09) { // kSize
+        for (let i = 0; i < packCount; i += 1) info.packSizes.push(readNumber());
+        id = readByte();
+      }
+      if (id === 0x0A) { // kCRC
+        skipDigests(packCount);
+        id = readByte();
+      }
+      if (id !== 0x00) throw new Error('7z pack info not terminated');
+      id = readByte();
+    }
+    if (id === 0x07) { // kUnPackInfo
+      if (readByte() !== 0x0B) throw new Error('7z folder list missing');
+      const folderCount = readNumber();
+      if (readByte() !== 0x00) throw new Error('7z external folders unsupported');
+      // Remaining unpack info (sizes, CRCs) and substreams are not needed for the verdict
+      for (let i = 0; i < folderCount; i += 1) info.folders.push(readFolder());
+    }
+    return info;
+  };
+
+  const marker = readByte();
+  if (marker === 0x17) { // kEncodedHeader
+    return { encodedHeader: true, ...readStreamsInfo() };
+  }
+  if (marker !== 0x01) throw new Error(`Unexpected 7z header marker 0x${marker.toString(16)}`);
+
+  let id = readByte();
+  if (id === 0x02) { // kArchiveProperties
+    while (readByte() !== 0x00) skip(readNumber());
+    id = readByte();
+  }
+  if (id === 0x03) { // kAdditionalStreamsInfo
+    throw new Error('7z additional streams unsupported');
+  }
+  if (id === 0x04) { // kMainStreamsInfo
+    return { encodedHeader: false, ...readStreamsInfo() };
+  }
+  return { encodedHeader: false, packPos: 0, packSizes: [], folders: [] };
+}
+
+function detectVideoPayloadSignature(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer.readUInt32BE(0) === 0x1A45DFA3) return 'matroska';
+  if (buffer.subarray(4, 8).toString('latin1') === 'ftyp') return 'mp4';
+  if (buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'AVI ') return 'avi';
+  if (buffer.length > 376 && buffer[0] === 0x47 && buffer[188] === 0x47 && buffer[376] === 0x47) return 'mpeg-ts';
+  return null;
 }
 
 function buildDecision(decision, blockers, warnings, meta) {
@@ -1161,6 +1859,119 @@ async function createNntpPool(config, maxConnections, options = {}) {
   };
 }
 
+// Wraps one pool per provider. Acquire/release go to the highest-priority provider that connected;
+// `providers` lists every connected pool in fallback order for 430 retries.
+async function createProviderPool(providerConfigs, defaultConnections, options = {}) {
+  const results = await Promise.allSettled(providerConfigs.map(async (providerConfig) => ({
+    name: describeProvider(providerConfig),
+    pool: await createNntpPool(providerConfig, providerConfig.maxConnections ?? defaultConnections, options),
+  })));
+  const providers = [];
+  results.forEach((entry, index) => {
+    if (entry.status === 'fulfilled') {
+      providers.push(entry.value);
+      return;
+    }
+    console.warn('[NZB TRIAGE] Failed to connect NNTP provider', {
+      provider: describeProvider(providerConfigs[index]),
+      message: entry.reason?.message,
+      code: entry.reason?.code,
+    });
+  });
+  if (providers.length === 0) {
+    // Surface the highest-priority provider's error, as a single-provider pool would
+    throw results[0]?.reason || new Error('No NNTP providers configured');
+  }
+  if (results[0].status !== 'fulfilled') {
+    console.warn('[NZB TRIAGE] Using fallback NNTP provider for triage', { provider: providers[0].name });
+  }
+  const primaryPool = providers[0].pool;
+
+  return {
+    size: primaryPool.size,
+    providers,
+    acquire: primaryPool.acquire,
+    release(client, releaseOptions = {}) {
+      primaryPool.release(client, releaseOptions);
+    },
+    async close() {
+      await Promise.all(providers.map((provider) => provider.pool.close()));
+    },
+    touch() {
+      providers.forEach((provider) => provider.pool.touch());
+    },
+    getLastUsed() {
+      return Math.max(...providers.map((provider) => provider.pool.getLastUsed()));
+    },
+    getIdleCount() {
+      return primaryPool.getIdleCount();
+    },
+  };
+}
+
+function describeProvider(providerConfig) {
+  if (!providerConfig) return null;
+  return providerConfig.name || providerConfig.host || null;
+}
+
+function getProviderChain(pool) {
+  if (!pool) return [];
+  if (Array.isArray(pool.providers) && pool.providers.length > 0) return pool.providers;
+  return [{ name: null, pool }];
+}
+
+function isMissingArticleError(err) {
+  return err?.code === 'STAT_MISSING' || err?.code === 430;
+}
+
+// STATs a segment on each provider in priority order, moving on only when the
+// article is missing (430). Resolves with the provider that has it.
+async function statSegmentAcrossProviders(pool, segmentId) {
+  const providers = getProviderChain(pool);
+  const providersTried = [];
+  let lastMissingError = null;
+  for (const provider of providers) {
+    if (provider.name) providersTried.push(provider.name);
+    try {
+      await statSegment(provider.pool, segmentId);
+      return { provider: provider.name, providersTried };
+    } catch (err) {
+      if (!isMissingArticleError(err)) {
+        err.provider = provider.name;
+        throw err;
+      }
+      lastMissingError = err;
+    }
+  }
+  if (lastMissingError) lastMissingError.providersTried = providersTried;
+  throw lastMissingError || new Error('NNTP pool unavailable');
+}
+
+function isMissingBodyError(err) {
+  return err?.code === 'BODY_MISSING' || err?.code === 430;
+}
+
+// BODY counterpart of statSegmentAcrossProviders; resolves with the raw article body.
+async function fetchSegmentBodyAcrossProviders(pool, segmentId) {
+  const providers = getProviderChain(pool);
+  const providersTried = [];
+  let lastMissingError = null;
+  for (const provider of providers) {
+    if (provider.name) providersTried.push(provider.name);
+    try {
+      return await fetchSegmentBody(provider.pool, segmentId);
+    } catch (err) {
+      if (!isMissingBodyError(err)) {
+        err.provider = provider.name;
+        throw err;
+      }
+      lastMissingError = err;
+    }
+  }
+  if (lastMissingError) lastMissingError.providersTried = providersTried;
+  throw lastMissingError || new Error('NNTP pool unavailable');
+}
+
 async function runWithClient(pool, handler) {
   if (!pool) throw new Error('NNTP pool unavailable');
   const acquireStart = Date.now();
@@ -1181,45 +1992,6 @@ async function runWithClient(pool, handler) {
   }
 }
 
-function decodeYencBuffer(bodyBuffer, maxBytes) {
-  const out = Buffer.alloc(maxBytes);
-  let writeIndex = 0;
-  const lines = bodyBuffer.toString('binary').split('\r\n');
-  let decoding = false;
-
-  for (const line of lines) {
-    if (!decoding) {
-      if (line.startsWith('=ybegin')) decoding = true;
-      continue;
-    }
-
-    if (line.startsWith('=ypart')) continue;
-    if (line.startsWith('=yend')) break;
-
-    const src = Buffer.from(line, 'binary');
-    for (let i = 0; i < src.length; i += 1) {
-      let byte = src[i];
-      if (byte === 0x3D) { // '=' escape
-        i += 1;
-        if (i >= src.length) break;
-        byte = (src[i] - 64) & 0xff;
-      }
-      byte = (byte - 42) & 0xff;
-      out[writeIndex] = byte;
-      writeIndex += 1;
-      if (writeIndex >= maxBytes) return out;
-    }
-  }
-
-  if (writeIndex === 0) {
-    const error = new Error('No yEnc payload detected');
-    error.code = 'DECODE_ERROR';
-    throw error;
-  }
-
-  return out.slice(0, writeIndex);
-}
-
 async function createNntpClient({ host, port = 119, user, pass, useTLS = false, connTimeout }) {
   if (!NNTP) throw new Error('NNTP client unavailable');
 
@@ -1414,15 +2186,29 @@ function buildErrorDecision(err, nzbIndex) {
   });
 }
 
-function buildPoolKey(config, connections, keepAliveMs = 0) {
-  return [
+function buildPoolKey(providerConfigs, connections, keepAliveMs = 0) {
+  const providerKeys = providerConfigs.map((config) => [
     config.host,
     config.port ?? 119,
     config.user ?? '',
     config.useTLS ? 'tls' : 'plain',
-    connections,
-    keepAliveMs,
-  ].join('|');
+    config.maxConnections ?? '',
+  ].join('|'));
+  return [...providerKeys, connections, keepAliveMs].join('||');
+}
+
+function resolveProviderConfigs(config) {
+  if (Array.isArray(config.nntpProviders) && config.nntpProviders.length > 0) {
+    return config.nntpProviders.filter((provider) => provider && provider.host);
+  }
+  return config.nntpConfig ? [config.nntpConfig] : [];
+}
+
+function getNntpPoolStats() {
+  return {
+    ...poolStats,
+    shared: sharedNntpPoolRecord?.pool ? snapshotPool(sharedNntpPoolRecord.pool) : null,
+  };
 }
 
 async function closeSharedNntpPool(reason = 'manual') {
@@ -1465,4 +2251,9 @@ module.exports = {
   triageNzbs,
   closeSharedNntpPool,
   evictStaleSharedNntpPool,
+  getNntpPoolStats,
+  getSharedNntpPool,
+  fetchSegmentBodyAcrossProviders,
+  extractFiles,
+  inspectArchiveBuffer,
 };
@@ -0,0 +1,168 @@
+// PAR2 index parsing and a recovery-capacity estimate for releases with missing articles
+const crypto = require('crypto');
+
+const PAR2_MAGIC = Buffer.from('PAR2\0PKT', 'latin1');
+const PACKET_HEADER_SIZE = 64;
+const PACKET_TYPES = {
+  main: 'PAR 2.0\0Main\0\0\0\0',
+  fileDesc: 'PAR 2.0\0FileDesc',
+  recoverySlice: 'PAR 2.0\0RecvSlic',
+};
+// Each recovery block is stored as a packet header plus a 4-byte exponent in front of the slice data
+const RECOVERY_PACKET_OVERHEAD = PACKET_HEADER_SIZE + 4;
+// Posted (yEnc) bytes in the NZB are roughly 2% larger than the decoded data
+const YENC_SIZE_OVERHEAD = 1.02;
+const RECOVERY_VOLUME_PATTERN = /\.vol(\d+)[+-](\d+)\.par2$/i;
+
+function isPar2File(file) {
+  return /\.par2$/i.test(file?.filename || '');
+}
+
+function parseRecoveryVolumeName(filename) {
+  const match = (filename || '').match(RECOVERY_VOLUME_PATTERN);
+  if (!match) return null;
+  return { firstBlock: Number(match[1]), blockCount: Number(match[2]) };
+}
+
+function postedBytes(file) {
+  return (file?.segments || []).reduce((sum, segment) => sum + (Number(segment?.bytes) || 0), 0);
+}
+
+// The small .par2 without a .volNN+MM suffix carries the critical packets; volumes repeat them if it is absent
+function pickPar2IndexFile(files) {
+  const par2Files = files.filter((file) => isPar2File(file) && file.segments?.length > 0);
+  if (par2Files.length === 0) return null;
+  const bySize = par2Files.slice().sort((a, b) => postedBytes(a) - postedBytes(b));
+  return bySize.find((file) => !parseRecoveryVolumeName(file.filename)) || bySize[0];
+}
+
+function readUInt64(buffer, offset) {
+  const value = buffer.readBigUInt64LE(offset);
+  return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : null;
+}
+
+function readPacketName(body) {
+  const end = body.indexOf(0);
+  return body.toString('utf8', 0, end === -1 ? body.length : end);
+}
+
+// Walks every well-formed packet in the buffer; truncated or damaged packets are skipped
+function parsePar2Packets(buffer) {
+  const info = {
+    sliceSize: null,
+    recoverySetFileIds: [],
+    files: new Map(),
+    recoveryBlocks: 0,
+    packetCount: 0,
+    damagedPackets: 0,
+  };
+  let offset = buffer.indexOf(PAR2_MAGIC);
+
+  while (offset !== -1 && offset + PACKET_HEADER_SIZE <= buffer.length) {
+    const length = readUInt64(buffer, offset + 8);
+    const packetEnd = length ? offset + length : -1;
+    if (!length || length < PACKET_HEADER_SIZE || length % 4 !== 0 || packetEnd > buffer.length) {
+      offset = buffer.indexOf(PAR2_MAGIC, offset + PAR2_MAGIC.length);
+      continue;
+    }
+    const expectedMd5 = buffer.subarray(offset + 16, offset + 32);
+    const actualMd5 = crypto.createHash('md5').update(buffer.subarray(offset + 32, packetEnd)).digest();
+    if (!actualMd5.equals(expectedMd5)) {
+      info.damagedPackets += 1;
+      offset = buffer.indexOf(PAR2_MAGIC, offset + PAR2_MAGIC.length);
+      continue;
+    }
+
+    const type = buffer.toString('latin1', offset + 48, offset + 64);
+    const body = buffer.subarray(offset + PACKET_HEADER_SIZE, packetEnd);
+    info.packetCount += 1;
+    if (type === PACKET_TYPES.main && body.length >= 12) {
+      info.sliceSize = readUInt64(body, 0);
+      const recoverableCount = body.readUInt32LE(8);
+      info.recoverySetFileIds = [];
+      for (let i = 0; i < recoverableCount && 12 + (i + 1) * 16 <= body.length; i += 1) {
+        info.recoverySetFileIds.push(body.toString('hex', 12 + i * 16, 12 + (i + 1) * 16));
+      }
+    } else if (type === PACKET_TYPES.fileDesc && body.length >= 56) {
+      const fileId = body.toString('hex', 0, 16);
+      info.files.set(fileId, {
+        fileId,
+        length: readUInt64(body, 48),
+        name: readPacketName(body.subarray(56)),
+      });
+    } else if (type === PACKET_TYPES.recoverySlice) {
+      info.recoveryBlocks += 1;
+    }
+    offset = buffer.indexOf(PAR2_MAGIC, packetEnd);
+  }
+
+  return {
+    ...info,
+    files: Array.from(info.files.values()),
+  };
+}
+
+// Prefers the block counts in volume names; obfuscated names fall back to posted size / block size
+function countAvailableRecoveryBlocks(files, sliceSize) {
+  const volumes = files.filter(isPar2File);
+  const named = volumes.map((file) => parseRecoveryVolumeName(file.filename)).filter(Boolean);
+  if (named.length > 0) {
+    return named.reduce((sum, volume) => sum + volume.blockCount, 0);
+  }
+  if (!sliceSize) return 0;
+  const index = pickPar2IndexFile(files);
+  return volumes
+    .filter((file) => file !== index)
+    .reduce((sum, file) => sum + Math.floor(postedBytes(file) / YENC_SIZE_OVERHEAD / (sliceSize + RECOVERY_PACKET_OVERHEAD)), 0);
+}
+
+// Scales the sampled miss rate to the whole release and compares the blocks it would take to
+// rebuild those articles (each one can straddle a slice boundary) with the recovery blocks posted.
+function assessPar2Repairability({ par2Info, files, sampledSegments, missingSegments }) {
+  const sliceSize = par2Info?.sliceSize;
+  if (!sliceSize || sampledSegments <= 0) {
+    return { status: 'par2-unreadable', details: { packetCount: par2Info?.packetCount ?? 0 } };
+  }
+
+  const dataFiles = files.filter((file) => !isPar2File(file));
+  const dataSegmentCount = dataFiles.reduce((sum, file) => sum + (file.segments?.length || 0), 0);
+  const recoverySet = new Set(par2Info.recoverySetFileIds);
+  const describedFiles = par2Info.files.filter((file) => recoverySet.size === 0 || recoverySet.has(file.fileId));
+  const describedBytes = describedFiles.reduce((sum, file) => sum + (file.length || 0), 0);
+  const dataBytes = describedBytes > 0
+    ? describedBytes
+    : dataFiles.reduce((sum, file) => sum + postedBytes(file), 0) / YENC_SIZE_OVERHEAD;
+  const sourceBlocks = describedFiles.length > 0
+    ? describedFiles.reduce((sum, file) => sum + Math.ceil((file.length || 0) / sliceSize), 0)
+    : Math.ceil(dataBytes / sliceSize);
+
+  const missingRatio = missingSegments / sampledSegments;
+  const estimatedMissingSegments = Math.max(missingSegments, Math.ceil(missingRatio * dataSegmentCount));
+  const averageSegmentBytes = dataSegmentCount > 0 ? dataBytes / dataSegmentCount : sliceSize;
+  const blocksPerSegment = Math.ceil(averageSegmentBytes / sliceSize) + 1;
+  const blocksNeeded = Math.min(sourceBlocks || Number.POSITIVE_INFINITY, estimatedMissingSegments * blocksPerSegment);
+  const recoveryBlocks = countAvailableRecoveryBlocks(files, sliceSize);
+
+  return {
+    status: recoveryBlocks >= blocksNeeded ? 'repairable' : 'unrepairable',
+    details: {
+      sliceSize,
+      sourceBlocks,
+      recoveryBlocks,
+      blocksNeeded,
+      sampledSegments,
+      missingSegments,
+      estimatedMissingSegments,
+      dataSegments: dataSegmentCount,
+    },
+  };
+}
+
+module.exports = {
+  isPar2File,
+  parseRecoveryVolumeName,
+  pickPar2IndexFile,
+  parsePar2Packets,
+  countAvailableRecoveryBlocks,
+  assessPar2Repairability,
+};
@@ -0,0 +1,75 @@
+// NNTP provider list for triage (primary + numbered backup/fill providers)
+const { toBoolean, toPositiveInt, toFiniteNumber } = require('../../utils/config');
+
+const MAX_NNTP_BACKUP_PROVIDERS = 5;
+const DEFAULT_BACKUP_MAX_CONNECTIONS = 4;
+const NNTP_PROVIDER_FIELD_SUFFIXES = ['HOST', 'PORT', 'TLS', 'USER', 'PASS', 'MAX_CONNECTIONS', 'PRIORITY', 'ENABLED'];
+const NNTP_PROVIDER_NUMBERED_KEYS = [];
+for (let i = 1; i <= MAX_NNTP_BACKUP_PROVIDERS; i += 1) {
+  const idx = String(i).padStart(2, '0');
+  NNTP_PROVIDER_FIELD_SUFFIXES.forEach((suffix) => {
+    NNTP_PROVIDER_NUMBERED_KEYS.push(`NZB_TRIAGE_PROVIDER_${suffix}_${idx}`);
+  });
+}
+
+function readTrimmed(source, key) {
+  const value = source[key];
+  if (value === undefined || value === null) return '';
+  return String(value).trim();
+}
+
+function buildPrimaryProviderConfig(source = process.env) {
+  const host = readTrimmed(source, 'NZB_TRIAGE_NNTP_HOST');
+  if (!host) return null;
+  return {
+    id: 'primary',
+    name: host,
+    host,
+    port: toPositiveInt(source.NZB_TRIAGE_NNTP_PORT, 119),
+    user: readTrimmed(source, 'NZB_TRIAGE_NNTP_USER') || undefined,
+    pass: readTrimmed(source, 'NZB_TRIAGE_NNTP_PASS') || undefined,
+    useTLS: toBoolean(source.NZB_TRIAGE_NNTP_TLS, false),
+    priority: toFiniteNumber(source.NZB_TRIAGE_NNTP_PRIORITY, 0),
+    maxConnections: null,
+  };
+}
+
+function buildBackupProviderConfig(source, idx) {
+  const key = String(idx).padStart(2, '0');
+  const host = readTrimmed(source, `NZB_TRIAGE_PROVIDER_HOST_${key}`);
+  if (!host) return null;
+  if (!toBoolean(source[`NZB_TRIAGE_PROVIDER_ENABLED_${key}`], true)) return null;
+  return {
+    id: `backup-${key}`,
+    name: host,
+    host,
+    port: toPositiveInt(source[`NZB_TRIAGE_PROVIDER_PORT_${key}`], 119),
+    user: readTrimmed(source, `NZB_TRIAGE_PROVIDER_USER_${key}`) || undefined,
+    pass: readTrimmed(source, `NZB_TRIAGE_PROVIDER_PASS_${key}`) || undefined,
+    useTLS: toBoolean(source[`NZB_TRIAGE_PROVIDER_TLS_${key}`], false),
+    priority: toFiniteNumber(source[`NZB_TRIAGE_PROVIDER_PRIORITY_${key}`], idx),
+    maxConnections: toPositiveInt(source[`NZB_TRIAGE_PROVIDER_MAX_CONNECTIONS_${key}`], DEFAULT_BACKUP_MAX_CONNECTIONS),
+  };
+}
+
+// Returns every configured provider ordered by priority (lowest first). The
+// legacy NZB_TRIAGE_NNTP_* settings describe the primary provider.
+function getNntpProviderConfigs(source = process.env) {
+  const providers = [];
+  const primary = buildPrimaryProviderConfig(source);
+  if (primary) providers.push(primary);
+  for (let i = 1; i <= MAX_NNTP_BACKUP_PROVIDERS; i += 1) {
+    const backup = buildBackupProviderConfig(source, i);
+    if (backup) providers.push(backup);
+  }
+  return providers
+    .map((provider, order) => ({ provider, order }))
+    .sort((a, b) => (a.provider.priority - b.provider.priority) || (a.order - b.order))
+    .map(({ provider }) => provider);
+}
+
+module.exports = {
+  MAX_NNTP_BACKUP_PROVIDERS,
+  NNTP_PROVIDER_NUMBERED_KEYS,
+  getNntpProviderConfigs,
+};
@@ -119,9 +119,11 @@ function summarizeDecision(decision) {
   if (decision?.decision === 'accept' && blockers.length === 0) {
     const positiveFinding = archiveFindings.some((finding) => {
       const label = String(finding?.status || '').toLowerCase();
-      return label === 'rar-stored' || label === 'sevenzip-stored' || label === 'segment-ok';
+      return label === 'rar-stored' || label === 'sevenzip-stored' || label === 'segment-ok' || label === 'segments-complete';
     });
-    if (positiveFinding) {
+    // Repairable releases still need a repair, and an unfinished deep scan has not proven the rest
+    const qualified = archiveFindings.some((finding) => finding?.status === 'repairable' || finding?.status === 'deep-scan-partial');
+    if (positiveFinding && !qualified) {
       status = 'verified';
     } else {
       status = 'unverified';
@@ -135,6 +137,7 @@ function summarizeDecision(decision) {
     nzbIndex: decision?.nzbIndex ?? null,
     fileCount: decision?.fileCount ?? null,
     archiveFindings,
+    deepScan: decision?.deepScan ?? null,
   };
 }
 
@@ -145,15 +148,27 @@ async function triageAndRank(nzbResults, options = {}) {
   const preferredIndexerSet = normalizeIndexerSet(options.preferredIndexerIds);
   const serializedIndexerSet = normalizeIndexerSet(options.serializedIndexerIds);
   const allowedIndexerSet = normalizeIndexerSet(options.allowedIndexerIds);
+  const grabLimitedIndexerSet = normalizeIndexerSet(options.grabLimitedIndexerIds);
+  const onNzbDownloaded = typeof options.onNzbDownloaded === 'function' ? options.onNzbDownloaded : null;
   const maxCandidates = Math.max(1, options.maxCandidates ?? DEFAULT_MAX_CANDIDATES);
   const logger = options.logger;
   const triageOptions = { ...(options.triageOptions || {}) };
   const captureNzbPayloads = Boolean(options.captureNzbPayloads);
 
   const builtCandidates = buildCandidates(nzbResults);
-  const constrainedCandidates = allowedIndexerSet.size > 0
+  const allowedCandidates = allowedIndexerSet.size > 0
     ? builtCandidates.filter((candidate) => candidateMatchesIndexerSet(candidate, allowedIndexerSet))
     : builtCandidates;
+  // Indexers low on grabs keep their remaining NZB downloads for playback
+  const constrainedCandidates = grabLimitedIndexerSet.size > 0
+    ? allowedCandidates.filter((candidate) => !candidateMatchesIndexerSet(candidate, grabLimitedIndexerSet))
+    : allowedCandidates;
+  if (constrainedCandidates.length < allowedCandidates.length) {
+    logEvent(logger, 'info', 'Skipping NZB downloads from grab-limited indexers', {
+      indexers: Array.from(grabLimitedIndexerSet),
+      skipped: allowedCandidates.length - constrainedCandidates.length,
+    });
+  }
   const candidates = rankCandidates(constrainedCandidates, preferredSizeBytes, preferredIndexerSet);
   const uniqueCandidates = [];
   const seenTitles = new Set();
@@ -209,7 +224,7 @@ async function triageAndRank(nzbResults, options = {}) {
     Math.min(options.downloadConcurrency ?? DEFAULT_DOWNLOAD_CONCURRENCY, selectedCandidates.length),
   );
   const downloadTimeoutMs = options.downloadTimeoutMs ?? DEFAULT_DOWNLOAD_TIMEOUT_MS;
-  const triageConfig = { ...triageOptions, reuseNntpPool: true };
+  const triageConfig = { ...triageOptions, reuseNntpPool: true, deadlineTs: startTs + timeBudgetMs };
   const serializedChains = new Map();
 
   const runWithSerializedIndexer = async (indexerKey, task) => {
@@ -292,6 +307,7 @@ async function triageAndRank(nzbResults, options = {}) {
           throw new Error('Empty NZB payload');
         }
         nzbPayload = response.data;
+        if (onNzbDownloaded) onNzbDownloaded(candidate);
         const elapsed = Date.now() - downloadStart;
         logEvent(logger, 'info', 'NZB download:success', {
           downloadUrl,
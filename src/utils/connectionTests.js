@@ -8,6 +8,7 @@ const {
   searchNewznabIndexers,
   validateNewznabSearch,
 } = require('../services/newznab');
+const { parsePathMappings } = require('../services/downloadClients/localFiles');
 
 let NNTPClientCtor = null;
 try {
@@ -226,12 +227,70 @@ async function testNzbdavConnection(values) {
       ? `Diagnostic NZB upload verified (${diagnosticNote})`
       : 'Diagnostic NZB upload verified';
 
-    return `WebDAV reachable; ${diagnosticMessage}`;
+    const mountNote = values?.NZBDAV_PATH_MAPPINGS
+      ? `; local mount: ${describeLocalPathMappings(values.NZBDAV_PATH_MAPPINGS)}`
+      : '';
+
+    return `WebDAV reachable; ${diagnosticMessage}${mountNote}`;
   } catch (error) {
     throw error;
   }
 }
 
+function describeLocalPathMappings(rawMappings) {
+  const mappings = parsePathMappings(rawMappings || '');
+  if (mappings.length === 0) return 'no path mappings (client paths are read as-is)';
+  const missing = mappings.filter(({ local }) => !fs.existsSync(local)).map(({ local }) => local);
+  if (missing.length > 0) {
+    throw new Error(`Mapped path not found on this server: ${missing.join(', ')}`);
+  }
+  return `${mappings.length} path mapping(s) readable`;
+}
+
+async function testSabnzbdConnection(values) {
+  const baseUrl = sanitizeBaseUrl(values?.SABNZBD_URL);
+  if (!baseUrl) throw new Error('SABnzbd URL is required');
+  const apiKey = (values?.SABNZBD_API_KEY || '').trim();
+  if (!apiKey) throw new Error('SABnzbd API key is required');
+
+  const response = await axios.get(`${baseUrl}/api`, {
+    params: { mode: 'queue', limit: '1', output: 'json', apikey: apiKey },
+    timeout: 8000,
+    validateStatus: () => true,
+  });
+  if (response.status >= 400) {
+    throw new Error(`SABnzbd returned status ${response.status}`);
+  }
+  if (response.data?.status === false || !response.data?.queue) {
+    throw new Error(response.data?.error || 'Unexpected response from SABnzbd API');
+  }
+  const version = response.data.queue.version ? ` ${response.data.queue.version}` : '';
+  return `Connected to SABnzbd${version}; ${describeLocalPathMappings(values?.SABNZBD_PATH_MAPPINGS)}`;
+}
+
+async function testNzbgetConnection(values) {
+  const baseUrl = sanitizeBaseUrl(values?.NZBGET_URL);
+  if (!baseUrl) throw new Error('NZBGet URL is required');
+  const username = (values?.NZBGET_USER || '').trim();
+  const password = (values?.NZBGET_PASS || '').trim();
+
+  const response = await axios.post(`${baseUrl}/jsonrpc`, { method: 'version', params: [] }, {
+    auth: username ? { username, password } : undefined,
+    timeout: 8000,
+    validateStatus: () => true,
+  });
+  if (response.status === 401 || response.status === 403) {
+    throw new Error('NZBGet authentication failed: check username/password');
+  }
+  if (response.status >= 400) {
+    throw new Error(`NZBGet returned status ${response.status}`);
+  }
+  if (!response.data?.result) {
+    throw new Error(response.data?.error?.message || 'Unexpected response from NZBGet JSON-RPC');
+  }
+  return `Connected to NZBGet ${response.data.result}; ${describeLocalPathMappings(values?.NZBGET_PATH_MAPPINGS)}`;
+}
+
 async function testUsenetConnection(values) {
   if (!NNTPClientCtor) throw new Error('NNTP client library unavailable on server');
   const host = (values?.NZB_TRIAGE_NNTP_HOST || '').trim();
@@ -387,6 +446,8 @@ async function testNewznabSearch(values) {
 module.exports = {
   testIndexerConnection,
   testNzbdavConnection,
+  testSabnzbdConnection,
+  testNzbgetConnection,
   testUsenetConnection,
   testNewznabConnection,
   testNewznabSearch,
@@ -1,5 +1,6 @@
 // Helper utilities for sorting, filtering, and processing results
-const { parseReleaseMetadata } = require('../services/metadata/releaseParser');
+const { parseReleaseMetadata, getResolutionScore, getSourceScore } = require('../services/metadata/releaseParser');
+const { applyCustomFormatScores } = require('../services/metadata/customFormats');
 const { normalizeReleaseTitle } = require('./parsers');
 
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
@@ -9,13 +10,17 @@ function annotateNzbResult(result, sortIndex = 0) {
   const metadata = parseReleaseMetadata(result.title || '');
   const normalizedTitle = normalizeReleaseTitle(result.title);
   const primaryLanguage = result.language || (Array.isArray(metadata.languages) && metadata.languages.length > 0 ? metadata.languages[0] : null);
-  const derivedQualityRank = Number.isFinite(metadata.qualityScore) ? metadata.qualityScore : 0;
   const annotated = {
     ...result,
     ...metadata,
     sortIndex,
     normalizedTitle,
-    qualityRank: derivedQualityRank,
+    // Provider-reported values (Easynews) win over the ones parsed from the title
+    release: {
+      ...(result.release || {}),
+      resolution: result.release?.resolution || metadata.resolution || null,
+      source: result.release?.source || metadata.source || null,
+    },
   };
   if (primaryLanguage) {
     annotated.language = primaryLanguage;
@@ -134,17 +139,33 @@ function resultMatchesPreferredLanguage(result, preferredLanguages) {
 }
 
 function compareQualityThenSize(a, b) {
-  if (a.qualityRank !== b.qualityRank) {
-    return b.qualityRank - a.qualityRank;
-  }
+  const resolutionDelta = getResolutionScore(b.release?.resolution) - getResolutionScore(a.release?.resolution);
+  if (resolutionDelta !== 0) return resolutionDelta;
+  const sourceDelta = getSourceScore(b.release?.source) - getSourceScore(a.release?.source);
+  if (sourceDelta !== 0) return sourceDelta;
   const aSize = Number.isFinite(a.size) ? a.size : 0;
   const bSize = Number.isFinite(b.size) ? b.size : 0;
   return bSize - aSize;
 }
 
-function sortAnnotatedResults(results, sortMode, preferredLanguages) {
+function compareCustomScoreThenQuality(a, b) {
+  const aScore = Number.isFinite(a.customScore) ? a.customScore : 0;
+  const bScore = Number.isFinite(b.customScore) ? b.customScore : 0;
+  if (aScore !== bScore) {
+    return bScore - aScore;
+  }
+  return compareQualityThenSize(a, b);
+}
+
+function sortAnnotatedResults(results, sortMode, preferredLanguages, customFormats) {
   if (!Array.isArray(results) || results.length === 0) return results;
 
+  if (sortMode === 'custom_score') {
+    const scored = applyCustomFormatScores(results, customFormats);
+    scored.sort(compareCustomScoreThenQuality);
+    return scored;
+  }
+
   const normalizedPreferences = normalizePreferredLanguageList(preferredLanguages);
   if (sortMode === 'language_quality_size' && normalizedPreferences.length > 0) {
     const preferred = [];
@@ -166,11 +187,11 @@ function sortAnnotatedResults(results, sortMode, preferredLanguages) {
 }
 
 function prepareSortedResults(results, options = {}) {
-  const { maxSizeBytes, sortMode, preferredLanguages, allowedResolutions, resolutionLimitPerQuality } = options;
+  const { maxSizeBytes, sortMode, preferredLanguages, allowedResolutions, resolutionLimitPerQuality, customFormats } = options;
   let working = Array.isArray(results) ? results.slice() : [];
   working = filterByAllowedResolutions(working, allowedResolutions);
   working = applyMaxSizeFilter(working, maxSizeBytes);
-  working = sortAnnotatedResults(working, sortMode, preferredLanguages);
+  working = sortAnnotatedResults(working, sortMode, preferredLanguages, customFormats);
   working = applyResolutionLimits(working, resolutionLimitPerQuality);
   return working;
 }
@@ -262,6 +283,7 @@ function sanitizeDecisionForCache(decision) {
     fileCount: decision.fileCount ?? null,
     nzbIndex: decision.nzbIndex ?? null,
     archiveFindings: Array.isArray(decision.archiveFindings) ? decision.archiveFindings : [],
+    deepScan: decision.deepScan ?? null,
     title: decision.title || null,
     normalizedTitle: decision.normalizedTitle || null,
     indexerId: decision.indexerId || null,
@@ -0,0 +1,115 @@
+// Prometheus metrics registry (text exposition format, no client library needed)
+const METRIC_PREFIX = 'usenetstreamer_';
+const DEFAULT_DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 40, 80];
+
+const definitions = new Map();
+
+function defineMetric(type, name, help, options = {}) {
+  definitions.set(name, {
+    type,
+    help,
+    buckets: type === 'histogram' ? (options.buckets || DEFAULT_DURATION_BUCKETS) : null,
+    series: new Map(),
+  });
+}
+
+defineMetric('histogram', 'indexer_search_duration_seconds', 'Search latency per indexer');
+defineMetric('counter', 'indexer_search_errors_total', 'Failed searches per indexer');
+defineMetric('counter', 'indexer_search_results_total', 'Results returned per indexer');
+defineMetric('histogram', 'triage_run_duration_seconds', 'Wall time of triageAndRank runs');
+defineMetric('counter', 'triage_decisions_total', 'Triage verdicts by status');
+defineMetric('counter', 'triage_timeouts_total', 'Triage runs that hit their time budget');
+defineMetric('histogram', 'nzbdav_queue_ready_seconds', 'Time from NZBDav queueing until the job is ready to stream', {
+  buckets: [1, 2.5, 5, 10, 20, 40, 60, 80, 120],
+});
+defineMetric('counter', 'nzbdav_stream_failures_total', 'NZBDav jobs that failed before becoming playable');
+defineMetric('counter', 'nzbdav_failover_total', 'NZBDav failover runs by outcome (recovered or exhausted)');
+defineMetric('counter', 'stream_requests_total', 'Playback requests handled by /nzb/stream');
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map((key) => [key, String(labels[key])]));
+}
+
+function getSeries(name, labels) {
+  const definition = definitions.get(name);
+  if (!definition) throw new Error(`Unknown metric ${name}`);
+  const key = labelKey(labels);
+  let series = definition.series.get(key);
+  if (!series) {
+    series = definition.type === 'histogram'
+      ? { labels: { ...labels }, counts: definition.buckets.map(() => 0), sum: 0, count: 0 }
+      : { labels: { ...labels }, value: 0 };
+    definition.series.set(key, series);
+  }
+  return { definition, series };
+}
+
+function incrementCounter(name, labels = {}, amount = 1) {
+  if (!Number.isFinite(amount)) return;
+  const { series } = getSeries(name, labels);
+  series.value += amount;
+}
+
+function observeHistogram(name, labels = {}, value) {
+  if (!Number.isFinite(value)) return;
+  const { definition, series } = getSeries(name, labels);
+  definition.buckets.forEach((bound, index) => {
+    if (value <= bound) series.counts[index] += 1;
+  });
+  series.sum += value;
+  series.count += 1;
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function renderSeries(lines, fullName, definition) {
+  definition.series.forEach((series) => {
+    if (definition.type !== 'histogram') {
+      lines.push(`${fullName}${formatLabels(series.labels)} ${series.value}`);
+      return;
+    }
+    definition.buckets.forEach((bound, index) => {
+      lines.push(`${fullName}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+    });
+    lines.push(`${fullName}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+    lines.push(`${fullName}_sum${formatLabels(series.labels)} ${series.sum}`);
+    lines.push(`${fullName}_count${formatLabels(series.labels)} ${series.count}`);
+  });
+}
+
+// Renders every registered metric plus point-in-time samples collected at scrape
+// time. Each sampled family is { name, type, help, samples: [{ labels, value }] }.
+function renderMetrics(sampledFamilies = []) {
+  const lines = [];
+  definitions.forEach((definition, name) => {
+    const fullName = `${METRIC_PREFIX}${name}`;
+    lines.push(`# HELP ${fullName} ${definition.help}`);
+    lines.push(`# TYPE ${fullName} ${definition.type}`);
+    renderSeries(lines, fullName, definition);
+  });
+  sampledFamilies.forEach((family) => {
+    const samples = (family.samples || []).filter((sample) => Number.isFinite(sample.value));
+    if (samples.length === 0) return;
+    const fullName = `${METRIC_PREFIX}${family.name}`;
+    lines.push(`# HELP ${fullName} ${family.help}`);
+    lines.push(`# TYPE ${fullName} ${family.type || 'gauge'}`);
+    samples.forEach((sample) => {
+      lines.push(`${fullName}${formatLabels(sample.labels || {})} ${sample.value}`);
+    });
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  incrementCounter,
+  observeHistogram,
+  renderMetrics,
+};
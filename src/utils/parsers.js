@@ -30,15 +30,25 @@ function parseRequestedEpisode(type, id, query = {}) {
   const season = parts[1] ? Number(parts[1]) : null;
   const episode = parts[2] ? Number(parts[2]) : null;
 
+  // Stream URLs carry the absolute number (anime) or air date (daily shows) resolved at search time
+  const absolute = Number(query.absoluteEpisode);
+  const airDate = typeof query.airDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(query.airDate) ? query.airDate : null;
+  const withResolvedNumbering = (requested) => {
+    const extended = { ...requested };
+    if (Number.isFinite(absolute) && absolute > 0) extended.absoluteEpisode = absolute;
+    if (airDate) extended.airDate = airDate;
+    return extended;
+  };
+
   if (Number.isFinite(season) && Number.isFinite(episode)) {
-    return { season, episode };
+    return withResolvedNumbering({ season, episode });
   }
 
   if (query.season !== undefined && query.episode !== undefined) {
     const s = Number(query.season);
     const e = Number(query.episode);
     if (Number.isFinite(s) && Number.isFinite(e)) {
-      return { season: s, episode: e };
+      return withResolvedNumbering({ season: s, episode: e });
     }
   }
 
@@ -51,6 +61,90 @@ function isVideoFileName(fileName = '') {
   return VIDEO_EXTENSIONS.has(ext);
 }
 
+const EPISODE_RANGE_PATTERN = /\bs(\d{1,2})[\s.]?e(\d{1,3})((?:\s*-\s*(?:s\d{1,2}[\s.]?)?e?\d{1,3}(?![\dpi])|[\s.]?e\d{1,3}(?!\d))*)/i;
+// "[Group] Show S2 - 05" / "Show Season 2 - 13": a season marker followed by a spaced dash is one episode, not a range
+const SEASON_DASH_EPISODE_PATTERN = /\b(?:s|season[\s._]*)(\d{1,2})\s+-\s+(\d{1,3})(?:v\d)?(?=[\s.[(_]|$)/i;
+const SEASON_PACK_PATTERNS = [
+  /\bs(\d{1,2})(?:\s*-\s*s(\d{1,2}))?(?![\s.]?e\d)(?![\dpi])/i,
+  /\bseasons?[\s._-]*(\d{1,2})(?:(?:-|\s*-\s*(?:s|seasons?[\s._]*))(\d{1,2}))?(?!\d)/i,
+];
+
+// Which episodes a release or file name covers: a single episode (S01E05, S2 - 05), a multi-episode range
+// (S01E01-E03, S01E01E02) or a season pack (S01, Season 1, S01-S03). Null when no marker is found.
+function parseEpisodeCoverage(title) {
+  if (!title) return null;
+  const text = String(title);
+  const episodeMatch = text.match(EPISODE_RANGE_PATTERN);
+  if (episodeMatch) {
+    const season = Number(episodeMatch[1]);
+    const episodeStart = Number(episodeMatch[2]);
+    const tailNumbers = (episodeMatch[3] || '').match(/\d+/g);
+    const tailEnd = tailNumbers ? Number(tailNumbers[tailNumbers.length - 1]) : episodeStart;
+    const episodeEnd = tailEnd > episodeStart ? tailEnd : episodeStart;
+    return {
+      type: episodeEnd > episodeStart ? 'multi-episode' : 'episode',
+      season,
+      seasonEnd: season,
+      episodeStart,
+      episodeEnd,
+    };
+  }
+  const dashMatch = text.match(SEASON_DASH_EPISODE_PATTERN);
+  if (dashMatch) {
+    const season = Number(dashMatch[1]);
+    const episode = Number(dashMatch[2]);
+    return { type: 'episode', season, seasonEnd: season, episodeStart: episode, episodeEnd: episode };
+  }
+  for (const pattern of SEASON_PACK_PATTERNS) {
+    const match = text.match(pattern);
+    if (!match) continue;
+    const season = Number(match[1]);
+    const seasonEnd = match[2] && Number(match[2]) > season ? Number(match[2]) : season;
+    return { type: 'season', season, seasonEnd, episodeStart: null, episodeEnd: null };
+  }
+  return null;
+}
+
+const ABSOLUTE_EPISODE_PATTERNS = [
+  /\s-\s(\d{1,4})(?:v\d)?(?=[\s.[(_]|$)/,
+  /(?:^|[\s._[(-])(?:ep?|episode)[\s._]?(\d{1,4})(?:v\d)?(?=[\s.[(_-]|$)/i,
+];
+
+// Absolute episode number of anime-style names ("[Group] Show - 137 [1080p]", "Show EP137");
+// null when the name carries season numbering instead
+function parseAbsoluteEpisode(title) {
+  if (!title || parseEpisodeCoverage(title)) return null;
+  const text = String(title);
+  for (const pattern of ABSOLUTE_EPISODE_PATTERNS) {
+    const match = text.match(pattern);
+    if (!match) continue;
+    const value = Number(match[1]);
+    if (value > 0 && !(value >= 1900 && value <= 2099)) return value;
+  }
+  return null;
+}
+
+const AIR_DATE_PATTERN = /(?<!\d)((?:19|20)\d{2})[.\-_ ](\d{2})[.\-_ ](\d{2})(?!\d)/;
+
+// Air date of date-stamped releases ("Show.2026.10.18.Guest.1080p") as YYYY-MM-DD
+function parseAirDate(title) {
+  if (!title) return null;
+  const match = String(title).match(AIR_DATE_PATTERN);
+  if (!match) return null;
+  const month = Number(match[2]);
+  const day = Number(match[3]);
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  return `${match[1]}-${match[2]}-${match[3]}`;
+}
+
+function coverageIncludesEpisode(coverage, requestedEpisode) {
+  if (!coverage || !requestedEpisode) return false;
+  const { season, episode } = requestedEpisode;
+  if (!Number.isFinite(season) || season < coverage.season || season > coverage.seasonEnd) return false;
+  if (coverage.type === 'season') return true;
+  return Number.isFinite(episode) && episode >= coverage.episodeStart && episode <= coverage.episodeEnd;
+}
+
 function fileMatchesEpisode(fileName, requestedEpisode) {
   if (!requestedEpisode || !Number.isFinite(requestedEpisode.season) || !Number.isFinite(requestedEpisode.episode)) {
     return true;
@@ -63,7 +157,12 @@ function fileMatchesEpisode(fileName, requestedEpisode) {
     `s${String(s).padStart(2, '0')}e${String(e).padStart(2, '0')}`,
     `${s}x${String(e).padStart(2, '0')}`,
   ];
-  return patterns.some((pattern) => lower.includes(pattern));
+  if (patterns.some((pattern) => lower.includes(pattern))) return true;
+  const coverage = parseEpisodeCoverage(fileName);
+  if (coverage?.type === 'multi-episode' && coverageIncludesEpisode(coverage, requestedEpisode)) return true;
+  if (requestedEpisode.airDate && parseAirDate(fileName) === requestedEpisode.airDate) return true;
+  return Number.isFinite(requestedEpisode.absoluteEpisode)
+    && parseAbsoluteEpisode(fileName) === requestedEpisode.absoluteEpisode;
 }
 
 function normalizeNzbdavPath(pathValue) {
@@ -180,6 +279,10 @@ module.exports = {
   parseRequestedEpisode,
   isVideoFileName,
   fileMatchesEpisode,
+  parseEpisodeCoverage,
+  coverageIncludesEpisode,
+  parseAbsoluteEpisode,
+  parseAirDate,
   normalizeNzbdavPath,
   inferMimeType,
   normalizeIndexerToken,
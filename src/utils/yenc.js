@@ -0,0 +1,231 @@
+// yEnc article decoding (=ybegin/=ypart/=yend) with CRC32 verification and multipart assembly
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let value = n;
+    for (let bit = 0; bit < 8; bit += 1) {
+      value = value & 1 ? 0xEDB88320 ^ (value >>> 1) : value >>> 1;
+    }
+    table[n] = value >>> 0;
+  }
+  return table;
+})();
+
+const LF = 0x0A;
+const CR = 0x0D;
+const ESCAPE = 0x3D; // '='
+const DOT = 0x2E;
+
+// Pass the previous result to continue a running checksum across buffers
+function crc32(buffer, previous = 0) {
+  let crc = (previous ^ 0xFFFFFFFF) >>> 0;
+  for (let i = 0; i < buffer.length; i += 1) {
+    crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function formatCrc32(value) {
+  return Number.isFinite(value) ? value.toString(16).padStart(8, '0') : null;
+}
+
+// "=ybegin part=1 line=128 size=500000 name=some file.rar": name is always last and may contain spaces
+function parseKeywordLine(line) {
+  const fields = {};
+  const nameIndex = line.indexOf(' name=');
+  const head = nameIndex === -1 ? line : line.slice(0, nameIndex);
+  if (nameIndex !== -1) fields.name = line.slice(nameIndex + 6).trim();
+  head.split(/\s+/).slice(1).forEach((token) => {
+    const separator = token.indexOf('=');
+    if (separator > 0) fields[token.slice(0, separator)] = token.slice(separator + 1);
+  });
+  return fields;
+}
+
+function readInt(fields, key) {
+  const value = Number.parseInt(fields?.[key], 10);
+  return Number.isFinite(value) ? value : null;
+}
+
+function readHex(fields, key) {
+  const raw = fields?.[key];
+  if (!raw || !/^[0-9a-f]{1,8}$/i.test(raw)) return null;
+  return Number.parseInt(raw, 16) >>> 0;
+}
+
+function createDecodeError(message) {
+  const error = new Error(message);
+  error.code = 'DECODE_ERROR';
+  return error;
+}
+
+// Decodes one article. With maxBytes the output stops early and CRC checks are skipped (truncated: true).
+// begin/end are the 1-based file offsets from =ypart; single-part posts cover the whole file.
+function decodeYencArticle(bodyBuffer, { maxBytes = Number.POSITIVE_INFINITY } = {}) {
+  const limit = Number.isFinite(maxBytes) ? Math.min(maxBytes, bodyBuffer.length) : bodyBuffer.length;
+  const out = Buffer.alloc(limit);
+  let writeIndex = 0;
+  let beginFields = null;
+  let partFields = null;
+  let endFields = null;
+  let truncated = false;
+  let position = 0;
+
+  while (position < bodyBuffer.length && !endFields && !truncated) {
+    let lineEnd = bodyBuffer.indexOf(LF, position);
+    if (lineEnd === -1) lineEnd = bodyBuffer.length;
+    let contentEnd = lineEnd;
+    if (contentEnd > position && bodyBuffer[contentEnd - 1] === CR) contentEnd -= 1;
+    const lineStart = position;
+    position = lineEnd + 1;
+
+    const isKeyword = bodyBuffer[lineStart] === ESCAPE && bodyBuffer[lineStart + 1] === 0x79; // "=y"
+    if (!beginFields) {
+      if (isKeyword && bodyBuffer.toString('latin1', lineStart, lineStart + 7) === '=ybegin') {
+        beginFields = parseKeywordLine(bodyBuffer.toString('latin1', lineStart, contentEnd));
+      }
+      continue;
+    }
+    if (isKeyword) {
+      const line = bodyBuffer.toString('latin1', lineStart, contentEnd);
+      if (line.startsWith('=ypart')) partFields = parseKeywordLine(line);
+      else if (line.startsWith('=yend')) endFields = parseKeywordLine(line);
+      continue;
+    }
+
+    // NNTP dot-stuffing: a leading '..' stands for a single '.'
+    let i = lineStart;
+    if (bodyBuffer[i] === DOT && bodyBuffer[i + 1] === DOT) i += 1;
+    for (; i < contentEnd; i += 1) {
+      let byte = bodyBuffer[i];
+      if (byte === ESCAPE) {
+        i += 1;
+        if (i >= contentEnd) break;
+        byte = (bodyBuffer[i] - 64) & 0xFF;
+      }
+      if (writeIndex >= limit) {
+        truncated = true;
+        break;
+      }
+      out[writeIndex] = (byte - 42) & 0xFF;
+      writeIndex += 1;
+    }
+  }
+
+  if (writeIndex === 0) {
+    throw createDecodeError('No yEnc payload detected');
+  }
+
+  const data = writeIndex === out.length ? out : out.subarray(0, writeIndex);
+  const size = readInt(beginFields, 'size');
+  const begin = partFields ? readInt(partFields, 'begin') : 1;
+  const end = partFields ? readInt(partFields, 'end') : size;
+  // Single-part posts only carry crc32, which then covers this article too
+  const expectedCrc = partFields ? readHex(endFields, 'pcrc32') : readHex(endFields, 'crc32');
+  const expectedSize = readInt(endFields, 'size');
+  const actualCrc = truncated ? null : crc32(data);
+
+  return {
+    name: beginFields?.name || null,
+    size,
+    part: readInt(beginFields, 'part'),
+    total: readInt(beginFields, 'total'),
+    begin,
+    end,
+    data,
+    truncated,
+    hasEnd: Boolean(endFields),
+    expectedSize,
+    expectedCrc,
+    actualCrc,
+    fileCrc: readHex(endFields, 'crc32'),
+  };
+}
+
+// Returns null for an intact article, otherwise why it is corrupt. Truncated decodes cannot be judged.
+function describeYencMismatch(article) {
+  if (!article || article.truncated) return null;
+  if (!article.hasEnd) {
+    return { reason: 'missing-yend', actualSize: article.data.length };
+  }
+  if (Number.isFinite(article.expectedSize) && article.expectedSize !== article.data.length) {
+    return { reason: 'size', expectedSize: article.expectedSize, actualSize: article.data.length };
+  }
+  if (Number.isFinite(article.begin) && Number.isFinite(article.end) && article.end - article.begin + 1 !== article.data.length) {
+    return { reason: 'size', expectedSize: article.end - article.begin + 1, actualSize: article.data.length };
+  }
+  if (Number.isFinite(article.expectedCrc) && article.expectedCrc !== article.actualCrc) {
+    return {
+      reason: 'crc',
+      expectedCrc: formatCrc32(article.expectedCrc),
+      actualCrc: formatCrc32(article.actualCrc),
+    };
+  }
+  return null;
+}
+
+// Places decoded articles by their =ypart begin offsets into [offset, offset + length).
+// length defaults to the rest of the file; fileCrcValid is only set when the whole file was assembled.
+function assembleYencParts(articles, { offset = 0, length = null } = {}) {
+  const parts = (articles || []).filter((article) => article?.data && Number.isFinite(article.begin));
+  const fileSize = parts.map((article) => article.size).find((size) => Number.isFinite(size)) ?? null;
+  const windowLength = Number.isFinite(length)
+    ? length
+    : Math.max(0, (fileSize ?? parts.reduce((max, article) => Math.max(max, article.begin - 1 + article.data.length), 0)) - offset);
+  const windowEnd = offset + windowLength;
+  const target = Buffer.alloc(windowLength);
+  const covered = [];
+
+  parts.forEach((article) => {
+    const partStart = article.begin - 1;
+    const copyFrom = Math.max(offset, partStart);
+    const copyTo = Math.min(windowEnd, partStart + article.data.length);
+    if (copyTo <= copyFrom) return;
+    article.data.copy(target, copyFrom - offset, copyFrom - partStart, copyTo - partStart);
+    covered.push([copyFrom, copyTo]);
+  });
+
+  covered.sort((a, b) => a[0] - b[0]);
+  let coveredBytes = 0;
+  let reach = offset;
+  covered.forEach(([from, to]) => {
+    const start = Math.max(from, reach);
+    if (to > start) {
+      coveredBytes += to - start;
+      reach = to;
+    }
+  });
+  const complete = coveredBytes === windowLength;
+
+  let fileCrcValid = null;
+  const wholeFile = complete && offset === 0 && fileSize !== null && windowLength === fileSize;
+  const expectedFileCrc = parts.map((article) => article.fileCrc).find((value) => Number.isFinite(value));
+  if (wholeFile && Number.isFinite(expectedFileCrc)) {
+    fileCrcValid = crc32(target) === expectedFileCrc;
+  }
+
+  return { data: target, complete, coveredBytes, fileSize, fileCrcValid };
+}
+
+function parseYencHeaderInfo(bodyBuffer) {
+  const head = bodyBuffer.subarray(0, 1024).toString('latin1');
+  const beginLine = head.match(/^=ybegin[^\r\n]*/m);
+  if (!beginLine) return null;
+  const partLine = head.match(/^=ypart[^\r\n]*/m);
+  const beginFields = parseKeywordLine(beginLine[0]);
+  const partFields = partLine ? parseKeywordLine(partLine[0]) : null;
+  return {
+    size: readInt(beginFields, 'size'),
+    partBegin: readInt(partFields, 'begin'),
+    partEnd: readInt(partFields, 'end'),
+  };
+}
+
+module.exports = {
+  crc32,
+  formatCrc32,
+  decodeYencArticle,
+  describeYencMismatch,
+  assembleYencParts,
+  parseYencHeaderInfo,
+};